@@ -0,0 +1,51 @@
+import { createResolver, parseImportMap, resolveModuleSpecifier } from "../mod.js";
+
+const baseUrl = new URL("https://example.com/");
+
+/** @type {Object.<string, string>} */
+const imports = {};
+for (let i = 0; i < 2000; i++) {
+	imports[`package-${i}`] = `https://cdn.example.com/package-${i}/mod.js`;
+	imports[`package-${i}/`] = `https://cdn.example.com/package-${i}/`;
+}
+
+/** @type {Object.<string, Object.<string, string>>} */
+const scopes = {};
+for (let i = 0; i < 200; i++) {
+	scopes[`https://cdn.example.com/package-${i}/`] = {
+		[`package-${i + 1}/`]: `https://cdn.example.com/package-${i + 1}-legacy/`,
+	};
+}
+
+const importMap = parseImportMap({ imports, scopes }, baseUrl);
+
+/** @type {[URL, string][]} */
+const requests = [];
+for (let i = 0; i < 200; i++) {
+	const referrer = new URL(`https://cdn.example.com/package-${i % 300}/src/file-${i % 7}.js`);
+	requests.push([referrer, `package-${(i * 7) % 2000}/sub/file-${i % 13}.js`]);
+	requests.push([referrer, `package-${(i * 3) % 2000}`]);
+	requests.push([referrer, `./sibling-${i % 5}.js`]);
+}
+
+Deno.bench({
+	name: "resolveModuleSpecifier()",
+	group: "resolve",
+	baseline: true,
+	fn() {
+		for (const [referrer, specifier] of requests) {
+			resolveModuleSpecifier(importMap, referrer, specifier);
+		}
+	},
+});
+
+Deno.bench({
+	name: "createResolver().resolve()",
+	group: "resolve",
+	fn() {
+		const resolver = createResolver(importMap);
+		for (const [referrer, specifier] of requests) {
+			resolver.resolve(referrer, specifier);
+		}
+	},
+});
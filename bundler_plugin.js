@@ -0,0 +1,173 @@
+/**
+ * @module
+ * A plugin for applying an import map in Rollup, Vite and esbuild.
+ */
+
+import { readFile } from "node:fs/promises";
+import process from "node:process";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { createEmptyImportMap, parseImportMap, resolveModuleSpecifier, UnresolvedSpecifierError } from "./mod.js";
+
+/**
+ * @typedef ImportMapPluginOptions
+ * @property {import("./mod.js").ImportMapData | string} importMap The import map, or the path to an import map file.
+ * @property {URL} [baseUrl] The url that the import map is parsed relative to.
+ * Defaults to the url of the import map file, or the current working directory when an object is provided.
+ * @property {boolean} [external] When true, specifiers that resolve to a url other than a `file:` url are marked
+ * as external, so that they are left untouched in the output.
+ * @property {boolean} [reportBlocked] When true, specifiers whose resolution is blocked by the import map,
+ * for instance because they are mapped to null, are reported as build errors.
+ * Otherwise they are passed on to the next resolver.
+ */
+
+/**
+ * @typedef ImportMapPluginResolveResult
+ * @property {string} id For `file:` urls this is the path on disk, otherwise it is the full url.
+ * @property {boolean} external
+ */
+
+/**
+ * @typedef RollupPluginContext
+ * @property {(message: string) => never} error
+ */
+
+/**
+ * @typedef EsbuildResolveArgs
+ * @property {string} path
+ * @property {string} importer
+ * @property {string} resolveDir
+ */
+
+/**
+ * @typedef EsbuildResolveResult
+ * @property {string} [path]
+ * @property {string} [namespace]
+ * @property {boolean} [external]
+ * @property {{text: string}[]} [errors]
+ */
+
+/**
+ * @typedef EsbuildPluginBuild
+ * @property {(options: {filter: RegExp}, callback: (args: EsbuildResolveArgs) => Promise<EsbuildResolveResult | undefined>) => void} onResolve
+ */
+
+/**
+ * @typedef ImportMapPlugin
+ * @property {string} name
+ * @property {(this: RollupPluginContext, source: string, importer: string | undefined) => Promise<ImportMapPluginResolveResult?>} resolveId
+ * The Rollup and Vite hook.
+ * @property {(build: EsbuildPluginBuild) => void} setup The esbuild hook.
+ */
+
+/**
+ * Creates a plugin that resolves specifiers using an import map, with the importing module as base url.
+ * The same object can be used as a Rollup, Vite and esbuild plugin.
+ * Specifiers that are not changed by the import map are passed on to the next resolver, so that the bundler
+ * can still apply things like extension resolution to them.
+ *
+ * Specifiers that resolve to a remote url are returned as the full url. Unless `external` is set,
+ * another plugin is needed for loading them. In esbuild, they use the protocol as namespace, such as `https`.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * // rollup.config.js
+ * export default {
+ *     input: "src/main.js",
+ *     plugins: [createImportMapPlugin({ importMap: "./import_map.json", external: true })],
+ * };
+ * ```
+ * @param {ImportMapPluginOptions} options
+ * @returns {ImportMapPlugin}
+ */
+export function createImportMapPlugin(options) {
+	/** @type {Promise<import("./mod.js").ParsedImportMap>?} */
+	let importMapPromise = null;
+	const getImportMap = () => {
+		if (!importMapPromise) importMapPromise = loadImportMap(options);
+		return importMapPromise;
+	};
+	const emptyImportMap = createEmptyImportMap();
+
+	/**
+	 * @param {string} specifier
+	 * @param {URL} baseUrl
+	 * @returns {Promise<{url: URL} | {blockedError: Error} | null>}
+	 */
+	const resolve = async (specifier, baseUrl) => {
+		const importMap = await getImportMap();
+		let resolved;
+		try {
+			resolved = resolveModuleSpecifier(importMap, baseUrl, specifier);
+		} catch (e) {
+			if (e instanceof UnresolvedSpecifierError) return null;
+			if (!(e instanceof TypeError)) throw e;
+			return options.reportBlocked ? { blockedError: e } : null;
+		}
+
+		let unmapped = null;
+		try {
+			unmapped = resolveModuleSpecifier(emptyImportMap, baseUrl, specifier);
+		} catch {
+			// Bare specifiers don't resolve without an import map.
+		}
+		if (unmapped && unmapped.href == resolved.href) return null;
+		return { url: resolved };
+	};
+
+	return {
+		name: "import-map",
+		async resolveId(source, importer) {
+			// Ids starting with a null character are virtual modules from other plugins.
+			if (importer?.startsWith("\0")) return null;
+			const baseUrl = importer ? importerToUrl(importer) : pathToFileURL(process.cwd() + "/");
+			const resolved = await resolve(source, baseUrl);
+			if (!resolved) return null;
+			if ("blockedError" in resolved) return this.error(resolved.blockedError.message);
+			const { url } = resolved;
+			if (url.protocol == "file:") return { id: fileURLToPath(url), external: false };
+			return { id: url.href, external: Boolean(options.external) };
+		},
+		setup(build) {
+			build.onResolve({ filter: /.*/ }, async (args) => {
+				const baseUrl = args.importer ? importerToUrl(args.importer) : pathToFileURL(args.resolveDir + "/");
+				const resolved = await resolve(args.path, baseUrl);
+				if (!resolved) return undefined;
+				if ("blockedError" in resolved) return { errors: [{ text: resolved.blockedError.message }] };
+				const { url } = resolved;
+				if (url.protocol == "file:") return { path: fileURLToPath(url) };
+				if (options.external) return { path: url.href, external: true };
+				return { path: url.href, namespace: url.protocol.slice(0, -1) };
+			});
+		},
+	};
+}
+
+/**
+ * Importers are paths on disk, except for remote modules which were resolved to a full url.
+ * @param {string} importer
+ */
+function importerToUrl(importer) {
+	// The protocol needs at least two characters, so that Windows drive letters aren't mistaken for one.
+	if (/^[a-z][a-z\d+.-]+:/i.test(importer)) {
+		try {
+			return new URL(importer);
+		} catch {
+			// Not a url after all, treat it as a path.
+		}
+	}
+	return pathToFileURL(importer);
+}
+
+/**
+ * @param {ImportMapPluginOptions} options
+ * @returns {Promise<import("./mod.js").ParsedImportMap>}
+ */
+async function loadImportMap(options) {
+	if (typeof options.importMap == "string") {
+		const importMapUrl = pathToFileURL(options.importMap);
+		const json = JSON.parse(await readFile(importMapUrl, { encoding: "utf8" }));
+		return parseImportMap(json, options.baseUrl || importMapUrl);
+	}
+	return parseImportMap(options.importMap, options.baseUrl || pathToFileURL(process.cwd() + "/"));
+}
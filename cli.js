@@ -0,0 +1,288 @@
+#!/usr/bin/env -S deno run --allow-read --allow-write
+/**
+ * @module
+ * A command line interface for working with import maps, which runs in both Deno and Node.js.
+ *
+ * ```
+ * deno run --allow-read https://deno.land/x/import_maps/cli.js resolve lodash --map import_map.json
+ * node cli.js validate import_map.json --json
+ * ```
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { resolve } from "node:path";
+import process from "node:process";
+import { pathToFileURL } from "node:url";
+import {
+	createEmptyImportMap,
+	JsonSyntaxError,
+	mergeImportMaps,
+	parseImportMap,
+	parseImportMapSource,
+	resolveModuleSpecifier,
+	serializeImportMap,
+} from "./mod.js";
+
+const USAGE = `Usage: import-maps <command> [options]
+
+Commands:
+  resolve <specifier> --map <file> [--referrer <url>]
+                           Resolves a specifier. The referrer defaults to the current directory.
+  validate <file>          Reports problems in an import map, exits with 1 when there are any.
+  format <file> [--write]  Normalizes and sorts an import map, keeping urls relative to the file.
+  merge <file...> [--output <file>]
+                           Merges import maps in order, rules from earlier maps take precedence.
+  print <file>             Prints the fully normalized form of an import map, with absolute urls.
+
+Options:
+  --json                   Outputs the result of resolve and validate as json.
+  --help                   Shows this message.`;
+
+const BOOLEAN_FLAGS = ["json", "write", "help"];
+
+/**
+ * @typedef RunCliOptions
+ * @property {(text: string) => void} [stdout] Defaults to `console.log`.
+ * @property {(text: string) => void} [stderr] Defaults to `console.error`.
+ * @property {string} [cwd] The directory that paths are resolved relative to. Defaults to the current working directory.
+ */
+
+/**
+ * @typedef ParsedArgs
+ * @property {string[]} positional
+ * @property {Object.<string, string | true>} flags
+ */
+
+/**
+ * Runs the command line interface with the provided arguments and returns the exit code.
+ * @param {string[]} args The arguments, without the executable and script path.
+ * @param {RunCliOptions} [options]
+ * @returns {Promise<number>}
+ */
+export async function runCli(args, options = {}) {
+	const stdout = options.stdout || ((text) => console.log(text));
+	const stderr = options.stderr || ((text) => console.error(text));
+	const cwd = options.cwd || process.cwd();
+	const cwdUrl = pathToFileURL(cwd + "/");
+
+	let parsedArgs;
+	try {
+		parsedArgs = parseArgs(args);
+	} catch (e) {
+		if (!(e instanceof Error)) throw e;
+		stderr(e.message);
+		return 2;
+	}
+	const { positional, flags } = parsedArgs;
+	const [command, ...operands] = positional;
+	if (flags.help || !command) {
+		stdout(USAGE);
+		return flags.help ? 0 : 2;
+	}
+
+	/**
+	 * @param {string} path
+	 */
+	const toFileUrl = (path) => pathToFileURL(resolve(cwd, path));
+
+	/**
+	 * @param {string} path
+	 */
+	const readImportMap = async (path) => {
+		const url = toFileUrl(path);
+		const json = JSON.parse(await readFile(url, { encoding: "utf8" }));
+		return parseImportMap(json, url, { onDiagnostic: (diagnostic) => stderr(`${path}: ${diagnostic.message}`) });
+	};
+
+	/**
+	 * @param {string} name
+	 */
+	const getStringFlag = (name) => {
+		const value = flags[name];
+		if (value === undefined) return null;
+		if (value === true) throw new Error(`The --${name} option requires a value.`);
+		return value;
+	};
+
+	/**
+	 * @param {number} count
+	 */
+	const expectOperands = (count) => {
+		if (operands.length != count) {
+			throw new Error(`The ${command} command expects ${count} argument(s), but got ${operands.length}.`);
+		}
+	};
+
+	try {
+		if (command == "resolve") {
+			expectOperands(1);
+			const [specifier] = operands;
+			const mapPath = getStringFlag("map");
+			const importMap = mapPath ? await readImportMap(mapPath) : createEmptyImportMap();
+			const referrerFlag = getStringFlag("referrer");
+			const referrer = referrerFlag ? parseReferrer(referrerFlag, cwd) : cwdUrl;
+			/** @type {string?} */
+			let url = null;
+			/** @type {string?} */
+			let error = null;
+			try {
+				url = resolveModuleSpecifier(importMap, referrer, specifier).href;
+			} catch (e) {
+				if (!(e instanceof TypeError)) throw e;
+				error = e.message;
+			}
+			if (flags.json) {
+				stdout(formatJson({ specifier, referrer: referrer.href, url, error }));
+			} else if (url) {
+				stdout(url);
+			} else {
+				stderr(/** @type {string} */ (error));
+			}
+			return url ? 0 : 1;
+		} else if (command == "validate") {
+			expectOperands(1);
+			const [path] = operands;
+			const text = await readFile(toFileUrl(path), { encoding: "utf8" });
+			/** @type {import("./mod.js").ImportMapDiagnostic[]} */
+			const diagnostics = [];
+			/**
+			 * Problems that prevent the import map from being parsed at all.
+			 * @type {{message: string, line: number?, column: number?}?}
+			 */
+			let error = null;
+			try {
+				parseImportMapSource(text, toFileUrl(path), {
+					onDiagnostic: (diagnostic) => diagnostics.push(diagnostic),
+				});
+			} catch (e) {
+				if (e instanceof JsonSyntaxError) {
+					error = { message: e.message, line: e.line, column: e.column };
+				} else if (e instanceof TypeError) {
+					error = { message: e.message, line: null, column: null };
+				} else {
+					throw e;
+				}
+			}
+			const valid = diagnostics.length == 0 && !error;
+			if (flags.json) {
+				stdout(formatJson({ valid, error, diagnostics }));
+			} else {
+				if (error) {
+					const location = error.line != null ? `:${error.line}:${error.column}` : "";
+					stderr(`${path}${location}: error: ${error.message}`);
+				}
+				for (const diagnostic of diagnostics) {
+					const location = diagnostic.range
+						? `:${diagnostic.range.start.line}:${diagnostic.range.start.column}`
+						: "";
+					stderr(`${path}${location}: ${diagnostic.severity}: ${diagnostic.message} (${diagnostic.code})`);
+				}
+				if (valid) stdout(`${path}: no problems found`);
+			}
+			return valid ? 0 : 1;
+		} else if (command == "format") {
+			expectOperands(1);
+			const [path] = operands;
+			const importMap = await readImportMap(path);
+			const formatted = formatJson(serializeImportMap(importMap, { baseUrl: toFileUrl(path) }));
+			if (flags.write) {
+				await writeFile(toFileUrl(path), formatted + "\n");
+			} else {
+				stdout(formatted);
+			}
+			return 0;
+		} else if (command == "merge") {
+			if (operands.length == 0) throw new Error("The merge command expects at least one argument.");
+			let importMap = createEmptyImportMap();
+			for (const path of operands) {
+				importMap = mergeImportMaps(importMap, await readImportMap(path), [], {
+					onDiagnostic: (diagnostic) => stderr(`${path}: ${diagnostic.message}`),
+				});
+			}
+			const outputPath = getStringFlag("output");
+			const baseUrl = toFileUrl(outputPath || operands[0]);
+			const merged = formatJson(serializeImportMap(importMap, { baseUrl }));
+			if (outputPath) {
+				await writeFile(baseUrl, merged + "\n");
+			} else {
+				stdout(merged);
+			}
+			return 0;
+		} else if (command == "print") {
+			expectOperands(1);
+			const importMap = await readImportMap(operands[0]);
+			stdout(formatJson(serializeImportMap(importMap)));
+			return 0;
+		} else {
+			stderr(`Unknown command "${command}".\n\n${USAGE}`);
+			return 2;
+		}
+	} catch (e) {
+		if (!(e instanceof Error)) throw e;
+		stderr(e.message);
+		return 1;
+	}
+}
+
+/**
+ * @param {string[]} args
+ * @returns {ParsedArgs}
+ */
+function parseArgs(args) {
+	/** @type {ParsedArgs} */
+	const parsed = { positional: [], flags: {} };
+	for (let i = 0; i < args.length; i++) {
+		const arg = args[i];
+		if (!arg.startsWith("--")) {
+			parsed.positional.push(arg);
+			continue;
+		}
+		const equalsIndex = arg.indexOf("=");
+		if (equalsIndex != -1) {
+			parsed.flags[arg.slice(2, equalsIndex)] = arg.slice(equalsIndex + 1);
+			continue;
+		}
+		const name = arg.slice(2);
+		if (BOOLEAN_FLAGS.includes(name)) {
+			parsed.flags[name] = true;
+		} else {
+			if (i + 1 >= args.length) throw new Error(`The --${name} option requires a value.`);
+			parsed.flags[name] = args[++i];
+		}
+	}
+	return parsed;
+}
+
+/**
+ * The referrer can be a full url or a path on disk.
+ * @param {string} referrer
+ * @param {string} cwd
+ */
+function parseReferrer(referrer, cwd) {
+	// The protocol needs at least two characters, so that Windows drive letters aren't mistaken for one.
+	if (/^[a-z][a-z\d+.-]+:/i.test(referrer)) return new URL(referrer);
+	return pathToFileURL(resolve(cwd, referrer));
+}
+
+/**
+ * @param {unknown} value
+ */
+function formatJson(value) {
+	return JSON.stringify(value, null, "\t");
+}
+
+/**
+ * Returns true when the module is the one that the process was started with.
+ * Deno sets `import.meta.main`, which also works for remote modules. Node.js doesn't,
+ * so there the url of the module is compared with the path of the entry point instead.
+ * @param {{url: string, main?: boolean}} meta The `import.meta` of the module.
+ * @param {string[]} [argv]
+ */
+export function isMainModule(meta, argv = process.argv) {
+	if (typeof meta.main == "boolean") return meta.main;
+	return Boolean(argv[1]) && meta.url == pathToFileURL(argv[1]).href;
+}
+
+if (isMainModule(import.meta)) {
+	process.exitCode = await runCli(process.argv.slice(2));
+}
@@ -0,0 +1,490 @@
+/**
+ * @module
+ * Functions for converting import maps to and from the `paths` option of a tsconfig.json
+ * and the `imports` field of a package.json.
+ */
+
+import { formatJsonPath } from "./json_path.js";
+import { parseImportMap } from "./mod.js";
+import { resolveExportsTarget } from "./package_exports.js";
+import { relativizeUrl } from "./relative_url.js";
+import { isSpecialUrl, normalizeSpecifierKey } from "./specifier_keys.js";
+
+/**
+ * @typedef {"scope" |
+ * "integrity" |
+ * "url-key" |
+ * "wildcard" |
+ * "remote-address" |
+ * "outside-package" |
+ * "null-entry" |
+ * "fallbacks" |
+ * "not-a-subpath-import" |
+ * "bare-target" |
+ * "no-matching-condition" |
+ * "invalid-target"} UnsupportedMappingCode
+ */
+
+/**
+ * A mapping that can't be represented in the format it is being converted to, and which was left out or changed.
+ * @typedef UnsupportedMapping
+ * @property {UnsupportedMappingCode} code
+ * @property {string?} specifierKey The key of the mapping, or null when the problem is about a whole scope
+ * or the integrity metadata.
+ * @property {string?} scopePrefix The scope that contains the mapping, or null for top-level imports.
+ * @property {string} message
+ */
+
+/**
+ * @typedef TsconfigCompilerOptions
+ * @property {string} [baseUrl] The directory that `paths` are relative to, relative to the tsconfig.json.
+ * @property {Object.<string, string[]>} [paths]
+ */
+
+/**
+ * @typedef ImportMapToTsconfigPathsOptions
+ * @property {string} [baseUrl] The `baseUrl` to use in the compiler options. When set, `paths` are made relative to
+ * it, otherwise they are relative to the tsconfig.json itself.
+ * @property {(diagnostic: import("./mod.js").ImportMapDiagnostic) => void} [onDiagnostic] Gets called for every
+ * problem that parsing the import map reports. Problems are never logged to the console, invalid entries are
+ * reported in `unsupported` with the code `"invalid-target"`.
+ */
+
+/**
+ * @typedef ImportMapToTsconfigPathsResult
+ * @property {TsconfigCompilerOptions} compilerOptions Contains `paths`, and `baseUrl` when it was provided.
+ * @property {UnsupportedMapping[]} unsupported
+ */
+
+/**
+ * @typedef ImportMapConversionResult
+ * @property {import("./mod.js").ImportMapData} importMap
+ * @property {UnsupportedMapping[]} unsupported
+ */
+
+/**
+ * @typedef ImportMapToPackageImportsResult
+ * @property {Object.<string, string?>} imports The `imports` field of the package.json.
+ * @property {UnsupportedMapping[]} unsupported
+ */
+
+/**
+ * @typedef PackageImportsToImportMapOptions
+ * @property {string[]} [conditions] The conditions to use when resolving conditional targets,
+ * `"default"` is always included. Defaults to `["browser", "import", "module"]`.
+ */
+
+/**
+ * Converts the top-level imports of an import map to the `paths` compiler option of TypeScript.
+ * Prefix keys become patterns with a `*` wildcard, such as `"std/*": ["./vendor/std/*"]`.
+ * Scopes, integrity metadata, url keys, null entries and addresses that aren't local files can't be
+ * represented, so they are left out and reported in `unsupported`.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const { compilerOptions, unsupported } = importMapToTsconfigPaths(
+ *     json,
+ *     new URL("./import_map.json", import.meta.url),
+ *     new URL("./tsconfig.json", import.meta.url),
+ * );
+ * tsconfig.compilerOptions = { ...tsconfig.compilerOptions, ...compilerOptions };
+ * ```
+ * @param {import("./mod.js").ImportMapData} importMap
+ * @param {URL} importMapUrl
+ * @param {URL} tsconfigUrl
+ * @param {ImportMapToTsconfigPathsOptions} [options]
+ * @returns {ImportMapToTsconfigPathsResult}
+ */
+export function importMapToTsconfigPaths(importMap, importMapUrl, tsconfigUrl, options = {}) {
+	const { parsed, invalidKeys, unsupported } = parseImportMapForConversion(importMap, importMapUrl, options);
+	const pathsBase = getPathsBase(tsconfigUrl, options.baseUrl);
+
+	/** @type {Object.<string, string[]>} */
+	const paths = {};
+	for (const [specifierKey, address] of Object.entries(parsed.imports)) {
+		if (invalidKeys.has(specifierKey)) continue;
+		/**
+		 * @param {UnsupportedMappingCode} code
+		 * @param {string} message
+		 */
+		const addUnsupported = (code, message) => unsupported.push({ code, specifierKey, scopePrefix: null, message });
+
+		if (isUrlKey(specifierKey)) {
+			addUnsupported(
+				"url-key",
+				`"${specifierKey}" is a url, but paths can only map specifiers that aren't urls.`,
+			);
+			continue;
+		}
+		if (specifierKey.includes("*")) {
+			addUnsupported("wildcard", `"${specifierKey}" contains a "*", which would be interpreted as a wildcard.`);
+			continue;
+		}
+		if (!address) {
+			addUnsupported("null-entry", `"${specifierKey}" is mapped to null, which can't be expressed in paths.`);
+			continue;
+		}
+		const path = relativizeUrl(address, pathsBase);
+		if (!isRelativePath(path)) {
+			addUnsupported(
+				"remote-address",
+				`"${specifierKey}" is mapped to ${address.href}, which isn't a local file.`,
+			);
+			continue;
+		}
+		if (specifierKey.endsWith("/")) {
+			paths[specifierKey + "*"] = [path + "*"];
+		} else {
+			paths[specifierKey] = [path];
+		}
+	}
+
+	/** @type {TsconfigCompilerOptions} */
+	const compilerOptions = { paths };
+	if (options.baseUrl != null) compilerOptions.baseUrl = options.baseUrl;
+	return { compilerOptions, unsupported };
+}
+
+/**
+ * Converts the `paths` compiler option of TypeScript to an import map.
+ * Patterns ending with `/*` become prefix keys. Patterns with a `*` anywhere else can't be represented.
+ * Import maps don't support fallbacks, so only the first path of every pattern is used.
+ *
+ * Unlike TypeScript, browsers don't add file extensions, so paths should point to the exact files that are imported.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const { importMap, unsupported } = tsconfigPathsToImportMap(
+ *     tsconfig.compilerOptions,
+ *     new URL("./tsconfig.json", import.meta.url),
+ *     new URL("./import_map.json", import.meta.url),
+ * );
+ * ```
+ * @param {TsconfigCompilerOptions} compilerOptions
+ * @param {URL} tsconfigUrl
+ * @param {URL} importMapUrl
+ * @returns {ImportMapConversionResult}
+ */
+export function tsconfigPathsToImportMap(compilerOptions, tsconfigUrl, importMapUrl) {
+	const pathsBase = getPathsBase(tsconfigUrl, compilerOptions.baseUrl);
+
+	/** @type {UnsupportedMapping[]} */
+	const unsupported = [];
+	/** @type {Object.<string, string?>} */
+	const imports = {};
+	for (const [pattern, paths] of Object.entries(compilerOptions.paths || {})) {
+		/**
+		 * @param {UnsupportedMappingCode} code
+		 * @param {string} message
+		 */
+		const addUnsupported = (code, message) => {
+			unsupported.push({ code, specifierKey: pattern, scopePrefix: null, message });
+		};
+
+		if (!Array.isArray(paths) || paths.length == 0 || typeof paths[0] != "string") {
+			addUnsupported("invalid-target", `The paths of "${pattern}" need to be an array of strings.`);
+			continue;
+		}
+		const [path] = paths;
+		if (paths.length > 1) {
+			addUnsupported(
+				"fallbacks",
+				`"${pattern}" has multiple paths, but import maps don't support fallbacks. Only "${path}" is used.`,
+			);
+		}
+
+		const specifierKey = patternToSpecifierKey(pattern);
+		const address = patternTargetToAddress(pattern, path);
+		if (specifierKey == null || address == null) {
+			addUnsupported(
+				"wildcard",
+				`"${pattern}" can only be represented when it doesn't contain a "*", or when it and its path end with "/*".`,
+			);
+			continue;
+		}
+		imports[specifierKey] = relativizeUrl(new URL(address, pathsBase), importMapUrl);
+	}
+
+	return { importMap: { imports }, unsupported };
+}
+
+/**
+ * Converts the top-level imports of an import map to the `imports` field of a package.json.
+ * Only keys starting with `#` can be represented, and they need to map to a file inside the package.
+ * Prefix keys become patterns with a `*` wildcard, such as `"#utils/*": "./src/utils/*"`.
+ * Other mappings, scopes and integrity metadata are left out and reported in `unsupported`.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const { imports, unsupported } = importMapToPackageImports(
+ *     json,
+ *     new URL("./import_map.json", import.meta.url),
+ *     new URL("./package.json", import.meta.url),
+ * );
+ * packageJson.imports = imports;
+ * ```
+ * @param {import("./mod.js").ImportMapData} importMap
+ * @param {URL} importMapUrl
+ * @param {URL} packageJsonUrl
+ * @param {import("./mod.js").ImportMapDiagnosticsOptions} [options] Problems that parsing the import map reports
+ * are passed to `onDiagnostic` rather than logged to the console, invalid entries are reported in `unsupported`.
+ * @returns {ImportMapToPackageImportsResult}
+ */
+export function importMapToPackageImports(importMap, importMapUrl, packageJsonUrl, options = {}) {
+	const { parsed, invalidKeys, unsupported } = parseImportMapForConversion(importMap, importMapUrl, options);
+
+	/** @type {Object.<string, string?>} */
+	const imports = {};
+	for (const [specifierKey, address] of Object.entries(parsed.imports)) {
+		if (invalidKeys.has(specifierKey)) continue;
+		/**
+		 * @param {UnsupportedMappingCode} code
+		 * @param {string} message
+		 */
+		const addUnsupported = (code, message) => unsupported.push({ code, specifierKey, scopePrefix: null, message });
+
+		if (!specifierKey.startsWith("#")) {
+			addUnsupported(
+				"not-a-subpath-import",
+				`"${specifierKey}" doesn't start with "#", which is required for the imports field.`,
+			);
+			continue;
+		}
+		if (specifierKey.includes("*")) {
+			addUnsupported("wildcard", `"${specifierKey}" contains a "*", which would be interpreted as a wildcard.`);
+			continue;
+		}
+		const key = specifierKey.endsWith("/") ? specifierKey + "*" : specifierKey;
+		if (!address) {
+			imports[key] = null;
+			continue;
+		}
+		const target = relativizeUrl(address, packageJsonUrl);
+		if (!isRelativePath(target)) {
+			addUnsupported(
+				"remote-address",
+				`"${specifierKey}" is mapped to ${address.href}, which isn't a local file.`,
+			);
+			continue;
+		}
+		if (!target.startsWith("./")) {
+			addUnsupported(
+				"outside-package",
+				`"${specifierKey}" is mapped to ${address.href}, which is outside of the package.`,
+			);
+			continue;
+		}
+		imports[key] = specifierKey.endsWith("/") ? target + "*" : target;
+	}
+
+	return { imports, unsupported };
+}
+
+/**
+ * Converts the `imports` field of a package.json to an import map. Conditional targets are resolved using
+ * the provided conditions. Patterns ending with `/*` become prefix keys, patterns with a `*` anywhere else
+ * can't be represented. Targets that are package names rather than files can't be represented either,
+ * use `generateImportMapFromNodeModules()` for mapping installed packages.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const { importMap, unsupported } = packageImportsToImportMap(
+ *     packageJson.imports,
+ *     new URL("./package.json", import.meta.url),
+ *     new URL("./import_map.json", import.meta.url),
+ * );
+ * ```
+ * @param {Object.<string, unknown>} packageImports
+ * @param {URL} packageJsonUrl
+ * @param {URL} importMapUrl
+ * @param {PackageImportsToImportMapOptions} [options]
+ * @returns {ImportMapConversionResult}
+ */
+export function packageImportsToImportMap(packageImports, packageJsonUrl, importMapUrl, options = {}) {
+	const conditions = options.conditions || ["browser", "import", "module"];
+
+	/** @type {UnsupportedMapping[]} */
+	const unsupported = [];
+	/** @type {Object.<string, string?>} */
+	const imports = {};
+	for (const [pattern, target] of Object.entries(packageImports)) {
+		/**
+		 * @param {UnsupportedMappingCode} code
+		 * @param {string} message
+		 */
+		const addUnsupported = (code, message) => {
+			unsupported.push({ code, specifierKey: pattern, scopePrefix: null, message });
+		};
+
+		if (!pattern.startsWith("#")) {
+			addUnsupported("not-a-subpath-import", `"${pattern}" doesn't start with "#", so Node.js ignores it.`);
+			continue;
+		}
+		const specifierKey = patternToSpecifierKey(pattern);
+		const wildcardMessage =
+			`"${pattern}" can only be represented when it doesn't contain a "*", or when it and its target end with "/*".`;
+		if (specifierKey == null) {
+			addUnsupported("wildcard", wildcardMessage);
+			continue;
+		}
+		if (target === null) {
+			imports[specifierKey] = null;
+			continue;
+		}
+
+		const resolvedTarget = resolveExportsTarget(target, conditions);
+		if (resolvedTarget == null) {
+			addUnsupported(
+				"no-matching-condition",
+				`None of the conditions of "${pattern}" match ${
+					conditions.map((c) => `"${c}"`).join(", ")
+				} or "default".`,
+			);
+			continue;
+		}
+		if (!resolvedTarget.startsWith("./")) {
+			addUnsupported(
+				"bare-target",
+				`"${pattern}" is mapped to "${resolvedTarget}", which is a package rather than a file in this package.`,
+			);
+			continue;
+		}
+		const address = patternTargetToAddress(pattern, resolvedTarget);
+		if (address == null) {
+			addUnsupported("wildcard", wildcardMessage);
+			continue;
+		}
+		imports[specifierKey] = relativizeUrl(new URL(address, packageJsonUrl), importMapUrl);
+	}
+
+	return { importMap: { imports }, unsupported };
+}
+
+/**
+ * Parses an import map that is about to be converted. `parseImportMap()` turns invalid entries into null entries,
+ * which would block the specifier after converting. Instead, the problems are reported as `"invalid-target"`,
+ * and the keys of the invalid entries are returned so that they can be left out.
+ * Scopes and integrity metadata are reported as well, since neither format supports them.
+ * @param {import("./mod.js").ImportMapData} importMap
+ * @param {URL} importMapUrl
+ * @param {import("./mod.js").ImportMapDiagnosticsOptions} options
+ */
+function parseImportMapForConversion(importMap, importMapUrl, options) {
+	/**
+	 * The normalized key of every top-level import by its json path, for finding the entry of a diagnostic.
+	 * @type {Map<string, string?>}
+	 */
+	const keysByPath = new Map();
+	/** @type {Set<string>} */
+	const nullPaths = new Set();
+	if (importMap.imports && typeof importMap.imports == "object") {
+		for (const [specifierKey, value] of Object.entries(importMap.imports)) {
+			const path = formatJsonPath(["imports", specifierKey]);
+			keysByPath.set(path, normalizeSpecifierKey(specifierKey, importMapUrl, () => {}, []));
+			if (value === null) nullPaths.add(path);
+		}
+	}
+
+	/** @type {UnsupportedMapping[]} */
+	const unsupported = [];
+	/** @type {Set<string>} */
+	const invalidKeys = new Set();
+	const parsed = parseImportMap(importMap, importMapUrl, {
+		onDiagnostic(diagnostic) {
+			if (options.onDiagnostic) options.onDiagnostic(diagnostic);
+			// The spec reports null addresses as well, but those block the specifier on purpose.
+			if (diagnostic.code == "non-string-address" && nullPaths.has(diagnostic.path)) return;
+			const specifierKey = keysByPath.get(diagnostic.path) ?? null;
+			if (specifierKey != null) invalidKeys.add(specifierKey);
+			unsupported.push({ code: "invalid-target", specifierKey, scopePrefix: null, message: diagnostic.message });
+		},
+	});
+	unsupported.push(...getUnsupportedScopesAndIntegrity(parsed));
+	return { parsed, invalidKeys, unsupported };
+}
+
+/**
+ * @param {import("./mod.js").ParsedImportMap} importMap
+ * @returns {UnsupportedMapping[]}
+ */
+function getUnsupportedScopesAndIntegrity(importMap) {
+	/** @type {UnsupportedMapping[]} */
+	const unsupported = [];
+	for (const scopePrefix of Object.keys(importMap.scopes)) {
+		unsupported.push({
+			code: "scope",
+			specifierKey: null,
+			scopePrefix,
+			message: `The scope "${scopePrefix}" can't be represented, only top-level imports can.`,
+		});
+	}
+	if (Object.keys(importMap.integrity || {}).length > 0) {
+		unsupported.push({
+			code: "integrity",
+			specifierKey: null,
+			scopePrefix: null,
+			message: "Integrity metadata can't be represented.",
+		});
+	}
+	return unsupported;
+}
+
+/**
+ * Returns the directory that the `paths` of a tsconfig.json are relative to.
+ * @param {URL} tsconfigUrl
+ * @param {string} [baseUrl]
+ */
+function getPathsBase(tsconfigUrl, baseUrl) {
+	if (baseUrl == null) return new URL("./", tsconfigUrl);
+	return new URL(baseUrl.endsWith("/") ? baseUrl : baseUrl + "/", tsconfigUrl);
+}
+
+/**
+ * Turns a pattern of `paths` or of the `imports` field into an import map key. Patterns without a `*` are used as is,
+ * patterns ending with `/*` become prefix keys. Returns null for patterns with a `*` anywhere else.
+ * @param {string} pattern
+ */
+function patternToSpecifierKey(pattern) {
+	if (!pattern.includes("*")) return pattern;
+	if (pattern.indexOf("*") != pattern.length - 1 || !pattern.endsWith("/*")) return null;
+	return pattern.slice(0, -1);
+}
+
+/**
+ * Turns the target of a pattern into an import map address, relative to the same base as the target.
+ * Returns null when the target doesn't have a wildcard in the same form as the pattern.
+ * @param {string} pattern
+ * @param {string} target
+ */
+function patternTargetToAddress(pattern, target) {
+	if (!pattern.includes("*")) return target.includes("*") ? null : target;
+	// A target of just "*" maps to the base directory itself.
+	if (target == "*") return "./";
+	if (target.indexOf("*") != target.length - 1 || !target.endsWith("/*")) return null;
+	return target.slice(0, -1);
+}
+
+/**
+ * @param {string} path
+ */
+function isRelativePath(path) {
+	return path.startsWith("./") || path.startsWith("../") || path.startsWith("/");
+}
+
+/**
+ * Returns true when the specifier key was normalized to a url that can be used as a prefix, such as a `file:` url.
+ * @param {string} specifierKey
+ */
+function isUrlKey(specifierKey) {
+	let url;
+	try {
+		url = new URL(specifierKey);
+	} catch {
+		return false;
+	}
+	return isSpecialUrl(url);
+}
@@ -0,0 +1,210 @@
+/**
+ * @module
+ * Functions for loading import maps the way Deno does, from a deno.json or deno.jsonc configuration file.
+ */
+
+import { readFile } from "node:fs/promises";
+import { parseImportMap } from "./mod.js";
+
+const EXPANDABLE_PROTOCOLS = ["npm:", "jsr:"];
+
+/**
+ * A recoverable problem in the import map, or in the configuration file itself.
+ * Problems in the configuration file have the code `"ignored-import-map-field"`, and their path points into that file.
+ * @typedef {Omit<import("./mod.js").ImportMapDiagnostic, "code"> & {
+ * code: import("./mod.js").ImportMapDiagnosticCode | "ignored-import-map-field"}} DenoConfigDiagnostic
+ */
+
+/**
+ * @typedef DenoConfigOptionsBase
+ * @property {boolean} [denoCompatibility] When true, the import map is expanded using `expandDenoImports()`
+ * before it is parsed, so that specifiers resolve the same way as they do in Deno.
+ * @property {(diagnostic: DenoConfigDiagnostic) => void} [onDiagnostic] Gets called for every
+ * recoverable problem. When this is not set, problems are reported using `console.warn()`.
+ */
+
+/**
+ * @typedef {Omit<import("./mod.js").ParseImportMapOptions, "onDiagnostic"> & DenoConfigOptionsBase} LoadDenoConfigImportMapOptions
+ */
+
+/**
+ * @typedef DenoConfigImportMap
+ * @property {import("./mod.js").ParsedImportMap} importMap
+ * @property {URL} importMapUrl The url that was used as base url for parsing the import map.
+ * This is the url of the configuration file when the mappings are inlined in it.
+ */
+
+/**
+ * Loads the import map of a deno.json or deno.jsonc configuration file.
+ * Mappings can be inlined using the `imports` and `scopes` fields, or placed in a separate file referenced
+ * by the `importMap` field, which is resolved relative to the configuration file. Like Deno,
+ * the `importMap` field is ignored when the configuration contains `imports` or `scopes`.
+ * When the configuration has no mappings at all, an empty import map is returned.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const configUrl = new URL("./deno.json", import.meta.url);
+ * const { importMap } = await loadDenoConfigImportMap(configUrl, { denoCompatibility: true });
+ * const resolved = resolveModuleSpecifier(importMap, new URL("./main.js", configUrl), "@std/path/posix");
+ * console.log(resolved); // URL { href: "jsr:/@std/path@1/posix" }
+ * ```
+ * @param {URL} configUrl The url of the configuration file, `file:` and `http(s):` urls are supported.
+ * @param {LoadDenoConfigImportMapOptions} [options]
+ * @returns {Promise<DenoConfigImportMap>}
+ */
+export async function loadDenoConfigImportMap(configUrl, options = {}) {
+	const { denoCompatibility, ...parseOptions } = options;
+	const config = parseJsonc(await readTextFromUrl(configUrl));
+	if (!config || typeof config != "object" || Array.isArray(config)) {
+		throw new TypeError(`The configuration file at ${configUrl.href} does not contain an object.`);
+	}
+
+	/** @type {import("./mod.js").ImportMapData} */
+	let importMapData = {};
+	let importMapUrl = configUrl;
+	if ("imports" in config || "scopes" in config) {
+		if ("importMap" in config) {
+			const message =
+				`The "importMap" field in ${configUrl.href} is ignored because "imports" or "scopes" are specified.`;
+			if (parseOptions.onDiagnostic) {
+				parseOptions.onDiagnostic({
+					code: "ignored-import-map-field",
+					severity: "warning",
+					message,
+					path: "importMap",
+				});
+			} else {
+				console.warn(message);
+			}
+		}
+		importMapData = { imports: config.imports, scopes: config.scopes };
+	} else if ("importMap" in config) {
+		if (typeof config.importMap != "string") {
+			throw new TypeError(`The "importMap" field in ${configUrl.href} is not a string.`);
+		}
+		importMapUrl = new URL(config.importMap, configUrl);
+		importMapData = JSON.parse(await readTextFromUrl(importMapUrl));
+	}
+
+	if (denoCompatibility) importMapData = expandDenoImports(importMapData);
+	const importMap = parseImportMap(importMapData, importMapUrl, parseOptions);
+	return { importMap, importMapUrl };
+}
+
+/**
+ * Adds the entries that Deno implicitly creates for `npm:` and `jsr:` mappings.
+ * The spec excludes these non-special schemes from prefix matching, so an entry like
+ * `"foo": "npm:foo@1"` normally only covers `foo` itself. Deno also makes it cover `foo/sub`,
+ * which resolves to `npm:/foo@1/sub`. This adds a `"foo/": "npm:/foo@1/"` entry for every such mapping,
+ * unless the specifier map already contains a `foo/` key.
+ * Both the top-level imports and the imports of every scope are expanded.
+ * @param {import("./mod.js").ImportMapData} importMapData
+ * @returns {import("./mod.js").ImportMapData}
+ */
+export function expandDenoImports(importMapData) {
+	/** @type {import("./mod.js").ImportMapData} */
+	const expanded = { ...importMapData };
+	if (isPlainObject(importMapData.imports)) {
+		expanded.imports = expandSpecifierMap(importMapData.imports);
+	}
+	if (isPlainObject(importMapData.scopes)) {
+		/** @type {import("./mod.js").ImportMapScopesData} */
+		const scopes = {};
+		for (const [scopePrefix, scopeImports] of Object.entries(importMapData.scopes)) {
+			scopes[scopePrefix] = isPlainObject(scopeImports) ? expandSpecifierMap(scopeImports) : scopeImports;
+		}
+		expanded.scopes = scopes;
+	}
+	return expanded;
+}
+
+/**
+ * @param {import("./mod.js").ImportMapPotentialSpecifierMapData} specifierMap
+ */
+function expandSpecifierMap(specifierMap) {
+	/** @type {import("./mod.js").ImportMapPotentialSpecifierMapData} */
+	const expanded = { ...specifierMap };
+	for (const [specifierKey, value] of Object.entries(specifierMap)) {
+		if (specifierKey.endsWith("/") || typeof value != "string") continue;
+		const protocol = EXPANDABLE_PROTOCOLS.find((protocol) => value.startsWith(protocol));
+		if (!protocol) continue;
+		const prefixKey = specifierKey + "/";
+		if (prefixKey in specifierMap) continue;
+
+		// Inserting a slash after the protocol turns the opaque path into a hierarchical one,
+		// which allows the rest of the specifier to be resolved relative to it.
+		let path = value.slice(protocol.length);
+		if (!path.startsWith("/")) path = "/" + path;
+		if (!path.endsWith("/")) path += "/";
+		expanded[prefixKey] = protocol + path;
+	}
+	return expanded;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Object.<string, any>}
+ */
+function isPlainObject(value) {
+	return Boolean(value) && typeof value == "object" && !Array.isArray(value);
+}
+
+/**
+ * @param {URL} url
+ */
+async function readTextFromUrl(url) {
+	if (url.protocol == "file:") {
+		return await readFile(url, { encoding: "utf8" });
+	}
+	const response = await fetch(url);
+	if (!response.ok) {
+		throw new Error(`Failed to fetch ${url.href}: ${response.status} ${response.statusText}`);
+	}
+	return await response.text();
+}
+
+/**
+ * Parses JSON with comments and trailing commas, as used by deno.jsonc files.
+ * @param {string} text
+ */
+function parseJsonc(text) {
+	let result = "";
+	let index = 0;
+	/**
+	 * The index in `result` of the last comma outside of a string, if only whitespace and comments followed it.
+	 * @type {number?}
+	 */
+	let pendingComma = null;
+	while (index < text.length) {
+		const char = text[index];
+		if (char == '"') {
+			const start = index;
+			index++;
+			while (index < text.length && text[index] != '"') {
+				index += text[index] == "\\" ? 2 : 1;
+			}
+			index++;
+			result += text.slice(start, index);
+			pendingComma = null;
+		} else if (char == "/" && text[index + 1] == "/") {
+			const lineEnd = text.indexOf("\n", index);
+			index = lineEnd == -1 ? text.length : lineEnd;
+		} else if (char == "/" && text[index + 1] == "*") {
+			const commentEnd = text.indexOf("*/", index + 2);
+			index = commentEnd == -1 ? text.length : commentEnd + 2;
+		} else {
+			if ((char == "}" || char == "]") && pendingComma != null) {
+				result = result.slice(0, pendingComma) + " " + result.slice(pendingComma + 1);
+			}
+			if (char == ",") {
+				pendingComma = result.length;
+			} else if (!/\s/.test(char)) {
+				pendingComma = null;
+			}
+			result += char;
+			index++;
+		}
+	}
+	return JSON.parse(result);
+}
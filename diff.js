@@ -0,0 +1,227 @@
+/**
+ * @module
+ * Functions for comparing two import maps, both by their entries and by how specifiers resolve.
+ */
+
+import { resolveModuleSpecifier } from "./mod.js";
+
+/**
+ * @typedef ImportMapEntry
+ * @property {string} specifierKey
+ * @property {URL?} address The address of the entry, null when the specifier is blocked.
+ */
+
+/**
+ * @typedef ChangedImportMapEntry
+ * @property {string} specifierKey
+ * @property {URL?} before
+ * @property {URL?} after
+ */
+
+/**
+ * @typedef SpecifierMapDiff
+ * @property {ImportMapEntry[]} added
+ * @property {ImportMapEntry[]} removed
+ * @property {ChangedImportMapEntry[]} changed
+ */
+
+/**
+ * @typedef ScopeDiffBase
+ * @property {"added" | "removed" | "changed"} status Whether the whole scope was added or removed,
+ * or only some of its entries changed.
+ */
+
+/**
+ * @typedef {SpecifierMapDiff & ScopeDiffBase} ScopeDiff
+ */
+
+/**
+ * @typedef IntegrityDiff
+ * @property {string[]} added The urls that integrity metadata was added for.
+ * @property {string[]} removed The urls that no longer have integrity metadata.
+ * @property {string[]} changed The urls that have different integrity metadata.
+ */
+
+/**
+ * @typedef ImportMapDiff
+ * @property {SpecifierMapDiff} imports The changes to the top-level imports.
+ * @property {Object.<string, ScopeDiff>} scopes The changes per scope prefix, only scopes that changed are included.
+ * @property {IntegrityDiff} integrity
+ * @property {boolean} equal Whether the import maps have exactly the same entries.
+ */
+
+/**
+ * @typedef SpecifierWithReferrer
+ * @property {string} specifier
+ * @property {URL} referrer The url of the module that imports the specifier.
+ */
+
+/**
+ * @typedef ResolutionOutcome
+ * @property {URL?} url The resolved url, or null when resolution threw.
+ * @property {Error?} error The error that was thrown, or null when resolution succeeded.
+ */
+
+/**
+ * @typedef ResolutionChange
+ * @property {string} specifier
+ * @property {URL} referrer
+ * @property {"changed" | "newly-throws" | "no-longer-throws"} kind
+ * - `"changed"` - The specifier resolves to a different url, or throws a different error.
+ * - `"newly-throws"` - The specifier resolved before, but now throws.
+ * - `"no-longer-throws"` - The specifier threw before, but now resolves.
+ * @property {ResolutionOutcome} before
+ * @property {ResolutionOutcome} after
+ */
+
+/**
+ * Compares the entries of two parsed import maps.
+ * Entries are compared by their normalized specifier key, so keys that are written differently but
+ * normalize to the same url are considered the same entry.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const diff = diffImportMaps(oldImportMap, newImportMap);
+ * for (const { specifierKey, before, after } of diff.imports.changed) {
+ *     console.log(`${specifierKey}: ${before?.href} -> ${after?.href}`);
+ * }
+ * ```
+ * @param {import("./mod.js").ParsedImportMap} before
+ * @param {import("./mod.js").ParsedImportMap} after
+ * @returns {ImportMapDiff}
+ */
+export function diffImportMaps(before, after) {
+	const imports = diffSpecifierMaps(before.imports, after.imports);
+	let equal = isEmptyDiff(imports);
+
+	/** @type {Object.<string, ScopeDiff>} */
+	const scopes = {};
+	const scopePrefixes = new Set([...Object.keys(before.scopes), ...Object.keys(after.scopes)]);
+	for (const scopePrefix of scopePrefixes) {
+		const beforeScope = before.scopes[scopePrefix];
+		const afterScope = after.scopes[scopePrefix];
+		const diff = diffSpecifierMaps(beforeScope || {}, afterScope || {});
+		/** @type {ScopeDiff["status"]} */
+		let status = "changed";
+		if (!beforeScope) {
+			status = "added";
+		} else if (!afterScope) {
+			status = "removed";
+		} else if (isEmptyDiff(diff)) {
+			continue;
+		}
+		scopes[scopePrefix] = { status, ...diff };
+		equal = false;
+	}
+
+	/** @type {IntegrityDiff} */
+	const integrity = { added: [], removed: [], changed: [] };
+	const beforeIntegrity = before.integrity || {};
+	const afterIntegrity = after.integrity || {};
+	for (const [url, metadata] of Object.entries(afterIntegrity)) {
+		if (!Object.hasOwn(beforeIntegrity, url)) {
+			integrity.added.push(url);
+		} else if (beforeIntegrity[url] != metadata) {
+			integrity.changed.push(url);
+		}
+	}
+	for (const url of Object.keys(beforeIntegrity)) {
+		if (!Object.hasOwn(afterIntegrity, url)) integrity.removed.push(url);
+	}
+	if (integrity.added.length > 0 || integrity.removed.length > 0 || integrity.changed.length > 0) {
+		equal = false;
+	}
+
+	return { imports, scopes, integrity, equal };
+}
+
+/**
+ * Resolves every specifier with both import maps and returns the ones that resolve differently.
+ * Errors are compared by their message, so a specifier that is blocked in a different way is also reported.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const changes = diffResolutions(oldImportMap, newImportMap, [
+ *     { specifier: "lodash", referrer: new URL("https://example.com/main.js") },
+ * ]);
+ * for (const change of changes) {
+ *     console.log(change.specifier, change.kind, change.before.url?.href, change.after.url?.href);
+ * }
+ * ```
+ * @param {import("./mod.js").ParsedImportMap} before
+ * @param {import("./mod.js").ParsedImportMap} after
+ * @param {Iterable<SpecifierWithReferrer>} specifiers
+ * @returns {ResolutionChange[]}
+ */
+export function diffResolutions(before, after, specifiers) {
+	/** @type {ResolutionChange[]} */
+	const changes = [];
+	for (const { specifier, referrer } of specifiers) {
+		const beforeOutcome = resolveOutcome(before, referrer, specifier);
+		const afterOutcome = resolveOutcome(after, referrer, specifier);
+
+		/** @type {ResolutionChange["kind"]?} */
+		let kind = null;
+		if (beforeOutcome.url && afterOutcome.url) {
+			if (beforeOutcome.url.href != afterOutcome.url.href) kind = "changed";
+		} else if (beforeOutcome.url) {
+			kind = "newly-throws";
+		} else if (afterOutcome.url) {
+			kind = "no-longer-throws";
+		} else if (beforeOutcome.error?.message != afterOutcome.error?.message) {
+			kind = "changed";
+		}
+		if (kind) {
+			changes.push({ specifier, referrer, kind, before: beforeOutcome, after: afterOutcome });
+		}
+	}
+	return changes;
+}
+
+/**
+ * @param {import("./mod.js").SpecifierMap} before
+ * @param {import("./mod.js").SpecifierMap} after
+ * @returns {SpecifierMapDiff}
+ */
+function diffSpecifierMaps(before, after) {
+	/** @type {SpecifierMapDiff} */
+	const diff = { added: [], removed: [], changed: [] };
+	for (const [specifierKey, address] of Object.entries(after)) {
+		if (!Object.hasOwn(before, specifierKey)) {
+			diff.added.push({ specifierKey, address });
+			continue;
+		}
+		const beforeAddress = before[specifierKey];
+		if (beforeAddress?.href != address?.href) {
+			diff.changed.push({ specifierKey, before: beforeAddress, after: address });
+		}
+	}
+	for (const [specifierKey, address] of Object.entries(before)) {
+		if (!Object.hasOwn(after, specifierKey)) diff.removed.push({ specifierKey, address });
+	}
+	return diff;
+}
+
+/**
+ * @param {SpecifierMapDiff} diff
+ */
+function isEmptyDiff(diff) {
+	return diff.added.length == 0 && diff.removed.length == 0 && diff.changed.length == 0;
+}
+
+/**
+ * @param {import("./mod.js").ParsedImportMap} importMap
+ * @param {URL} referrer
+ * @param {string} specifier
+ * @returns {ResolutionOutcome}
+ */
+function resolveOutcome(importMap, referrer, specifier) {
+	try {
+		return { url: resolveModuleSpecifier(importMap, referrer, specifier), error: null };
+	} catch (e) {
+		if (!(e instanceof Error)) throw e;
+		return { url: null, error: e };
+	}
+}
@@ -0,0 +1,193 @@
+/**
+ * @module
+ * Fallback resolvers for bare specifiers that are not remapped by an import map.
+ * Pass them to the `fallbackResolvers` option of `resolveModuleSpecifier()` or `createResolver()`.
+ */
+
+import { readFileSync } from "node:fs";
+import { getExportsSubpaths, resolvePackageMapMatch } from "./package_exports.js";
+
+/**
+ * @typedef NodeFallbackResolverOptions
+ * @property {string[]} [conditions] The conditions to use when resolving the `exports` and `imports` fields,
+ * in addition to `"default"`. Defaults to `["import", "module"]`.
+ * @property {(url: URL) => string?} [readFile] Reads a file and returns its content, or null when it doesn't exist.
+ * Defaults to reading from the file system.
+ */
+
+/**
+ * Creates a fallback resolver that resolves bare specifiers the way Node.js does.
+ * Package names are looked up in the node_modules directories of the referrer and its parent directories,
+ * using the `exports` field of the package.json, or the `main` field when it has none.
+ * Specifiers starting with `#` are resolved using the `imports` field of the package.json nearest to the referrer.
+ * Only `file:` referrers are supported.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const resolved = resolveModuleSpecifier(parsedImportMap, baseUrl, "lodash-es", {
+ *     fallbackResolvers: [createNodeFallbackResolver()],
+ * });
+ * ```
+ * @param {NodeFallbackResolverOptions} [options]
+ * @returns {import("./mod.js").FallbackResolver}
+ */
+export function createNodeFallbackResolver(options = {}) {
+	const conditions = options.conditions || ["import", "module"];
+	const readFile = options.readFile || readFileFromDisk;
+
+	/**
+	 * @param {URL} directory
+	 * @returns {import("./node_modules.js").PackageJson?}
+	 */
+	const readPackageJson = (directory) => {
+		const text = readFile(new URL("package.json", directory));
+		if (text == null) return null;
+		return JSON.parse(text);
+	};
+
+	/**
+	 * @param {string} name
+	 * @param {string} subpath
+	 * @param {URL} referrer
+	 * @returns {URL?}
+	 */
+	const resolvePackage = (name, subpath, referrer) => {
+		let directory = new URL("./", referrer);
+		while (true) {
+			if (!directory.pathname.endsWith("/node_modules/")) {
+				const packageDirectory = new URL(`node_modules/${name}/`, directory);
+				const packageJson = readPackageJson(packageDirectory);
+				if (packageJson) {
+					if (packageJson.exports !== undefined && packageJson.exports !== null) {
+						const target = resolvePackageMapMatch(
+							subpath,
+							getExportsSubpaths(packageJson.exports),
+							conditions,
+						);
+						if (target == null) return null;
+						return new URL(target, packageDirectory);
+					}
+					if (subpath == ".") {
+						return new URL(packageJson.main || "index.js", packageDirectory);
+					}
+					return new URL(subpath, packageDirectory);
+				}
+			}
+			if (directory.pathname == "/") return null;
+			directory = new URL("../", directory);
+		}
+	};
+
+	/**
+	 * @param {string} specifier
+	 * @param {URL} referrer
+	 * @returns {URL?}
+	 */
+	const resolvePackageImports = (specifier, referrer) => {
+		let directory = new URL("./", referrer);
+		while (true) {
+			const packageJson = readPackageJson(directory);
+			if (packageJson) {
+				if (!packageJson.imports || typeof packageJson.imports != "object") return null;
+				const target = resolvePackageMapMatch(specifier, packageJson.imports, conditions);
+				if (target == null) return null;
+				if (target.startsWith("./")) return new URL(target, directory);
+				// Targets that aren't relative are package names or urls.
+				if (isUrl(target)) return new URL(target);
+				const { name, subpath } = splitPackageSpecifier(target);
+				return resolvePackage(name, subpath, directory);
+			}
+			if (directory.pathname == "/") return null;
+			directory = new URL("../", directory);
+		}
+	};
+
+	return ({ specifier, referrer }) => {
+		if (referrer.protocol != "file:") return null;
+		if (specifier.startsWith("#")) return resolvePackageImports(specifier, referrer);
+		const { name, subpath } = splitPackageSpecifier(specifier);
+		if (!name) return null;
+		return resolvePackage(name, subpath, referrer);
+	};
+}
+
+/**
+ * Creates a fallback resolver that resolves bare specifiers to a url on a CDN.
+ * The template may contain the following placeholders:
+ * - `{specifier}` - The full specifier, such as `@scope/pkg/utils.js`.
+ * - `{name}` - The package name, such as `@scope/pkg`.
+ * - `{subpath}` - The part of the specifier after the package name including the leading slash, such as `/utils.js`,
+ * or an empty string when the specifier is only a package name.
+ *
+ * Specifiers starting with `#` are not resolved, since they are private to a package.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const resolved = resolveModuleSpecifier(parsedImportMap, baseUrl, "preact/hooks", {
+ *     fallbackResolvers: [createCdnFallbackResolver("https://esm.sh/{specifier}")],
+ * });
+ * console.log(resolved); // URL { href: "https://esm.sh/preact/hooks" }
+ * ```
+ * @param {string} template
+ * @returns {import("./mod.js").FallbackResolver}
+ */
+export function createCdnFallbackResolver(template) {
+	return ({ specifier }) => {
+		if (specifier.startsWith("#")) return null;
+		const { name, subpath } = splitPackageSpecifier(specifier);
+		if (!name) return null;
+		const url = template
+			.replaceAll("{specifier}", specifier)
+			.replaceAll("{name}", name)
+			.replaceAll("{subpath}", subpath.slice(1));
+		try {
+			return new URL(url);
+		} catch {
+			return null;
+		}
+	};
+}
+
+/**
+ * Splits a bare specifier into a package name and a subpath relative to the package directory.
+ * For example, `@scope/pkg/utils.js` becomes `{name: "@scope/pkg", subpath: "./utils.js"}`.
+ * The name is an empty string when the specifier is not a valid package name.
+ * @param {string} specifier
+ */
+function splitPackageSpecifier(specifier) {
+	const segments = specifier.split("/");
+	const nameSegmentCount = specifier.startsWith("@") ? 2 : 1;
+	if (segments.length < nameSegmentCount || segments.slice(0, nameSegmentCount).some((segment) => !segment)) {
+		return { name: "", subpath: "" };
+	}
+	const name = segments.slice(0, nameSegmentCount).join("/");
+	const rest = segments.slice(nameSegmentCount);
+	const subpath = rest.length > 0 ? "./" + rest.join("/") : ".";
+	return { name, subpath };
+}
+
+/**
+ * @param {string} value
+ */
+function isUrl(value) {
+	try {
+		new URL(value);
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * @param {URL} url
+ */
+function readFileFromDisk(url) {
+	try {
+		return readFileSync(url, { encoding: "utf8" });
+	} catch (e) {
+		if (e instanceof Error && "code" in e && (e.code == "ENOENT" || e.code == "ENOTDIR")) return null;
+		throw e;
+	}
+}
@@ -0,0 +1,391 @@
+/**
+ * @module
+ * Functions for finding, parsing and updating import maps in the `<script type="importmap">` tags of HTML documents.
+ */
+
+import { createEmptyImportMap, JsonSyntaxError, mergeImportMaps, parseImportMapSource } from "./mod.js";
+
+/**
+ * Elements whose content is not parsed as HTML, so tags inside them should be ignored.
+ */
+const RAW_TEXT_ELEMENTS = ["script", "style", "textarea", "title", "xmp", "noembed", "noframes"];
+
+/**
+ * @typedef HtmlAttribute
+ * @property {string} value The value of the attribute, with character references decoded.
+ * @property {number} start The offset where the attribute name starts.
+ * @property {number} end The offset right after the attribute value.
+ */
+
+/**
+ * @typedef HtmlTag
+ * @property {string} name The lowercase tag name.
+ * @property {boolean} closing Whether this is a closing tag such as `</head>`.
+ * @property {Map<string, HtmlAttribute>} attributes
+ * @property {number} start
+ * @property {number} end
+ * @property {number} [contentEnd] For raw text elements, the offset where the closing tag starts.
+ * @property {number} [elementEnd] For raw text elements, the offset right after the closing tag.
+ */
+
+/**
+ * @typedef HtmlImportMapScript
+ * @property {import("./mod.js").ParsedImportMap?} importMap The parsed import map, or null when it could not
+ * be parsed, when it has a `src` attribute, or when it was ignored.
+ * @property {URL?} src The resolved url of the `src` attribute, if the script has one.
+ * Browsers don't support external import maps, so these need to be loaded and parsed separately.
+ * @property {string?} text The content of the script tag, or null when it has a `src` attribute.
+ * @property {boolean} ignored Whether the script comes after the first module script, which makes browsers ignore it.
+ * @property {Error?} error The error that occurred while parsing the import map.
+ * @property {import("./mod.js").ImportMapDiagnostic[]} diagnostics Problems that were found while parsing the import map.
+ * Their ranges are relative to `text`.
+ * @property {number} start The offset of the opening `<script` tag.
+ * @property {number} end The offset right after the closing `</script>` tag.
+ */
+
+/**
+ * @typedef HtmlImportMapWarning
+ * @property {"import-map-after-module-script" | "external-import-map"} code
+ * @property {string} message
+ * @property {number} start The offset of the `<script` tag that the warning is about.
+ */
+
+/**
+ * @typedef ExtractImportMapsFromHtmlResult
+ * @property {HtmlImportMapScript[]} scripts Every import map script in the document, in document order.
+ * @property {import("./mod.js").ParsedImportMap} importMap The inline import maps that the browser would use, merged in order.
+ * @property {HtmlImportMapWarning[]} warnings
+ * @property {URL} baseUrl The base url of the document, which is the `href` of the first `<base>` tag if it has one.
+ */
+
+/**
+ * @typedef InjectImportMapIntoHtmlOptions
+ * @property {string} [indentation] The string used for indenting the json. Defaults to a tab.
+ */
+
+/**
+ * Finds all `<script type="importmap">` tags in an HTML document and parses them.
+ * Urls in the import maps are resolved relative to the base url of the document, which takes `<base href>` into account.
+ * Just like browsers, import maps after the first `<script type="module">` or `<link rel="modulepreload">` are
+ * ignored, a warning is added for each of them.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const html = await Deno.readTextFile("index.html");
+ * const { importMap, warnings } = extractImportMapsFromHtml(html, new URL("https://example.com/index.html"));
+ * ```
+ * @param {string} html
+ * @param {URL} documentUrl
+ * @returns {ExtractImportMapsFromHtmlResult}
+ */
+export function extractImportMapsFromHtml(html, documentUrl) {
+	/** @type {HtmlImportMapScript[]} */
+	const scripts = [];
+	/** @type {HtmlImportMapWarning[]} */
+	const warnings = [];
+	let importMap = createEmptyImportMap();
+	let baseUrl = documentUrl;
+	let foundBase = false;
+	let acquiringImportMaps = true;
+
+	for (const tag of scanHtmlTags(html)) {
+		if (tag.closing) continue;
+		if (tag.name == "base" && !foundBase && tag.attributes.has("href")) {
+			foundBase = true;
+			try {
+				baseUrl = new URL(/** @type {HtmlAttribute} */ (tag.attributes.get("href")).value, documentUrl);
+			} catch {
+				// Browsers ignore base urls that fail to parse.
+			}
+		} else if (isModuleScriptTag(tag)) {
+			acquiringImportMaps = false;
+		} else if (isImportMapTag(tag)) {
+			const srcAttribute = tag.attributes.get("src");
+			const text = srcAttribute ? null : html.slice(tag.end, tag.contentEnd);
+			/** @type {HtmlImportMapScript} */
+			const script = {
+				importMap: null,
+				src: null,
+				text,
+				ignored: !acquiringImportMaps,
+				error: null,
+				diagnostics: [],
+				start: tag.start,
+				end: /** @type {number} */ (tag.elementEnd),
+			};
+			scripts.push(script);
+
+			if (srcAttribute) {
+				try {
+					script.src = new URL(srcAttribute.value, baseUrl);
+				} catch (e) {
+					script.error = /** @type {Error} */ (e);
+				}
+				warnings.push({
+					code: "external-import-map",
+					message: "Import maps with a src attribute are not supported by browsers.",
+					start: tag.start,
+				});
+			}
+			if (script.ignored) {
+				warnings.push({
+					code: "import-map-after-module-script",
+					message: "This import map is ignored because it comes after the first module script.",
+					start: tag.start,
+				});
+			}
+			if (text == null || script.ignored) continue;
+
+			try {
+				script.importMap = parseImportMapSource(text, baseUrl, {
+					onDiagnostic: (diagnostic) => script.diagnostics.push(diagnostic),
+				}).importMap;
+			} catch (e) {
+				if (!(e instanceof JsonSyntaxError || e instanceof TypeError)) throw e;
+				script.error = e;
+				continue;
+			}
+			importMap = mergeImportMaps(importMap, script.importMap, [], {
+				onDiagnostic: (diagnostic) => script.diagnostics.push(diagnostic),
+			});
+		}
+	}
+
+	return { scripts, importMap, warnings, baseUrl };
+}
+
+/**
+ * Adds an import map to an HTML document, or replaces the existing one.
+ * When the document already contains an import map script, the first one is replaced and its other attributes,
+ * such as `nonce`, are kept. Otherwise a new script tag is inserted in the `<head>`, before the first script,
+ * stylesheet or module preload, since import maps need to come before any module script.
+ * Characters that could end the script tag early are escaped.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const newHtml = injectImportMapIntoHtml(html, {
+ *     imports: {
+ *         "std/": "https://deno.land/std/",
+ *     },
+ * });
+ * ```
+ * @param {string} html
+ * @param {import("./mod.js").ImportMapData} importMapData Use `serializeImportMap()` if you have a parsed import map.
+ * @param {InjectImportMapIntoHtmlOptions} [options]
+ */
+export function injectImportMapIntoHtml(html, importMapData, options = {}) {
+	const indentation = options.indentation ?? "\t";
+	const tags = Array.from(scanHtmlTags(html));
+
+	/**
+	 * Serializes the import map as the content of a script tag.
+	 * @param {string} lineIndentation The indentation of the line that the script tag is on.
+	 */
+	const createScriptContent = (lineIndentation) => {
+		// JSON only allows "<" inside strings, where it can be escaped to make sure it doesn't close the script tag.
+		const json = JSON.stringify(importMapData, null, indentation).replaceAll("<", "\\u003c");
+		const lines = json.split("\n").map((line) => lineIndentation + indentation + line);
+		return "\n" + lines.join("\n") + "\n" + lineIndentation;
+	};
+
+	const existing = tags.find((tag) => !tag.closing && isImportMapTag(tag));
+	if (existing) {
+		let openingTag = html.slice(existing.start, existing.end);
+		const src = existing.attributes.get("src");
+		if (src) {
+			openingTag = html.slice(existing.start, src.start).trimEnd() + html.slice(src.end, existing.end);
+		}
+		const content = createScriptContent(getLineIndentation(html, existing.start) ?? "");
+		return html.slice(0, existing.start) + openingTag + content +
+			html.slice(/** @type {number} */ (existing.contentEnd));
+	}
+
+	const headStart = tags.find((tag) => !tag.closing && tag.name == "head");
+	const headEnd = tags.find((tag) => tag.closing && tag.name == "head");
+	const firstResource = tags.find((tag) => {
+		if (tag.closing || (headStart && tag.start < headStart.end)) return false;
+		if (tag.name == "script" || tag.name == "style") return true;
+		if (tag.name != "link") return false;
+		const rel = tag.attributes.get("rel")?.value.toLowerCase().split(/\s+/) || [];
+		return rel.includes("stylesheet") || rel.includes("modulepreload") || rel.includes("preload");
+	});
+
+	if (firstResource && (!headEnd || firstResource.start < headEnd.start)) {
+		// Place the script on its own line, with the same indentation as the tag it is placed in front of.
+		const lineIndentation = getLineIndentation(html, firstResource.start);
+		const separator = lineIndentation == null ? "" : "\n" + lineIndentation;
+		const script = `<script type="importmap">${createScriptContent(lineIndentation ?? "")}</script>`;
+		return html.slice(0, firstResource.start) + script + separator + html.slice(firstResource.start);
+	}
+
+	if (headEnd) {
+		const headIndentation = getLineIndentation(html, headEnd.start);
+		if (headIndentation != null) {
+			// Place the script on a new line before `</head>`, indented one level deeper than the closing tag.
+			const lineIndentation = headIndentation + indentation;
+			const insertAt = headEnd.start - headIndentation.length;
+			const script = `${lineIndentation}<script type="importmap">${
+				createScriptContent(lineIndentation)
+			}</script>\n`;
+			return html.slice(0, insertAt) + script + html.slice(insertAt);
+		}
+	}
+
+	/** @type {number} */
+	let insertAt;
+	if (headEnd) {
+		insertAt = headEnd.start;
+	} else if (headStart) {
+		insertAt = headStart.end;
+	} else {
+		const bodyStart = tags.find((tag) => !tag.closing && tag.name == "body");
+		const htmlStart = tags.find((tag) => !tag.closing && tag.name == "html");
+		insertAt = bodyStart ? bodyStart.start : htmlStart ? htmlStart.end : 0;
+	}
+	const script = `<script type="importmap">${createScriptContent("")}</script>`;
+	return html.slice(0, insertAt) + script + html.slice(insertAt);
+}
+
+/**
+ * @param {HtmlTag} tag
+ */
+function isImportMapTag(tag) {
+	return tag.name == "script" && tag.attributes.get("type")?.value.trim().toLowerCase() == "importmap";
+}
+
+/**
+ * @param {HtmlTag} tag
+ */
+function isModuleScriptTag(tag) {
+	if (tag.name == "script") {
+		return tag.attributes.get("type")?.value.trim().toLowerCase() == "module";
+	}
+	if (tag.name == "link") {
+		const rel = tag.attributes.get("rel")?.value.toLowerCase().split(/\s+/) || [];
+		return rel.includes("modulepreload");
+	}
+	return false;
+}
+
+/**
+ * Returns the whitespace between the start of the line and `offset`,
+ * or null when there is something other than whitespace before it.
+ * @param {string} html
+ * @param {number} offset
+ */
+function getLineIndentation(html, offset) {
+	const lineStart = html.lastIndexOf("\n", offset - 1) + 1;
+	const before = html.slice(lineStart, offset);
+	if (/^[ \t]*$/.test(before)) return before;
+	return null;
+}
+
+/**
+ * A minimal HTML tokenizer that finds tags and their attributes.
+ * Comments are skipped, and the content of raw text elements such as `<script>` is not scanned for tags.
+ * @param {string} html
+ * @returns {Generator<HtmlTag>}
+ */
+function* scanHtmlTags(html) {
+	let index = 0;
+	while (index < html.length) {
+		const tagStart = html.indexOf("<", index);
+		if (tagStart == -1) return;
+
+		if (html.startsWith("<!--", tagStart)) {
+			const commentEnd = html.indexOf("-->", tagStart + 4);
+			index = commentEnd == -1 ? html.length : commentEnd + 3;
+			continue;
+		}
+		if (html[tagStart + 1] == "!" || html[tagStart + 1] == "?") {
+			// Doctypes and processing instructions.
+			const end = html.indexOf(">", tagStart);
+			index = end == -1 ? html.length : end + 1;
+			continue;
+		}
+
+		const closing = html[tagStart + 1] == "/";
+		const nameMatch = /^[a-zA-Z][^\s/>]*/.exec(html.slice(tagStart + (closing ? 2 : 1), tagStart + 100));
+		if (!nameMatch) {
+			index = tagStart + 1;
+			continue;
+		}
+		const name = nameMatch[0].toLowerCase();
+		index = tagStart + (closing ? 2 : 1) + nameMatch[0].length;
+
+		/** @type {Map<string, HtmlAttribute>} */
+		const attributes = new Map();
+		while (index < html.length) {
+			while (index < html.length && /[\s/]/.test(html[index])) index++;
+			if (index >= html.length || html[index] == ">") break;
+			const attributeStart = index;
+			while (index < html.length && !/[\s/>=]/.test(html[index])) index++;
+			const attributeName = html.slice(attributeStart, index).toLowerCase();
+			while (index < html.length && /\s/.test(html[index])) index++;
+			let value = "";
+			if (html[index] == "=") {
+				index++;
+				while (index < html.length && /\s/.test(html[index])) index++;
+				const quote = html[index];
+				if (quote == '"' || quote == "'") {
+					const valueEnd = html.indexOf(quote, index + 1);
+					const end = valueEnd == -1 ? html.length : valueEnd;
+					value = html.slice(index + 1, end);
+					index = end + 1;
+				} else {
+					const valueStart = index;
+					while (index < html.length && !/[\s>]/.test(html[index])) index++;
+					value = html.slice(valueStart, index);
+				}
+			}
+			if (!attributes.has(attributeName)) {
+				attributes.set(attributeName, {
+					value: decodeCharacterReferences(value),
+					start: attributeStart,
+					end: index,
+				});
+			}
+		}
+		index = Math.min(index + 1, html.length);
+
+		/** @type {HtmlTag} */
+		const tag = { name, closing, attributes, start: tagStart, end: index };
+		if (!closing && RAW_TEXT_ELEMENTS.includes(name)) {
+			const closingMatch = new RegExp(`</${name}[\\s/>]`, "i").exec(html.slice(index));
+			if (closingMatch) {
+				tag.contentEnd = index + closingMatch.index;
+				const closingEnd = html.indexOf(">", tag.contentEnd);
+				tag.elementEnd = closingEnd == -1 ? html.length : closingEnd + 1;
+			} else {
+				tag.contentEnd = html.length;
+				tag.elementEnd = html.length;
+			}
+			index = tag.elementEnd;
+		}
+		yield tag;
+	}
+}
+
+/**
+ * Decodes the character references that are commonly found in attribute values.
+ * @param {string} value
+ */
+function decodeCharacterReferences(value) {
+	/** @type {Object.<string, string>} */
+	const namedReferences = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+	return value.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (reference, name) => {
+		if (name[0] == "#") {
+			const codePoint = name[1] == "x" || name[1] == "X"
+				? parseInt(name.slice(2), 16)
+				: parseInt(name.slice(1), 10);
+			try {
+				return String.fromCodePoint(codePoint);
+			} catch {
+				return reference;
+			}
+		}
+		return namedReferences[name.toLowerCase()] ?? reference;
+	});
+}
@@ -0,0 +1,278 @@
+/**
+ * @module
+ * A JSON parser that keeps track of where each value is located in the source text.
+ */
+
+/**
+ * @typedef SourcePosition
+ * @property {number} offset The zero-based index into the source text.
+ * @property {number} line The one-based line number.
+ * @property {number} column The one-based column number.
+ */
+
+/**
+ * @typedef SourceRange
+ * @property {SourcePosition} start
+ * @property {SourcePosition} end The position right after the last character of the range.
+ */
+
+/**
+ * @typedef JsonNode
+ * @property {unknown} value The parsed value, identical to what `JSON.parse()` would return.
+ * @property {SourceRange} range
+ * @property {Map<string, JsonPropertyNode>} [properties] When the value is an object, contains the location of each property.
+ * @property {JsonNode[]} [items] When the value is an array, contains the location of each item.
+ */
+
+/**
+ * @typedef JsonPropertyNode
+ * @property {SourceRange} keyRange
+ * @property {JsonNode} node
+ */
+
+/**
+ * Thrown when the source text is not valid JSON.
+ */
+export class JsonSyntaxError extends SyntaxError {
+	/**
+	 * @param {string} message
+	 * @param {SourcePosition} position
+	 */
+	constructor(message, position) {
+		super(`${message} at line ${position.line}, column ${position.column}.`);
+		this.name = "JsonSyntaxError";
+		this.line = position.line;
+		this.column = position.column;
+		this.offset = position.offset;
+	}
+}
+
+/**
+ * Parses JSON text and returns the parsed value along with the source ranges of every value.
+ * @param {string} text
+ * @returns {JsonNode}
+ */
+export function parseJsonWithPositions(text) {
+	/** @type {number[]} */
+	const lineStarts = [0];
+	for (let i = 0; i < text.length; i++) {
+		if (text[i] == "\n") lineStarts.push(i + 1);
+	}
+
+	let index = 0;
+	if (text.startsWith("\uFEFF")) index = 1;
+
+	/**
+	 * @param {number} offset
+	 * @returns {SourcePosition}
+	 */
+	function getPosition(offset) {
+		let low = 0;
+		let high = lineStarts.length - 1;
+		while (low < high) {
+			const mid = Math.ceil((low + high) / 2);
+			if (lineStarts[mid] <= offset) {
+				low = mid;
+			} else {
+				high = mid - 1;
+			}
+		}
+		return {
+			offset,
+			line: low + 1,
+			column: offset - lineStarts[low] + 1,
+		};
+	}
+
+	/**
+	 * @param {number} start
+	 * @returns {SourceRange}
+	 */
+	function rangeFrom(start) {
+		return {
+			start: getPosition(start),
+			end: getPosition(index),
+		};
+	}
+
+	/**
+	 * @param {string} message
+	 * @param {number} [offset]
+	 */
+	function syntaxError(message, offset = index) {
+		return new JsonSyntaxError(message, getPosition(offset));
+	}
+
+	function describeCurrent() {
+		if (index >= text.length) return "Unexpected end of JSON input";
+		return `Unexpected token ${JSON.stringify(text[index])}`;
+	}
+
+	function skipWhitespace() {
+		while (index < text.length) {
+			const char = text[index];
+			if (char != " " && char != "\t" && char != "\n" && char != "\r") break;
+			index++;
+		}
+	}
+
+	/**
+	 * @param {string} char
+	 */
+	function expect(char) {
+		if (text[index] != char) throw syntaxError(`${describeCurrent()}, expected "${char}"`);
+		index++;
+	}
+
+	/**
+	 * @returns {JsonNode}
+	 */
+	function parseValue() {
+		skipWhitespace();
+		const start = index;
+		const char = text[index];
+		if (char == "{") return parseObject();
+		if (char == "[") return parseArray();
+		if (char == '"') {
+			const value = parseString();
+			return { value, range: rangeFrom(start) };
+		}
+		if (char == "-" || (char >= "0" && char <= "9")) return parseNumber();
+		for (const [literal, value] of /** @type {const} */ ([["true", true], ["false", false], ["null", null]])) {
+			if (text.startsWith(literal, index)) {
+				index += literal.length;
+				return { value, range: rangeFrom(start) };
+			}
+		}
+		throw syntaxError(describeCurrent());
+	}
+
+	/**
+	 * @returns {JsonNode}
+	 */
+	function parseObject() {
+		const start = index;
+		expect("{");
+		/** @type {Record<string, unknown>} */
+		const value = {};
+		/** @type {Map<string, JsonPropertyNode>} */
+		const properties = new Map();
+		skipWhitespace();
+		if (text[index] == "}") {
+			index++;
+			return { value, range: rangeFrom(start), properties };
+		}
+		while (true) {
+			skipWhitespace();
+			const keyStart = index;
+			if (text[index] != '"') throw syntaxError(`${describeCurrent()}, expected a property name`);
+			const key = parseString();
+			const keyRange = rangeFrom(keyStart);
+			skipWhitespace();
+			expect(":");
+			const node = parseValue();
+			// Using defineProperty so that a "__proto__" key doesn't modify the prototype, just like `JSON.parse()`.
+			Object.defineProperty(value, key, {
+				value: node.value,
+				enumerable: true,
+				writable: true,
+				configurable: true,
+			});
+			properties.set(key, { keyRange, node });
+			skipWhitespace();
+			if (text[index] == ",") {
+				index++;
+				continue;
+			}
+			if (text[index] == "}") {
+				index++;
+				return { value, range: rangeFrom(start), properties };
+			}
+			throw syntaxError(`${describeCurrent()}, expected "," or "}"`);
+		}
+	}
+
+	/**
+	 * @returns {JsonNode}
+	 */
+	function parseArray() {
+		const start = index;
+		expect("[");
+		/** @type {unknown[]} */
+		const value = [];
+		/** @type {JsonNode[]} */
+		const items = [];
+		skipWhitespace();
+		if (text[index] == "]") {
+			index++;
+			return { value, range: rangeFrom(start), items };
+		}
+		while (true) {
+			const node = parseValue();
+			value.push(node.value);
+			items.push(node);
+			skipWhitespace();
+			if (text[index] == ",") {
+				index++;
+				continue;
+			}
+			if (text[index] == "]") {
+				index++;
+				return { value, range: rangeFrom(start), items };
+			}
+			throw syntaxError(`${describeCurrent()}, expected "," or "]"`);
+		}
+	}
+
+	function parseString() {
+		const start = index;
+		expect('"');
+		let result = "";
+		while (true) {
+			if (index >= text.length) throw syntaxError("Unterminated string", start);
+			const char = text[index];
+			if (char == '"') {
+				index++;
+				return result;
+			}
+			if (char < " ") throw syntaxError("Bad control character in string");
+			if (char == "\\") {
+				const escaped = text[index + 1];
+				/** @type {Object.<string, string>} */
+				const simpleEscapes = { '"': '"', "\\": "\\", "/": "/", b: "\b", f: "\f", n: "\n", r: "\r", t: "\t" };
+				if (escaped in simpleEscapes) {
+					result += simpleEscapes[escaped];
+					index += 2;
+				} else if (escaped == "u") {
+					const hex = text.slice(index + 2, index + 6);
+					if (!/^[0-9a-fA-F]{4}$/.test(hex)) throw syntaxError("Bad Unicode escape");
+					result += String.fromCharCode(parseInt(hex, 16));
+					index += 6;
+				} else {
+					throw syntaxError("Bad escaped character");
+				}
+				continue;
+			}
+			result += char;
+			index++;
+		}
+	}
+
+	/**
+	 * @returns {JsonNode}
+	 */
+	function parseNumber() {
+		const start = index;
+		const match = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+		match.lastIndex = index;
+		const result = match.exec(text);
+		if (!result) throw syntaxError("Invalid number");
+		index += result[0].length;
+		return { value: Number(result[0]), range: rangeFrom(start) };
+	}
+
+	const root = parseValue();
+	skipWhitespace();
+	if (index < text.length) throw syntaxError(`${describeCurrent()} after JSON value`);
+	return root;
+}
@@ -0,0 +1,21 @@
+/**
+ * @module
+ * Helpers for describing the location of an entry in import map json.
+ */
+
+/**
+ * Turns a list of keys into a path such as `scopes["/app/"].lodash`.
+ * @param {string[]} path
+ */
+export function formatJsonPath(path) {
+	let result = "";
+	for (const key of path) {
+		if (/^[A-Za-z_$][\w$]*$/.test(key)) {
+			if (result) result += ".";
+			result += key;
+		} else {
+			result += `[${JSON.stringify(key)}]`;
+		}
+	}
+	return result;
+}
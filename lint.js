@@ -0,0 +1,391 @@
+/**
+ * @module
+ * Functions for finding mistakes in import maps that are technically valid,
+ * but which probably don't do what the author intended.
+ */
+
+import { createEmptyImportMap, parseImportMap, resolveModuleSpecifier } from "./mod.js";
+import { formatJsonPath } from "./json_path.js";
+import { isSpecialOrBare, normalizeSpecifierKey } from "./specifier_keys.js";
+
+/**
+ * @typedef {"invalid" | "duplicate" | "shadowed" | "unreachable" | "redundant" | "self-reference"} ImportMapLintCategory
+ */
+
+/**
+ * @typedef {import("./mod.js").ImportMapDiagnosticCode |
+ * "duplicate-specifier-key" |
+ * "duplicate-scope-prefix" |
+ * "shadowed-specifier-key" |
+ * "unreachable-prefix-key" |
+ * "scope-prefix-without-trailing-slash" |
+ * "redundant-prefix-key" |
+ * "redundant-scope-entry" |
+ * "self-referencing-mapping"} ImportMapLintCode
+ */
+
+/**
+ * @typedef ImportMapLintFinding
+ * @property {ImportMapLintCategory} category
+ * @property {ImportMapLintCode} code
+ * @property {string} message
+ * @property {string} path The JSON path of the entry, e.g. `scopes["/app/"].lodash`.
+ * @property {string} suggestion A suggestion for how the problem can be fixed.
+ */
+
+/**
+ * @typedef ImportMapLintResult
+ * @property {import("./mod.js").ParsedImportMap} importMap
+ * @property {ImportMapLintFinding[]} findings
+ */
+
+/** @type {Record<import("./mod.js").ImportMapDiagnosticCode, string>} */
+const DIAGNOSTIC_SUGGESTIONS = {
+	"invalid-top-level-key": `Remove the key, only "imports", "scopes" and "integrity" are allowed.`,
+	"non-object-imports": `Change the value of "imports" to an object.`,
+	"empty-specifier-key": "Remove the entry.",
+	"non-string-address": "Change the address to a string.",
+	"invalid-address": `Change the address to a valid url or a path starting with "/", "./" or "../".`,
+	"trailing-slash-mismatch": "Add a trailing slash to the address, or remove the trailing slash from the key.",
+	"unparseable-scope-prefix": "Change the scope prefix to a valid url.",
+	"non-object-scopes": `Change the value of "scopes" to an object.`,
+	"non-object-scope": "Change the value of the scope to an object.",
+	"non-object-integrity": `Change the value of "integrity" to an object.`,
+	"unresolvable-integrity-key": `Change the key to a url or a path starting with "/", "./" or "../".`,
+	"non-string-integrity": "Change the integrity metadata to a string.",
+	"ignored-resolved-rule": "Remove the rule.",
+	"ignored-conflicting-rule": "Remove the rule.",
+	"ignored-conflicting-integrity": "Remove the integrity metadata.",
+};
+
+/**
+ * Analyses the json data of an import map and returns a list of likely mistakes.
+ * This includes problems that `parseImportMap()` would warn about, keys that normalize to the same key
+ * and silently overwrite each other, scope prefixes that lack a trailing slash, as well as everything
+ * that `lintParsedImportMap()` reports. Keys are reported as shadowed based on the order in which they are written,
+ * since readers and tools that don't sort the keys first would expect an earlier prefix key to take precedence.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const { findings } = lintImportMap(json, baseUrl);
+ * for (const finding of findings) {
+ * 	console.log(`${finding.path}: ${finding.message} ${finding.suggestion}`);
+ * }
+ * ```
+ * @param {import("./mod.js").ImportMapData} input
+ * @param {URL} baseUrl
+ * @returns {ImportMapLintResult}
+ */
+export function lintImportMap(input, baseUrl) {
+	/** @type {ImportMapLintFinding[]} */
+	const findings = [];
+	const importMap = parseImportMap(input, baseUrl, {
+		onDiagnostic(diagnostic) {
+			findings.push({
+				category: "invalid",
+				code: diagnostic.code,
+				message: diagnostic.message,
+				path: diagnostic.path,
+				suggestion: DIAGNOSTIC_SUGGESTIONS[diagnostic.code],
+			});
+		},
+	});
+
+	/**
+	 * Maps normalized keys to the keys as they were written, so that findings can point at the original entries.
+	 * @type {Map<string, string>}
+	 */
+	const rawScopePrefixes = new Map();
+	/** @type {Map<string, Map<string, string>>} */
+	const rawSpecifierKeys = new Map();
+
+	/**
+	 * @param {Object.<string, unknown>} specifierMap
+	 * @param {string[]} path
+	 */
+	const checkSpecifierMap = (specifierMap, path) => {
+		/** @type {Map<string, string>} */
+		const rawKeys = new Map();
+		/** @type {string[]} */
+		const normalizedKeys = [];
+		for (const specifierKey of Object.keys(specifierMap)) {
+			// Empty keys are already reported by `parseImportMap()`.
+			const normalizedKey = normalizeSpecifierKey(specifierKey, baseUrl, () => {}, []);
+			if (normalizedKey == null) continue;
+			normalizedKeys.push(normalizedKey);
+			const shadowingKey = findShadowingKey(normalizedKeys, normalizedKeys.length - 1);
+			if (shadowingKey != undefined) {
+				const rawShadowingKey = rawKeys.get(shadowingKey) ?? shadowingKey;
+				findings.push({
+					category: "shadowed",
+					code: "shadowed-specifier-key",
+					message:
+						`"${specifierKey}" comes after "${rawShadowingKey}", which matches the same specifiers. Parsing sorts the keys, so "${specifierKey}" still takes precedence, but resolvers that check the keys in order would never use it.`,
+					path: formatJsonPath([...path, specifierKey]),
+					suggestion: `Move "${specifierKey}" before "${rawShadowingKey}".`,
+				});
+			}
+			const existing = rawKeys.get(normalizedKey);
+			if (existing != undefined) {
+				findings.push({
+					category: "duplicate",
+					code: "duplicate-specifier-key",
+					message:
+						`"${existing}" and "${specifierKey}" both normalize to "${normalizedKey}", so "${specifierKey}" overwrites "${existing}".`,
+					path: formatJsonPath([...path, existing]),
+					suggestion: `Remove either "${existing}" or "${specifierKey}".`,
+				});
+			}
+			rawKeys.set(normalizedKey, specifierKey);
+		}
+		return rawKeys;
+	};
+
+	if (input.imports && typeof input.imports == "object") {
+		rawSpecifierKeys.set("", checkSpecifierMap(input.imports, ["imports"]));
+	}
+	if (input.scopes && typeof input.scopes == "object") {
+		for (const [scopePrefix, scopeImports] of Object.entries(input.scopes)) {
+			let normalizedScopePrefix;
+			try {
+				normalizedScopePrefix = new URL(scopePrefix, baseUrl).href;
+			} catch {
+				continue;
+			}
+			const existing = rawScopePrefixes.get(normalizedScopePrefix);
+			if (existing != undefined) {
+				findings.push({
+					category: "duplicate",
+					code: "duplicate-scope-prefix",
+					message:
+						`"${existing}" and "${scopePrefix}" both normalize to "${normalizedScopePrefix}", so "${scopePrefix}" overwrites "${existing}".`,
+					path: formatJsonPath(["scopes", existing]),
+					suggestion: `Merge the entries of both scopes into "${scopePrefix}".`,
+				});
+			}
+			rawScopePrefixes.set(normalizedScopePrefix, scopePrefix);
+
+			if (!normalizedScopePrefix.endsWith("/") && !/\.[^/]*$/.test(new URL(normalizedScopePrefix).pathname)) {
+				findings.push({
+					category: "unreachable",
+					code: "scope-prefix-without-trailing-slash",
+					message:
+						`The scope prefix "${scopePrefix}" doesn't end with a slash, so it only applies to a module with exactly this url, not to the modules inside this directory.`,
+					path: formatJsonPath(["scopes", scopePrefix]),
+					suggestion: `Change the scope prefix to "${scopePrefix}/".`,
+				});
+			}
+
+			if (scopeImports && typeof scopeImports == "object") {
+				rawSpecifierKeys.set(normalizedScopePrefix, checkSpecifierMap(scopeImports, ["scopes", scopePrefix]));
+			}
+		}
+	}
+
+	for (const finding of lintParsedImportMap(importMap)) {
+		// Replace the normalized keys in the path with the keys as they were written.
+		const scopePrefix = finding.scopePrefix;
+		const rawPrefix = scopePrefix == null ? null : rawScopePrefixes.get(scopePrefix) ?? scopePrefix;
+		const rawKey = rawSpecifierKeys.get(scopePrefix ?? "")?.get(finding.specifierKey) ?? finding.specifierKey;
+		findings.push({
+			category: finding.category,
+			code: finding.code,
+			message: finding.message,
+			path: formatJsonPath(rawPrefix == null ? ["imports", rawKey] : ["scopes", rawPrefix, rawKey]),
+			suggestion: finding.suggestion,
+		});
+	}
+
+	return { importMap, findings };
+}
+
+/**
+ * @typedef ParsedImportMapLintFinding
+ * @property {ImportMapLintCategory} category
+ * @property {ImportMapLintCode} code
+ * @property {string} message
+ * @property {string} path The JSON path of the entry, using normalized keys.
+ * @property {string?} scopePrefix The scope containing the entry, or null for top-level imports.
+ * @property {string} specifierKey
+ * @property {string} suggestion
+ */
+
+/**
+ * Analyses a parsed import map and returns a list of likely mistakes:
+ * - Keys that can never match because a key earlier in the same map matches everything they would match.
+ *   This can only happen with import maps that weren't created using `parseImportMap()`, since it sorts its keys.
+ * - Prefix keys for urls such as `npm:` or `data:`, which can only be matched exactly.
+ * - Prefix keys that map to the same url as a shorter prefix key would.
+ * - Scope entries that are identical to what the top-level imports or an outer scope would resolve to.
+ * - Mappings from a url to the same url, or to a url inside the mapped prefix.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const findings = lintParsedImportMap(parsedImportMap);
+ * ```
+ * @param {import("./mod.js").ParsedImportMap} importMap
+ * @returns {ParsedImportMapLintFinding[]}
+ */
+export function lintParsedImportMap(importMap) {
+	/** @type {ParsedImportMapLintFinding[]} */
+	const findings = [];
+
+	/**
+	 * @param {Omit<ParsedImportMapLintFinding, "path">} finding
+	 */
+	const addFinding = (finding) => {
+		const path = finding.scopePrefix == null
+			? ["imports", finding.specifierKey]
+			: ["scopes", finding.scopePrefix, finding.specifierKey];
+		findings.push({ ...finding, path: formatJsonPath(path) });
+	};
+
+	/**
+	 * @param {import("./mod.js").SpecifierMap} specifierMap
+	 * @param {string?} scopePrefix
+	 */
+	const checkSpecifierMap = (specifierMap, scopePrefix) => {
+		const entries = Object.entries(specifierMap);
+		const specifierKeys = entries.map(([specifierKey]) => specifierKey);
+		for (const [index, [specifierKey, address]] of entries.entries()) {
+			const isPrefixKey = specifierKey.endsWith("/");
+
+			const shadowingKey = findShadowingKey(specifierKeys, index);
+			if (shadowingKey != undefined) {
+				addFinding({
+					category: "shadowed",
+					code: "shadowed-specifier-key",
+					message:
+						`"${specifierKey}" can never match, because "${shadowingKey}" comes before it and matches the same specifiers.`,
+					scopePrefix,
+					specifierKey,
+					suggestion:
+						"Sort the keys in descending order, or use `parseImportMap()` to create the import map.",
+				});
+				continue;
+			}
+
+			if (isPrefixKey && !isSpecialOrBare(specifierKey)) {
+				addFinding({
+					category: "unreachable",
+					code: "unreachable-prefix-key",
+					message:
+						`"${specifierKey}" is a url that can't be used as a prefix, so it only matches the specifier "${specifierKey}" exactly.`,
+					scopePrefix,
+					specifierKey,
+					suggestion: "Add an entry for every specifier that you wish to map.",
+				});
+			}
+
+			if (address && isPrefixKey) {
+				for (const [otherKey, otherAddress] of entries) {
+					if (
+						otherKey != specifierKey && otherKey.endsWith("/") && specifierKey.startsWith(otherKey) &&
+						otherAddress &&
+						otherAddress.href + specifierKey.slice(otherKey.length) == address.href
+					) {
+						addFinding({
+							category: "redundant",
+							code: "redundant-prefix-key",
+							message: `"${specifierKey}" maps to the same url that "${otherKey}" would map it to.`,
+							scopePrefix,
+							specifierKey,
+							suggestion: `Remove "${specifierKey}".`,
+						});
+						break;
+					}
+				}
+			}
+
+			if (address) {
+				let keyUrl = null;
+				try {
+					keyUrl = new URL(specifierKey);
+				} catch {
+					// Bare specifiers can't reference themselves.
+				}
+				if (keyUrl && address.href == keyUrl.href) {
+					addFinding({
+						category: "self-reference",
+						code: "self-referencing-mapping",
+						message: `"${specifierKey}" is mapped to itself.`,
+						scopePrefix,
+						specifierKey,
+						suggestion: `Remove "${specifierKey}".`,
+					});
+				} else if (keyUrl && isPrefixKey && address.href.startsWith(keyUrl.href)) {
+					addFinding({
+						category: "self-reference",
+						code: "self-referencing-mapping",
+						message:
+							`"${specifierKey}" is mapped to "${address.href}", which is inside the prefix it maps. Import maps are not applied recursively, so specifiers inside "${address.href}" won't be mapped again.`,
+						scopePrefix,
+						specifierKey,
+						suggestion: "Map the prefix to a location outside of itself.",
+					});
+				}
+			}
+		}
+	};
+
+	checkSpecifierMap(importMap.imports, null);
+	const scopeEntries = Object.entries(importMap.scopes);
+	for (const [scopePrefix, scopeImports] of scopeEntries) {
+		checkSpecifierMap(scopeImports, scopePrefix);
+
+		// For every entry in this scope, check what the specifier would resolve to without it.
+		// This is determined by the scopes that come after this one and also apply to the modules in this scope.
+		const fallbackImportMap = createEmptyImportMap();
+		fallbackImportMap.imports = importMap.imports;
+		const scopeIndex = scopeEntries.findIndex(([prefix]) => prefix == scopePrefix);
+		for (const [otherPrefix, otherImports] of scopeEntries.slice(scopeIndex + 1)) {
+			if (otherPrefix.endsWith("/") && scopePrefix.startsWith(otherPrefix)) {
+				fallbackImportMap.scopes[otherPrefix] = otherImports;
+			}
+		}
+		const fallbackSpecifierMaps = [fallbackImportMap.imports, ...Object.values(fallbackImportMap.scopes)];
+		for (const [specifierKey, address] of Object.entries(scopeImports)) {
+			if (!address) continue;
+			// Without this entry, longer prefix keys from the fallback would start to apply to some of the specifiers.
+			const hasLongerFallbackKey = fallbackSpecifierMaps.some((specifierMap) => {
+				return Object.keys(specifierMap).some((key) => key != specifierKey && key.startsWith(specifierKey));
+			});
+			if (specifierKey.endsWith("/") && hasLongerFallbackKey) continue;
+			let fallback;
+			try {
+				fallback = resolveModuleSpecifier(fallbackImportMap, new URL(scopePrefix), specifierKey);
+			} catch {
+				continue;
+			}
+			if (fallback.href == address.href) {
+				addFinding({
+					category: "redundant",
+					code: "redundant-scope-entry",
+					message: `"${specifierKey}" resolves to the same url without this scope entry.`,
+					scopePrefix,
+					specifierKey,
+					suggestion: `Remove "${specifierKey}" from the scope.`,
+				});
+			}
+		}
+	}
+
+	return findings;
+}
+
+/**
+ * Returns the prefix key before the key at `index` that matches every specifier the key would match,
+ * so that the key is never used when the keys are checked in order.
+ * @param {string[]} specifierKeys Normalized keys, in the order in which they are checked.
+ * @param {number} index
+ * @returns {string | undefined}
+ */
+function findShadowingKey(specifierKeys, index) {
+	const specifierKey = specifierKeys[index];
+	if (!isSpecialOrBare(specifierKey)) return undefined;
+	return specifierKeys.slice(0, index).find((earlierKey) => {
+		return earlierKey.endsWith("/") && specifierKey.startsWith(earlierKey) && earlierKey != specifierKey;
+	});
+}
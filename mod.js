@@ -4,10 +4,18 @@
  * https://wicg.github.io/import-maps/
  */
 
+import { formatJsonPath } from "./json_path.js";
+import { parseJsonWithPositions } from "./json_parser.js";
+import { relativizeUrl } from "./relative_url.js";
+import { isSpecialUrl, normalizeSpecifierKey, parseUrlLikeImportSpecifier, sortObject } from "./specifier_keys.js";
+
+export { JsonSyntaxError } from "./json_parser.js";
+
 /**
  * @typedef ImportMapData
- * @property {Object.<string, string>} [imports]
+ * @property {Object.<string, string?>} [imports]
  * @property {ImportMapScopesData} [scopes]
+ * @property {ImportMapIntegrityData} [integrity]
  */
 
 /**
@@ -15,7 +23,11 @@
  */
 
 /**
- * @typedef {Object.<string, string>} ImportMapPotentialSpecifierMapData
+ * @typedef {Object.<string, string?>} ImportMapPotentialSpecifierMapData
+ */
+
+/**
+ * @typedef {Object.<string, string>} ImportMapIntegrityData
  */
 
 /**
@@ -26,6 +38,8 @@
  * @typedef ParsedImportMap
  * @property {SpecifierMap} imports
  * @property {ParsedImportMapScopesData} scopes
+ * @property {ModuleIntegrityMap} integrity Always set by `parseImportMap()`. Import maps that were created by hand
+ * without this property are treated as having no integrity metadata.
  */
 
 /**
@@ -36,6 +50,158 @@
  * @typedef {Record<string, URL | null>} ParsedImportMapScopesSpecifierMapData
  */
 
+/**
+ * Maps serialized module URLs to their integrity metadata, i.e. a string like `"sha384-..."`.
+ * @typedef {Record<string, string>} ModuleIntegrityMap
+ */
+
+/**
+ * Records a specifier that has been resolved, so that import maps which are
+ * merged in later can't change how it resolves.
+ * @typedef SpecifierResolutionRecord
+ * @property {string} serializedBaseUrl The serialized url of the module that imported the specifier.
+ * @property {string} specifier The normalized specifier.
+ * @property {URL?} specifierAsUrl The specifier parsed as a URL-like specifier, or null if it is a bare specifier.
+ */
+
+/**
+ * @typedef ResolveModuleSpecifierOptions
+ * @property {SpecifierResolutionRecord[]} [resolvedModuleSet] When set, a record of the
+ * resolved specifier is appended to this list. You can pass the list to `mergeImportMaps()` later on.
+ * @property {FallbackResolver[]} [fallbackResolvers] Resolvers that are tried in order when a bare specifier
+ * is not remapped by the import map. The result of the first one that doesn't return null is used.
+ */
+
+/**
+ * @typedef FallbackResolverContext
+ * @property {string} specifier The bare specifier that was not remapped by the import map.
+ * @property {URL} referrer The url of the module that imported the specifier.
+ * @property {ParsedImportMap} importMap
+ */
+
+/**
+ * @callback FallbackResolver
+ * @param {FallbackResolverContext} context
+ * @returns {URL | null | undefined} The resolved url, or null when the resolver doesn't know how to resolve the specifier.
+ */
+
+/**
+ * A stable identifier for the kind of problem that a diagnostic reports.
+ * @typedef {"invalid-top-level-key" |
+ * "non-object-imports" |
+ * "empty-specifier-key" |
+ * "non-string-address" |
+ * "invalid-address" |
+ * "trailing-slash-mismatch" |
+ * "unparseable-scope-prefix" |
+ * "non-object-scopes" |
+ * "non-object-scope" |
+ * "non-object-integrity" |
+ * "unresolvable-integrity-key" |
+ * "non-string-integrity" |
+ * "ignored-resolved-rule" |
+ * "ignored-conflicting-rule" |
+ * "ignored-conflicting-integrity"} ImportMapDiagnosticCode
+ */
+
+/**
+ * Describes a recoverable problem that was found in an import map.
+ * @typedef ImportMapDiagnostic
+ * @property {ImportMapDiagnosticCode} code
+ * @property {"warning" | "error"} severity
+ * @property {string} message
+ * @property {string} path The JSON path of the offending entry, e.g. `scopes["/app/"].lodash`.
+ * @property {import("./json_parser.js").SourceRange} [range] The location of the offending entry,
+ * only set when the import map was parsed using `parseImportMapSource()`.
+ */
+
+/**
+ * @typedef ImportMapDiagnosticsOptions
+ * @property {(diagnostic: ImportMapDiagnostic) => void} [onDiagnostic] Gets called for every
+ * recoverable problem. When this is not set, problems are reported using `console.warn()`.
+ */
+
+/**
+ * @typedef ParseImportMapOptionsBase
+ * @property {boolean} [strict] When true, every problem that the spec would only warn about is treated as an error.
+ * All problems are collected and thrown as a single `ImportMapValidationError` after parsing.
+ */
+
+/**
+ * @typedef {ImportMapDiagnosticsOptions & ParseImportMapOptionsBase} ParseImportMapOptions
+ */
+
+/**
+ * @typedef {ImportMapDiagnosticsOptions} MergeImportMapsOptions
+ */
+
+/**
+ * The source ranges of the entries in a `ParsedImportMap`. Keys are the same normalized keys as the parsed import map.
+ * Each range spans from the start of the key until the end of the value in the source text.
+ * @typedef ParsedImportMapSourceRanges
+ * @property {Record<string, import("./json_parser.js").SourceRange>} imports
+ * @property {Record<string, ScopeSourceRanges>} scopes
+ * @property {Record<string, import("./json_parser.js").SourceRange>} integrity
+ */
+
+/**
+ * @typedef ScopeSourceRanges
+ * @property {import("./json_parser.js").SourceRange} range
+ * @property {Record<string, import("./json_parser.js").SourceRange>} imports
+ */
+
+/**
+ * @typedef ParsedImportMapSource
+ * @property {ParsedImportMap} importMap
+ * @property {ParsedImportMapSourceRanges} ranges
+ */
+
+/**
+ * @typedef SerializeImportMapOptions
+ * @property {URL} [baseUrl] When set, keys, addresses and scope prefixes are made relative to this url where possible.
+ */
+
+/**
+ * @callback ReportDiagnostic
+ * @param {ImportMapDiagnosticCode} code
+ * @param {string} message
+ * @param {string[]} path
+ */
+
+/**
+ * Thrown by `parseImportMap()` in strict mode when the import map contains one or more problems.
+ */
+export class ImportMapValidationError extends TypeError {
+	/**
+	 * @param {ImportMapDiagnostic[]} diagnostics
+	 */
+	constructor(diagnostics) {
+		const lines = diagnostics.map((diagnostic) => `- ${diagnostic.path}: ${diagnostic.message}`);
+		super(`The import map contains ${diagnostics.length} problem(s):\n${lines.join("\n")}`);
+		this.name = "ImportMapValidationError";
+		this.diagnostics = diagnostics;
+	}
+}
+
+/**
+ * Thrown when a bare specifier is not remapped by the import map and none of the fallback resolvers could resolve it.
+ */
+export class UnresolvedSpecifierError extends TypeError {
+	/**
+	 * @param {string} specifier
+	 * @param {URL} referrer
+	 */
+	constructor(specifier, referrer) {
+		super(
+			`The bare specifier "${specifier}" imported from ${referrer.href} was not remapped by the import map. ` +
+				`Specifiers that aren't remapped need to start with "/", "./" or "../".`,
+		);
+		this.name = "UnresolvedSpecifierError";
+		this.specifier = specifier;
+		this.referrer = referrer;
+	}
+}
+
 /**
  * Parses an import map json object that can be used later for resolving specifiers.
  *
@@ -49,11 +215,39 @@
  * 	}
  * }, baseUrl);
  * ```
+ *
+ * Recoverable problems are logged to the console by default.
+ * Use the `onDiagnostic` option to collect them instead:
+ *
+ * ```js
+ * const diagnostics = [];
+ * const importMap = parseImportMap(json, baseUrl, {
+ * 	onDiagnostic(diagnostic) {
+ * 		diagnostics.push(diagnostic);
+ * 	},
+ * });
+ * ```
+ *
+ * In strict mode, all problems are collected and thrown as a single error:
+ *
+ * ```js
+ * try {
+ * 	parseImportMap(json, baseUrl, { strict: true });
+ * } catch (e) {
+ * 	if (e instanceof ImportMapValidationError) console.log(e.diagnostics);
+ * }
+ * ```
  * @param {ImportMapData} input
  * @param {URL} baseUrl
+ * @param {ParseImportMapOptions} [options]
  * @returns {ParsedImportMap}
  */
-export function parseImportMap(input, baseUrl) {
+export function parseImportMap(input, baseUrl, options = {}) {
+	const strict = Boolean(options.strict);
+	/** @type {ImportMapDiagnostic[]} */
+	const strictErrors = [];
+	const report = createDiagnosticReporter(options, strict ? strictErrors : null);
+
 	// 1. Let parsed be the result of parsing JSON into Infra values given input.
 	/** @type {ImportMapData} */
 	const parsed = input;
@@ -70,20 +264,19 @@ export function parseImportMap(input, baseUrl) {
 	// 4. If parsed["imports"] exists, then:
 	if (parsed.imports) {
 		// 1. If parsed["imports"] is not a map, then throw a TypeError indicating that the "imports" top-level key needs to be a JSON object.
-		if (
-			typeof parsed.imports != "object" || parsed.imports === null ||
-			Array.isArray(parsed.imports)
-		) {
-			throw new TypeError(
-				`The "imports" top-level key needs to be a JSON object.`,
+		const message = `The "imports" top-level key needs to be a JSON object.`;
+		if (typeof parsed.imports != "object" || Array.isArray(parsed.imports)) {
+			if (!strict) throw new TypeError(message);
+			report("non-object-imports", message, ["imports"]);
+		} else {
+			// 2. Set sortedAndNormalizedImports to the result of sorting and normalizing a specifier map given parsed["imports"] and baseURL.
+			sortedAndNormalizedImports = sortAndNormalizeSpecifierMap(
+				parsed.imports,
+				baseUrl,
+				report,
+				["imports"],
 			);
 		}
-
-		// 2. Set sortedAndNormalizedImports to the result of sorting and normalizing a specifier map given parsed["imports"] and baseURL.
-		sortedAndNormalizedImports = sortAndNormalizeSpecifierMap(
-			parsed.imports,
-			baseUrl,
-		);
 	}
 
 	// 5. Let sortedAndNormalizedScopes be an empty ordered map.
@@ -93,35 +286,184 @@ export function parseImportMap(input, baseUrl) {
 	// 6. If parsed["scopes"] exists, then:
 	if (parsed.scopes) {
 		// 1. If parsed["scopes"] is not an ordered map, then throw a TypeError indicating that the value for the "scopes" top-level key needs to be a JSON object.
+		const message = `The value for the "scopes" property needs to be a JSON object.`;
 		if (typeof parsed.scopes != "object") {
-			throw new TypeError(`The value for the "scopes" property needs to be a JSON object.`);
+			if (!strict) throw new TypeError(message);
+			report("non-object-scopes", message, ["scopes"]);
+		} else if (strict && Array.isArray(parsed.scopes)) {
+			report("non-object-scopes", message, ["scopes"]);
+		} else {
+			// 2. Set sortedAndNormalizedScopes to the result of sorting and normalizing scopes given parsed["scopes"] and baseURL.
+			sortedAndNormalizedScopes = sortAndNormalizeScopes(parsed.scopes, baseUrl, report, strict);
 		}
+	}
 
-		// 2. Set sortedAndNormalizedScopes to the result of sorting and normalizing scopes given parsed["scopes"] and baseURL.
-		sortedAndNormalizedScopes = sortAndNormalizeScopes(parsed.scopes, baseUrl);
+	// 7. Let normalizedIntegrity be an empty ordered map.
+	/** @type {ModuleIntegrityMap} */
+	let normalizedIntegrity = {};
+
+	// 8. If parsed["integrity"] exists, then:
+	if (parsed.integrity) {
+		// 1. If parsed["integrity"] is not an ordered map, then throw a TypeError indicating that the value for the "integrity" top-level key needs to be a JSON object.
+		const message = `The value for the "integrity" top-level key needs to be a JSON object.`;
+		if (typeof parsed.integrity != "object" || Array.isArray(parsed.integrity)) {
+			if (!strict) throw new TypeError(message);
+			report("non-object-integrity", message, ["integrity"]);
+		} else {
+			// 2. Set normalizedIntegrity to the result of normalizing a module integrity map given parsed["integrity"] and baseURL.
+			normalizedIntegrity = normalizeModuleIntegrityMap(parsed.integrity, baseUrl, report);
+		}
 	}
 
-	// 7. If parsed’s keys contains any items besides "imports" or "scopes", report a warning to the console that an invalid top-level key was present in the import map.
+	// 9. If parsed’s keys contains any items besides "imports", "scopes", or "integrity", report a warning to the console that an invalid top-level key was present in the import map.
 	for (const key of Object.keys(parsed)) {
-		if (key != "imports" && key != "scopes") {
-			console.warn(
+		if (key != "imports" && key != "scopes" && key != "integrity") {
+			report(
+				"invalid-top-level-key",
 				`An invalid top-level key was present in the import map: ${key}`,
+				[key],
 			);
 		}
 	}
 
-	// 8. Return the import map whose imports are sortedAndNormalizedImports and whose scopes scopes are sortedAndNormalizedScopes.
+	if (strictErrors.length > 0) {
+		throw new ImportMapValidationError(strictErrors);
+	}
+
+	// 10. Return the import map whose imports are sortedAndNormalizedImports, whose scopes are sortedAndNormalizedScopes, and whose integrity are normalizedIntegrity.
 	return {
 		imports: sortedAndNormalizedImports,
 		scopes: sortedAndNormalizedScopes,
+		integrity: normalizedIntegrity,
 	};
 }
 
+/**
+ * Parses the source text of an import map, i.e. the contents of an import_map.json file.
+ * Unlike `parseImportMap()`, this keeps track of where entries are located in the text.
+ * Diagnostics are reported with a `range`, and the returned `ranges` contain the location of every
+ * entry in the parsed import map.
+ * A `JsonSyntaxError` with the line and column of the problem is thrown when the text is not valid JSON.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const text = await Deno.readTextFile("import_map.json");
+ * const { importMap, ranges } = parseImportMapSource(text, baseUrl, {
+ * 	onDiagnostic({ message, range }) {
+ * 		console.log(`${range.start.line}:${range.start.column} ${message}`);
+ * 	},
+ * });
+ * ```
+ * @param {string} text
+ * @param {URL} baseUrl
+ * @param {ParseImportMapOptions} [options]
+ * @returns {ParsedImportMapSource}
+ */
+export function parseImportMapSource(text, baseUrl, options = {}) {
+	const root = parseJsonWithPositions(text);
+
+	/** @type {Map<string, import("./json_parser.js").SourceRange>} */
+	const rangesByPath = new Map();
+	/**
+	 * @param {import("./json_parser.js").JsonNode} node
+	 * @param {string[]} path
+	 */
+	const collectRanges = (node, path) => {
+		if (!node.properties) return;
+		for (const [key, { keyRange, node: child }] of node.properties) {
+			const childPath = [...path, key];
+			rangesByPath.set(formatJsonPath(childPath), { start: keyRange.start, end: child.range.end });
+			collectRanges(child, childPath);
+		}
+	};
+	collectRanges(root, []);
+
+	/** @type {ImportMapDiagnostic[]} */
+	const diagnosticsWithRange = [];
+	let importMap;
+	try {
+		importMap = parseImportMap(/** @type {ImportMapData} */ (root.value), baseUrl, {
+			strict: options.strict,
+			onDiagnostic(diagnostic) {
+				const range = rangesByPath.get(diagnostic.path);
+				const diagnosticWithRange = range ? { ...diagnostic, range } : diagnostic;
+				diagnosticsWithRange.push(diagnosticWithRange);
+				if (options.onDiagnostic) {
+					options.onDiagnostic(diagnosticWithRange);
+				} else if (!options.strict) {
+					console.warn(diagnostic.message);
+				}
+			},
+		});
+	} catch (e) {
+		if (e instanceof ImportMapValidationError) {
+			throw new ImportMapValidationError(diagnosticsWithRange);
+		}
+		throw e;
+	}
+
+	/** @type {ReportDiagnostic} */
+	const ignoreDiagnostic = () => {};
+	/**
+	 * @param {string[]} path
+	 */
+	const getRange = (path) => {
+		const range = rangesByPath.get(formatJsonPath(path));
+		if (!range) throw new Error(`Assertion failed: no source range for ${formatJsonPath(path)}`);
+		return range;
+	};
+	/**
+	 * @param {Object.<string, unknown>} originalMap
+	 * @param {SpecifierMap} parsedMap
+	 * @param {string[]} path
+	 */
+	const getSpecifierMapRanges = (originalMap, parsedMap, path) => {
+		/** @type {Record<string, import("./json_parser.js").SourceRange>} */
+		const ranges = {};
+		for (const specifierKey of Object.keys(originalMap)) {
+			const normalizedSpecifierKey = normalizeSpecifierKey(specifierKey, baseUrl, ignoreDiagnostic, []);
+			if (normalizedSpecifierKey == null || !(normalizedSpecifierKey in parsedMap)) continue;
+			ranges[normalizedSpecifierKey] = getRange([...path, specifierKey]);
+		}
+		return ranges;
+	};
+
+	const data = /** @type {ImportMapData} */ (root.value);
+	/** @type {ParsedImportMapSourceRanges} */
+	const ranges = {
+		imports: data.imports ? getSpecifierMapRanges(data.imports, importMap.imports, ["imports"]) : {},
+		scopes: {},
+		integrity: {},
+	};
+	for (const [scopePrefix, scopeData] of Object.entries(data.scopes || {})) {
+		let normalizedScopePrefix;
+		try {
+			normalizedScopePrefix = new URL(scopePrefix, baseUrl).href;
+		} catch {
+			continue;
+		}
+		ranges.scopes[normalizedScopePrefix] = {
+			range: getRange(["scopes", scopePrefix]),
+			imports: getSpecifierMapRanges(scopeData, importMap.scopes[normalizedScopePrefix], ["scopes", scopePrefix]),
+		};
+	}
+	for (const key of Object.keys(data.integrity || {})) {
+		const resolvedURL = resolveUrlLikeModuleSpecifier(key, baseUrl);
+		if (!resolvedURL || !(resolvedURL.href in importMap.integrity)) continue;
+		ranges.integrity[resolvedURL.href] = getRange(["integrity", key]);
+	}
+
+	return { importMap, ranges };
+}
+
 /**
  * @param {ImportMapPotentialSpecifierMapData} originalMap
  * @param {URL} baseURL
+ * @param {ReportDiagnostic} report
+ * @param {string[]} path
  */
-function sortAndNormalizeModuleSpecifierMap(originalMap, baseURL) {
+function sortAndNormalizeModuleSpecifierMap(originalMap, baseURL, report, path) {
 	// 1. Let normalized be an empty ordered map.
 	/** @type {ParsedImportMapScopesSpecifierMapData} */
 	const normalized = {};
@@ -129,7 +471,7 @@ function sortAndNormalizeModuleSpecifierMap(originalMap, baseURL) {
 	// 2. For each specifierKey → value of originalMap:
 	for (const [specifierKey, value] of Object.entries(originalMap)) {
 		// 1. Let normalizedSpecifierKey be the result of normalizing a specifier key given specifierKey and baseURL.
-		const normalizedSpecifierKey = normalizeSpecifierKey(specifierKey, baseURL);
+		const normalizedSpecifierKey = normalizeSpecifierKey(specifierKey, baseURL, report, [...path, specifierKey]);
 
 		// 2. If normalizedSpecifierKey is null, then continue.
 		if (normalizedSpecifierKey == null) continue;
@@ -137,7 +479,11 @@ function sortAndNormalizeModuleSpecifierMap(originalMap, baseURL) {
 		// 3. If value is not a string, then:
 		if (typeof value != "string") {
 			// 1. The user agent may report a warning to the console indicating that addresses need to be strings.
-			console.warn(`The value for ${specifierKey} is not a string. Scopes addresses need to be strings.`);
+			report(
+				"non-string-address",
+				`The value for ${specifierKey} is not a string. Scopes addresses need to be strings.`,
+				[...path, specifierKey],
+			);
 
 			// 2. Set normalized[normalizedSpecifierKey] to null.
 			normalized[normalizedSpecifierKey] = null;
@@ -152,7 +498,7 @@ function sortAndNormalizeModuleSpecifierMap(originalMap, baseURL) {
 		// 5. If addressURL is null, then:
 		if (addressURL == null) {
 			// 1. The user agent may report a warning to the console indicating that the address was invalid.
-			console.warn(`The address "${value}" is invalid.`);
+			report("invalid-address", `The address "${value}" is invalid.`, [...path, specifierKey]);
 
 			// 2. Set normalized[normalizedSpecifierKey] to null.
 			normalized[normalizedSpecifierKey] = null;
@@ -164,8 +510,10 @@ function sortAndNormalizeModuleSpecifierMap(originalMap, baseURL) {
 		// 6. If specifierKey ends with U+002F (/), and the serialization of addressURL does not end with U+002F (/), then:
 		if (specifierKey.endsWith("/") && !addressURL.href.endsWith("/")) {
 			// 1. The user agent may report a warning to the console indicating that an invalid address was given for the specifier key specifierKey; since specifierKey ends with a slash, the address needs to as well.
-			console.warn(
+			report(
+				"trailing-slash-mismatch",
 				`An invalid address was given for "${specifierKey}". Since the specifier ended in a slash, the address needs to as well.`,
+				[...path, specifierKey],
 			);
 
 			// 2. Set normalized[normalizedSpecifierKey] to null.
@@ -184,6 +532,264 @@ function sortAndNormalizeModuleSpecifierMap(originalMap, baseURL) {
 	return sortedEntries;
 }
 
+/**
+ * Merges a new import map into an existing one, the way browsers do when a
+ * page contains multiple import maps.
+ * Rules from the new map that would change how an already resolved specifier
+ * resolves are ignored, and so are rules for specifiers, scopes and integrity
+ * urls that the existing map already contains.
+ * Neither of the provided import maps is modified, a new import map is returned instead.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const resolvedModuleSet = [];
+ * let importMap = parseImportMap(firstImportMapJson, baseUrl);
+ * resolveModuleSpecifier(importMap, baseUrl, "foo", { resolvedModuleSet });
+ *
+ * const newImportMap = parseImportMap(secondImportMapJson, baseUrl);
+ * importMap = mergeImportMaps(importMap, newImportMap, resolvedModuleSet);
+ * ```
+ * @param {ParsedImportMap} existingImportMap
+ * @param {ParsedImportMap} newImportMap
+ * @param {SpecifierResolutionRecord[]} [resolvedModuleSet]
+ * @param {MergeImportMapsOptions} [options]
+ * @returns {ParsedImportMap}
+ */
+export function mergeImportMaps(existingImportMap, newImportMap, resolvedModuleSet = [], options = {}) {
+	const report = createDiagnosticReporter(options);
+
+	// We'll skip step 2 and copy the existing import map instead of modifying the global one.
+	/** @type {ParsedImportMap} */
+	const oldImportMap = {
+		imports: { ...existingImportMap.imports },
+		scopes: { ...existingImportMap.scopes },
+		integrity: { ...existingImportMap.integrity },
+	};
+
+	// 1. Let newImportMapScopes be a deep copy of newImportMap's scopes.
+	/** @type {ParsedImportMapScopesData} */
+	const newImportMapScopes = {};
+	for (const [scopePrefix, scopeImports] of Object.entries(newImportMap.scopes)) {
+		newImportMapScopes[scopePrefix] = { ...scopeImports };
+	}
+
+	// 3. Let newImportMapImports be a deep copy of newImportMap's imports.
+	const newImportMapImports = { ...newImportMap.imports };
+
+	// 4. For each scopePrefix → scopeImports of newImportMapScopes:
+	for (const [scopePrefix, scopeImports] of Object.entries(newImportMapScopes)) {
+		// 1. For each record of global's resolved module set:
+		for (const record of resolvedModuleSet) {
+			// 1. If scopePrefix is record's serialized base URL, or if scopePrefix ends with U+002F (/) and scopePrefix is a code unit prefix of record's serialized base URL, then:
+			if (
+				scopePrefix == record.serializedBaseUrl ||
+				scopePrefix.endsWith("/") && record.serializedBaseUrl.startsWith(scopePrefix)
+			) {
+				// 1. For each specifierKey → resolutionResult of scopeImports:
+				for (const specifierKey of Object.keys(scopeImports)) {
+					// 1. If specifierKey is record's specifier, or if specifierKey ends with U+002F (/), specifierKey is a code unit prefix of record's specifier, and either record's specifier as a URL is null or is special, then:
+					if (specifierKeyAffectsRecord(specifierKey, record)) {
+						// 1. The user agent may report a warning to the console indicating the ignored rule.
+						report(
+							"ignored-resolved-rule",
+							`The rule for "${specifierKey}" in the scope "${scopePrefix}" was ignored because "${record.specifier}" has already been resolved.`,
+							["scopes", scopePrefix, specifierKey],
+						);
+
+						// 2. Remove scopeImports[specifierKey].
+						delete scopeImports[specifierKey];
+					}
+				}
+			}
+		}
+
+		// 2. If scopePrefix exists in oldImportMap's scopes, then set oldImportMap's scopes[scopePrefix] to the result of merging module specifier maps, given scopeImports and oldImportMap's scopes[scopePrefix].
+		if (Object.hasOwn(oldImportMap.scopes, scopePrefix)) {
+			oldImportMap.scopes[scopePrefix] = mergeModuleSpecifierMaps(
+				scopeImports,
+				oldImportMap.scopes[scopePrefix],
+				report,
+				["scopes", scopePrefix],
+			);
+		} else {
+			// 3. Otherwise, set oldImportMap's scopes[scopePrefix] to scopeImports.
+			oldImportMap.scopes[scopePrefix] = scopeImports;
+		}
+	}
+	oldImportMap.scopes = sortObject(oldImportMap.scopes);
+
+	// 5. For each url → integrity of newImportMap's integrity:
+	for (const [url, integrity] of Object.entries(newImportMap.integrity || {})) {
+		// 1. If url exists in oldImportMap's integrity, then:
+		if (Object.hasOwn(oldImportMap.integrity, url)) {
+			// 1. The user agent may report a warning to the console indicating the ignored rule.
+			// They may choose to avoid reporting if the rule is identical to an existing one.
+			if (oldImportMap.integrity[url] != integrity) {
+				report(
+					"ignored-conflicting-integrity",
+					`The integrity metadata for "${url}" was ignored because it was already set.`,
+					["integrity", url],
+				);
+			}
+
+			// 2. Continue.
+			continue;
+		}
+
+		// 2. Set oldImportMap's integrity[url] to integrity.
+		oldImportMap.integrity[url] = integrity;
+	}
+
+	// 6. For each record of global's resolved module set:
+	for (const record of resolvedModuleSet) {
+		// 1. For each specifier → url of newImportMapImports:
+		for (const specifier of Object.keys(newImportMapImports)) {
+			// 1. If specifier would affect how record's specifier resolves, then:
+			if (specifierKeyAffectsRecord(specifier, record)) {
+				// 1. The user agent may report a warning to the console indicating the ignored rule.
+				report(
+					"ignored-resolved-rule",
+					`The rule for "${specifier}" was ignored because "${record.specifier}" has already been resolved.`,
+					["imports", specifier],
+				);
+
+				// 2. Remove newImportMapImports[specifier].
+				delete newImportMapImports[specifier];
+			}
+		}
+	}
+
+	// 7. Set oldImportMap's imports to the result of merge module specifier maps, given newImportMapImports and oldImportMap's imports.
+	oldImportMap.imports = mergeModuleSpecifierMaps(newImportMapImports, oldImportMap.imports, report, ["imports"]);
+
+	return oldImportMap;
+}
+
+/**
+ * @param {string} specifierKey
+ * @param {SpecifierResolutionRecord} record
+ */
+function specifierKeyAffectsRecord(specifierKey, record) {
+	if (specifierKey == record.specifier) return true;
+	return specifierKey.endsWith("/") && record.specifier.startsWith(specifierKey) &&
+		(!record.specifierAsUrl || isSpecialUrl(record.specifierAsUrl));
+}
+
+/**
+ * @param {SpecifierMap} newMap
+ * @param {SpecifierMap} oldMap
+ * @param {ReportDiagnostic} report
+ * @param {string[]} path
+ */
+function mergeModuleSpecifierMaps(newMap, oldMap, report, path) {
+	// 1. Let mergedMap be a deep copy of oldMap.
+	const mergedMap = { ...oldMap };
+
+	// 2. For each specifier → url of newMap:
+	for (const [specifier, url] of Object.entries(newMap)) {
+		// 1. If specifier exists in oldMap, then:
+		if (Object.hasOwn(oldMap, specifier)) {
+			// 1. The user agent may report a warning to the console indicating the ignored rule.
+			// They may choose to avoid reporting if the rule is identical to an existing one.
+			if (oldMap[specifier]?.href != url?.href) {
+				report(
+					"ignored-conflicting-rule",
+					`The rule for "${specifier}" was ignored because it conflicts with an existing rule.`,
+					[...path, specifier],
+				);
+			}
+
+			// 2. Continue.
+			continue;
+		}
+
+		// 2. Set mergedMap[specifier] to url.
+		mergedMap[specifier] = url;
+	}
+
+	// 3. Return mergedMap.
+	// The merged map is sorted again so that longer prefixes keep taking precedence during resolution.
+	return sortObject(mergedMap);
+}
+
+/**
+ * Converts a parsed import map back into import map json data.
+ * This is the inverse of `parseImportMap()`, parsing the result again with the same base url
+ * results in an equivalent import map.
+ * Blocked entries (i.e. entries that are `null`) are preserved.
+ * Keys are sorted alphabetically so that the output is the same every time.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const data = serializeImportMap(parsedImportMap, { baseUrl });
+ * await Deno.writeTextFile("import_map.json", JSON.stringify(data, null, "\t"));
+ * ```
+ * @param {ParsedImportMap} importMap
+ * @param {SerializeImportMapOptions} [options]
+ * @returns {ImportMapData}
+ */
+export function serializeImportMap(importMap, options = {}) {
+	const { baseUrl } = options;
+
+	/**
+	 * @param {URL} url
+	 */
+	const serializeUrl = (url) => {
+		if (!baseUrl) return url.href;
+		return relativizeUrl(url, baseUrl);
+	};
+
+	/**
+	 * @param {string} specifierKey
+	 */
+	const serializeSpecifierKey = (specifierKey) => {
+		// Bare specifiers are kept as is, only keys that were normalized to a url can be made relative.
+		if (!baseUrl) return specifierKey;
+		let url;
+		try {
+			url = new URL(specifierKey);
+		} catch {
+			return specifierKey;
+		}
+		return serializeUrl(url);
+	};
+
+	/**
+	 * @param {SpecifierMap} specifierMap
+	 */
+	const serializeSpecifierMap = (specifierMap) => {
+		/** @type {Object.<string, string?>} */
+		const result = {};
+		for (const [specifierKey, address] of Object.entries(specifierMap)) {
+			result[serializeSpecifierKey(specifierKey)] = address ? serializeUrl(address) : null;
+		}
+		return sortObject(result, true);
+	};
+
+	/** @type {ImportMapData} */
+	const data = {
+		imports: serializeSpecifierMap(importMap.imports),
+	};
+
+	/** @type {ImportMapScopesData} */
+	const scopes = {};
+	for (const [scopePrefix, scopeImports] of Object.entries(importMap.scopes)) {
+		scopes[serializeUrl(new URL(scopePrefix))] = serializeSpecifierMap(scopeImports);
+	}
+	if (Object.keys(scopes).length > 0) data.scopes = sortObject(scopes, true);
+
+	/** @type {ImportMapIntegrityData} */
+	const integrity = {};
+	for (const [url, metadata] of Object.entries(importMap.integrity || {})) {
+		integrity[serializeUrl(new URL(url))] = metadata;
+	}
+	if (Object.keys(integrity).length > 0) data.integrity = sortObject(integrity, true);
+
+	return data;
+}
+
 /**
  * Creates an empty import map which you can use in scenarios where no import
  * map was provided. For instance, you could use this as a place holder.
@@ -206,16 +812,227 @@ export function createEmptyImportMap() {
 	const importMap = {
 		imports: {},
 		scopes: {},
+		integrity: {},
 	};
 	return importMap;
 }
 
 /**
- * @param {Object.<string, string>} originalMap
+ * An immutable import map. Methods that change the import map return a new instance, and entries are kept
+ * normalized and sorted after every change, so that longest prefix matching keeps working.
+ * Instances have the same `imports`, `scopes` and `integrity` properties as a `ParsedImportMap`,
+ * so they can be passed to any of the other functions in this module.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const importMap = ImportMap.parse({ imports: { "std/": "https://deno.land/std/" } }, baseUrl)
+ *     .addImport("lodash", "https://esm.sh/lodash")
+ *     .addScope("/legacy/", { lodash: "https://esm.sh/lodash@3" });
+ * const resolved = importMap.resolve("lodash");
+ * ```
+ */
+export class ImportMap {
+	/**
+	 * @param {URL} baseUrl The url that keys, addresses and scope prefixes of added entries are resolved relative to.
+	 * @param {ParsedImportMap} [importMap] The entries of the import map. These are copied and sorted.
+	 */
+	constructor(baseUrl, importMap = createEmptyImportMap()) {
+		this.baseUrl = new URL(baseUrl.href);
+
+		/** @type {Readonly<SpecifierMap>} */
+		this.imports = Object.freeze(sortObject({ ...importMap.imports }));
+
+		/** @type {ParsedImportMapScopesData} */
+		const scopes = {};
+		for (const [scopePrefix, scopeImports] of Object.entries(importMap.scopes)) {
+			scopes[scopePrefix] = Object.freeze(sortObject({ ...scopeImports }));
+		}
+		/** @type {Readonly<ParsedImportMapScopesData>} */
+		this.scopes = Object.freeze(sortObject(scopes));
+
+		/** @type {Readonly<ModuleIntegrityMap>} */
+		this.integrity = Object.freeze({ ...importMap.integrity });
+		Object.freeze(this);
+	}
+
+	/**
+	 * Parses an import map json object using `parseImportMap()`.
+	 * @param {ImportMapData} input
+	 * @param {URL} baseUrl
+	 * @param {ParseImportMapOptions} [options]
+	 */
+	static parse(input, baseUrl, options = {}) {
+		return new ImportMap(baseUrl, parseImportMap(input, baseUrl, options));
+	}
+
+	/**
+	 * Resolves a specifier using `resolveModuleSpecifier()`.
+	 * @param {string} specifier
+	 * @param {URL} [baseUrl] The url of the module that imports the specifier, defaults to the base url of the import map.
+	 * @param {ResolveModuleSpecifierOptions} [options]
+	 */
+	resolve(specifier, baseUrl = this.baseUrl, options = {}) {
+		return resolveModuleSpecifier(this, baseUrl, specifier, options);
+	}
+
+	/**
+	 * Returns a new import map with an entry added to the top-level imports, or to a scope when `scopePrefix` is set.
+	 * An existing entry with the same normalized key is replaced.
+	 * Throws an `ImportMapValidationError` when the entry is invalid, for instance when the address can't be parsed.
+	 * @param {string} specifierKey
+	 * @param {string?} address The address to map the key to, or null to block the specifier.
+	 * @param {string} [scopePrefix] The scope to add the entry to. The scope is created when it doesn't exist yet.
+	 */
+	addImport(specifierKey, address, scopePrefix) {
+		return this.addEntries({ [specifierKey]: address }, scopePrefix);
+	}
+
+	/**
+	 * Returns a new import map without the entry for `specifierKey`.
+	 * Returns the same instance when the import map doesn't contain the entry.
+	 * @param {string} specifierKey
+	 * @param {string} [scopePrefix] The scope to remove the entry from, the top-level imports are used when not set.
+	 */
+	removeImport(specifierKey, scopePrefix) {
+		const normalizedScopePrefix = scopePrefix == undefined ? null : this.normalizeScopePrefix(scopePrefix);
+		const specifierMap = normalizedScopePrefix == null ? this.imports : this.scopes[normalizedScopePrefix];
+		const normalizedKey = normalizeSpecifierKey(specifierKey, this.baseUrl, () => {}, []);
+		if (!specifierMap || normalizedKey == null || !(normalizedKey in specifierMap)) return this;
+
+		const newSpecifierMap = { ...specifierMap };
+		delete newSpecifierMap[normalizedKey];
+		if (normalizedScopePrefix == null) {
+			return new ImportMap(this.baseUrl, { ...this, imports: newSpecifierMap });
+		}
+		return new ImportMap(this.baseUrl, {
+			...this,
+			scopes: { ...this.scopes, [normalizedScopePrefix]: newSpecifierMap },
+		});
+	}
+
+	/**
+	 * Returns a new import map with the entries added to a scope. The scope is created when it doesn't exist yet,
+	 * existing entries with the same normalized key are replaced.
+	 * Throws an `ImportMapValidationError` when one of the entries is invalid.
+	 * @param {string} scopePrefix
+	 * @param {ImportMapPotentialSpecifierMapData} imports
+	 */
+	addScope(scopePrefix, imports) {
+		return this.addEntries(imports, scopePrefix);
+	}
+
+	/**
+	 * Returns a new import map without the scope.
+	 * Returns the same instance when the import map doesn't contain the scope.
+	 * @param {string} scopePrefix
+	 */
+	removeScope(scopePrefix) {
+		const normalizedScopePrefix = this.normalizeScopePrefix(scopePrefix);
+		if (!(normalizedScopePrefix in this.scopes)) return this;
+		const scopes = { ...this.scopes };
+		delete scopes[normalizedScopePrefix];
+		return new ImportMap(this.baseUrl, { ...this, scopes });
+	}
+
+	/**
+	 * Serializes the import map using `serializeImportMap()`, with urls relative to the base url of the import map.
+	 * This is called by `JSON.stringify()`.
+	 * @returns {ImportMapData}
+	 */
+	toJSON() {
+		return serializeImportMap(this, { baseUrl: this.baseUrl });
+	}
+
+	/**
+	 * Creates a copy of the import map, including copies of all URL objects.
+	 */
+	clone() {
+		/**
+		 * @param {Readonly<SpecifierMap>} specifierMap
+		 */
+		const cloneSpecifierMap = (specifierMap) => {
+			/** @type {SpecifierMap} */
+			const cloned = {};
+			for (const [key, url] of Object.entries(specifierMap)) {
+				cloned[key] = url && new URL(url.href);
+			}
+			return cloned;
+		};
+		/** @type {ParsedImportMapScopesData} */
+		const scopes = {};
+		for (const [scopePrefix, scopeImports] of Object.entries(this.scopes)) {
+			scopes[scopePrefix] = cloneSpecifierMap(scopeImports);
+		}
+		return new ImportMap(this.baseUrl, {
+			imports: cloneSpecifierMap(this.imports),
+			scopes,
+			integrity: { ...this.integrity },
+		});
+	}
+
+	/**
+	 * @private
+	 * @param {ImportMapPotentialSpecifierMapData} entries
+	 * @param {string} [scopePrefix]
+	 */
+	addEntries(entries, scopePrefix) {
+		const normalizedScopePrefix = scopePrefix == undefined ? null : this.normalizeScopePrefix(scopePrefix);
+		const path = normalizedScopePrefix == null ? ["imports"] : ["scopes", /** @type {string} */ (scopePrefix)];
+
+		/** @type {ImportMapDiagnostic[]} */
+		const errors = [];
+		const report = createDiagnosticReporter({}, errors);
+		/** @type {SpecifierMap} */
+		const normalized = {};
+		for (const [specifierKey, address] of Object.entries(entries)) {
+			if (address === null) {
+				// Null entries are reported by the spec because they are not strings, but here they are intentional.
+				const normalizedKey = normalizeSpecifierKey(specifierKey, this.baseUrl, report, [
+					...path,
+					specifierKey,
+				]);
+				if (normalizedKey != null) normalized[normalizedKey] = null;
+			} else {
+				Object.assign(
+					normalized,
+					sortAndNormalizeSpecifierMap({ [specifierKey]: address }, this.baseUrl, report, path),
+				);
+			}
+		}
+		if (errors.length > 0) throw new ImportMapValidationError(errors);
+
+		if (normalizedScopePrefix == null) {
+			return new ImportMap(this.baseUrl, { ...this, imports: { ...this.imports, ...normalized } });
+		}
+		const scopeImports = { ...this.scopes[normalizedScopePrefix], ...normalized };
+		return new ImportMap(this.baseUrl, {
+			...this,
+			scopes: { ...this.scopes, [normalizedScopePrefix]: scopeImports },
+		});
+	}
+
+	/**
+	 * @private
+	 * @param {string} scopePrefix
+	 */
+	normalizeScopePrefix(scopePrefix) {
+		try {
+			return new URL(scopePrefix, this.baseUrl).href;
+		} catch {
+			throw new TypeError(`The scope prefix for ${scopePrefix} was not parseable.`);
+		}
+	}
+}
+
+/**
+ * @param {Object.<string, string?>} originalMap
  * @param {URL} baseUrl
+ * @param {ReportDiagnostic} report
+ * @param {string[]} path
  * @returns {SpecifierMap}
  */
-function sortAndNormalizeSpecifierMap(originalMap, baseUrl) {
+function sortAndNormalizeSpecifierMap(originalMap, baseUrl, report, path) {
 	// 1. Let normalized be an empty map.
 	/** @type {Object.<string, URL?>} */
 	const normalized = {};
@@ -223,7 +1040,7 @@ function sortAndNormalizeSpecifierMap(originalMap, baseUrl) {
 	// 2. For each specifierKey → value of originalMap,
 	for (const [specifierKey, value] of Object.entries(originalMap)) {
 		// 1. Let normalizedSpecifierKey be the result of normalizing a specifier key given specifierKey and baseURL.
-		const normalizedSpecifierKey = normalizeSpecifierKey(specifierKey, baseUrl);
+		const normalizedSpecifierKey = normalizeSpecifierKey(specifierKey, baseUrl, report, [...path, specifierKey]);
 
 		// 2. If normalizedSpecifierKey is null, then continue.
 		if (normalizedSpecifierKey === null) continue;
@@ -231,8 +1048,10 @@ function sortAndNormalizeSpecifierMap(originalMap, baseUrl) {
 		// 3. If value is not a string, then:
 		if (typeof value != "string") {
 			// 1. Report a warning to the console that addresses need to be strings.
-			console.warn(
+			report(
+				"non-string-address",
 				`Addresses need to be strings but ${specifierKey} is not of type string.`,
+				[...path, specifierKey],
 			);
 
 			// 2. Set normalized[normalizedSpecifierKey] to null.
@@ -248,7 +1067,7 @@ function sortAndNormalizeSpecifierMap(originalMap, baseUrl) {
 		// 5. If addressURL is null, then:
 		if (addressURL === null) {
 			// 1. Report a warning to the console that the address was invalid.
-			console.warn(`The address ${value} is invalid.`);
+			report("invalid-address", `The address ${value} is invalid.`, [...path, specifierKey]);
 
 			// 2. Set normalized[normalizedSpecifierKey] to null.
 			normalized[normalizedSpecifierKey] = null;
@@ -260,8 +1079,10 @@ function sortAndNormalizeSpecifierMap(originalMap, baseUrl) {
 		// 6. If specifierKey ends with U+002F (/), and the serialization of addressURL does not end with U+002F (/), then:
 		if (specifierKey.endsWith("/") && !addressURL.href.endsWith("/")) {
 			// 1. Report a warning to the console that an invalid address was given for the specifier key specifierKey; since specifierKey ended in a slash, the address needs to as well.
-			console.warn(
+			report(
+				"trailing-slash-mismatch",
 				`An invalid address was given for "${specifierKey}". Since the specifier ended in a slash, the address needs to as well.`,
+				[...path, specifierKey],
 			);
 
 			// 2. Set normalized[normalizedSpecifierKey] to null.
@@ -284,8 +1105,10 @@ function sortAndNormalizeSpecifierMap(originalMap, baseUrl) {
 /**
  * @param {ImportMapScopesData} originalMap
  * @param {URL} baseURL
+ * @param {ReportDiagnostic} report
+ * @param {boolean} strict
  */
-function sortAndNormalizeScopes(originalMap, baseURL) {
+function sortAndNormalizeScopes(originalMap, baseURL, report, strict) {
 	// 1. Let normalized be an empty ordered map.
 	/** @type {ParsedImportMapScopesData} */
 	const normalized = {};
@@ -293,8 +1116,12 @@ function sortAndNormalizeScopes(originalMap, baseURL) {
 	// 2. For each scopePrefix → potentialSpecifierMap of originalMap:
 	for (const [scopePrefix, potentialSpecifierMap] of Object.entries(originalMap)) {
 		// 1. If potentialSpecifierMap is not an ordered map, then throw a TypeError indicating that the value of the scope with prefix scopePrefix needs to be a JSON object.
-		if (typeof potentialSpecifierMap != "object" || potentialSpecifierMap == null) {
-			throw new TypeError(`Value of the scope with prefix ${scopePrefix} is not a JSON object.`);
+		const isMap = typeof potentialSpecifierMap == "object" && potentialSpecifierMap != null;
+		if (!isMap || (strict && Array.isArray(potentialSpecifierMap))) {
+			const message = `Value of the scope with prefix ${scopePrefix} is not a JSON object.`;
+			if (!strict) throw new TypeError(message);
+			report("non-object-scope", message, ["scopes", scopePrefix]);
+			continue;
 		}
 
 		// 2. Let scopePrefixURL be the result of URL parsing scopePrefix with baseURL.
@@ -305,7 +1132,11 @@ function sortAndNormalizeScopes(originalMap, baseURL) {
 			// 3. If scopePrefixURL is failure, then:
 		} catch {
 			// 1. The user agent may report a warning to the console that the scope prefix URL was not parseable.
-			console.warn(`The scope prefix for ${scopePrefix} was not parseable.`);
+			report(
+				"unparseable-scope-prefix",
+				`The scope prefix for ${scopePrefix} was not parseable.`,
+				["scopes", scopePrefix],
+			);
 
 			// 2. Continue
 			continue;
@@ -315,7 +1146,10 @@ function sortAndNormalizeScopes(originalMap, baseURL) {
 		const normalizedScopePrefix = scopePrefixURL.href;
 
 		// 5. Set normalized[normalizedScopePrefix] to the result of sorting and normalizing a module specifier map given potentialSpecifierMap and baseURL.
-		normalized[normalizedScopePrefix] = sortAndNormalizeModuleSpecifierMap(potentialSpecifierMap, baseURL);
+		normalized[normalizedScopePrefix] = sortAndNormalizeModuleSpecifierMap(potentialSpecifierMap, baseURL, report, [
+			"scopes",
+			scopePrefix,
+		]);
 	}
 
 	// 3. Return the result of sorting in descending order normalized, with an entry a being less than an entry b if a's key is code unit less than b's key.
@@ -324,81 +1158,73 @@ function sortAndNormalizeScopes(originalMap, baseURL) {
 }
 
 /**
- * @template T
- * @param {Record<string, T>} map
- */
-function sortObject(map) {
-	const sortedEntries = Object.entries(map).sort(([a], [b]) => {
-		if (a > b) return -1;
-		if (a < b) return 1;
-		return 0;
-	});
-	/** @type {Record<string, T>} */
-	const newSpecifierMap = {};
-	for (const [key, value] of sortedEntries) {
-		newSpecifierMap[key] = value;
-	}
-	return newSpecifierMap;
-}
-
-/**
- * @param {string} specifierKey
+ * @param {ImportMapIntegrityData} originalMap
  * @param {URL} baseURL
+ * @param {ReportDiagnostic} report
  */
-function normalizeSpecifierKey(specifierKey, baseURL) {
-	// 1. If specifierKey is the empty string, then:
-	if (specifierKey == "") {
-		// 1. Report a warning to the console that specifier keys cannot be the empty string.
-		console.warn("Specifier keys cannot be an empty string.");
+function normalizeModuleIntegrityMap(originalMap, baseURL, report) {
+	// 1. Let normalized be an empty ordered map.
+	/** @type {ModuleIntegrityMap} */
+	const normalized = {};
 
-		// 2. Return null.
-		return null;
-	}
+	// 2. For each key → value of originalMap:
+	for (const [key, value] of Object.entries(originalMap)) {
+		// 1. Let resolvedURL be the result of resolving a URL-like module specifier given key and baseURL.
+		const resolvedURL = resolveUrlLikeModuleSpecifier(key, baseURL);
 
-	// 2. Let url be the result of parsing a URL-like import specifier, given specifierKey and baseURL.
-	const url = parseUrlLikeImportSpecifier(specifierKey, baseURL);
+		// 2. If resolvedURL is null, then:
+		if (resolvedURL == null) {
+			// 1. The user agent may report a warning to the console indicating that the key failed to resolve.
+			report("unresolvable-integrity-key", `The integrity key "${key}" failed to resolve.`, ["integrity", key]);
 
-	// 3. If url is not null, then return the serialization of url.
-	if (url) return url.href;
+			// 2. Continue.
+			continue;
+		}
 
-	// 4. Return specifierKey.
-	return specifierKey;
-}
+		// 3. If value is not a string, then:
+		if (typeof value != "string") {
+			// 1. The user agent may report a warning to the console indicating that integrity metadata values need to be strings.
+			report(
+				"non-string-integrity",
+				`The integrity metadata for "${key}" is not a string. Integrity metadata values need to be strings.`,
+				["integrity", key],
+			);
 
-/**
- * @param {string} specifier
- * @param {URL} baseUrl
- */
-function parseUrlLikeImportSpecifier(specifier, baseUrl) {
-	// 1. If specifier starts with "/", "./", or "../", then:
-	if (
-		specifier.startsWith("/") || specifier.startsWith("./") ||
-		specifier.startsWith("../")
-	) {
-		// 1. Let url be the result of parsing specifier with baseURL as the base URL.
-		let url;
-		try {
-			url = new URL(specifier, baseUrl);
-		} catch {
-			// 2. If url is failure, then return null.
-			return null;
+			// 2. Continue.
+			continue;
 		}
 
-		// 3. Return url.
-		return url;
+		// 4. Set normalized[resolvedURL, serialized] to value.
+		normalized[resolvedURL.href] = value;
 	}
 
-	// Let url be the result of parsing specifier (with no base URL).
-	let url;
-	try {
-		url = new URL(specifier);
-	} catch {
-		// 2. If url is failure, then return null.
-		return null;
-	}
+	// 3. Return normalized.
+	return normalized;
+}
 
-	// 3. Return url.
-	return url;
+/**
+ * Creates the function that the parsing steps use for reporting recoverable problems.
+ * @param {ImportMapDiagnosticsOptions} options
+ * @param {ImportMapDiagnostic[]?} [strictErrors] When set, problems are reported as errors and added to this list
+ * instead of being logged to the console.
+ * @returns {ReportDiagnostic}
+ */
+function createDiagnosticReporter(options, strictErrors = null) {
+	return (code, message, path) => {
+		/** @type {ImportMapDiagnostic} */
+		const diagnostic = {
+			code,
+			severity: strictErrors ? "error" : "warning",
+			message,
+			path: formatJsonPath(path),
+		};
+		if (strictErrors) strictErrors.push(diagnostic);
+		if (options.onDiagnostic) {
+			options.onDiagnostic(diagnostic);
+		} else if (!strictErrors) {
+			console.warn(message);
+		}
+	};
 }
 
 /**
@@ -420,8 +1246,9 @@ function parseUrlLikeImportSpecifier(specifier, baseUrl) {
  * @param {ParsedImportMap} importMap
  * @param {URL} baseUrl
  * @param {string} specifier
+ * @param {ResolveModuleSpecifierOptions} [options]
  */
-export function resolveModuleSpecifier(importMap, baseUrl, specifier) {
+export function resolveModuleSpecifier(importMap, baseUrl, specifier, options = {}) {
 	// We'll skip step 1 - 4 and instead the import map and base url are taken
 	// as parameters directly.
 
@@ -434,35 +1261,550 @@ export function resolveModuleSpecifier(importMap, baseUrl, specifier) {
 	// 8. Let normalizedSpecifier be the serialization of asURL, if asURL is non-null; otherwise, specifier.
 	const normalizedSpecifier = asURL ? asURL.href : specifier;
 
-	// 9. For each scopePrefix → scopeImports of importMap's scopes:
+	// 9. Let result be a URL-or-null, initially null.
+	/** @type {URL?} */
+	let result = null;
+
+	// 10. For each scopePrefix → scopeImports of importMap's scopes:
 	for (const [scopePrefix, scopeImports] of Object.entries(importMap.scopes)) {
 		// 1. If scopePrefix is baseURLString, or if scopePrefix ends with U+002F (/) and scopePrefix is a code unit prefix of baseURLString, then:
 		if (scopePrefix == baseURLString || scopePrefix.endsWith("/") && baseURLString.startsWith(scopePrefix)) {
 			// 1. Let scopeImportsMatch be the result of resolving an imports match given normalizedSpecifier, asURL, and scopeImports.
 			const scopeImportsMatch = resolveImportsMatch(normalizedSpecifier, asURL, scopeImports);
 
-			// 2. If scopeImportsMatch is not null, then return scopeImportsMatch.
-			if (scopeImportsMatch != null) return scopeImportsMatch;
+			// 2. If scopeImportsMatch is not null, then set result to scopeImportsMatch, and break.
+			if (scopeImportsMatch != null) {
+				result = scopeImportsMatch;
+				break;
+			}
 		}
 	}
 
-	// 10. Let topLevelImportsMatch be the result of resolving an imports match given normalizedSpecifier, asURL, and importMap’s imports.
-	const topLevelImportsMatch = resolveImportsMatch(
+	// 11. If result is null, set result to the result of resolving an imports match given normalizedSpecifier, asURL, and importMap’s imports.
+	if (result == null) {
+		result = resolveImportsMatch(
+			normalizedSpecifier,
+			asURL,
+			importMap.imports,
+		);
+	}
+
+	// 12. If result is null, set it to asURL.
+	if (result == null) result = asURL;
+
+	// This is not part of the spec, but gives the fallback resolvers a chance to resolve bare specifiers.
+	if (result == null && options.fallbackResolvers) {
+		result = resolveWithFallbacks(options.fallbackResolvers, specifier, new URL(baseURLString), importMap);
+	}
+
+	// 13. If result is not null, then:
+	if (result != null) {
+		// 1. Add module to resolved module set given settingsObject, baseURLString, normalizedSpecifier, and asURL.
+		if (options.resolvedModuleSet) {
+			options.resolvedModuleSet.push({
+				serializedBaseUrl: baseURLString,
+				specifier: normalizedSpecifier,
+				specifierAsUrl: asURL,
+			});
+		}
+
+		// 2. Return result.
+		return result;
+	}
+
+	// 14. Throw a TypeError indicating that specifier was a bare specifier, but was not remapped to anything by importMap.
+	throw new UnresolvedSpecifierError(specifier, new URL(baseURLString));
+}
+
+/**
+ * @typedef ResolutionTrace
+ * @property {string} specifier The specifier that was resolved.
+ * @property {string} normalizedSpecifier The specifier after it was made absolute, or the original specifier if it is bare.
+ * @property {string} baseUrl The serialized base url.
+ * @property {URL?} url The resolved url, or null when resolution failed.
+ * @property {TypeError?} error The error that `resolveModuleSpecifier()` would throw, or null when resolution succeeded.
+ * @property {ResolutionTraceMatch?} match The entry that determined the result, or null when no entry of the import map matched.
+ * @property {ResolutionTraceScope[]} scopes Every scope of the import map that was checked, in order.
+ * @property {ResolutionTraceKey[]?} imports The keys of the top-level imports that were considered,
+ * or null when the top-level imports weren't checked because a scope already matched.
+ */
+
+/**
+ * @typedef ResolutionTraceScope
+ * @property {string} scopePrefix
+ * @property {boolean} applies Whether the scope prefix matches the base url.
+ * @property {ResolutionTraceKey[]} keys The keys in the scope that were considered, empty when the scope doesn't apply.
+ */
+
+/**
+ * A specifier key that is the specifier or a prefix of the specifier. Other keys are not included in the trace.
+ * @typedef ResolutionTraceKey
+ * @property {string} specifierKey
+ * @property {"exact" | "prefix" | null} matchType How the key matched, or null when it was rejected.
+ * @property {"not-a-prefix-key" | "non-special-url" | null} rejectedReason Why the key was rejected:
+ * - `"not-a-prefix-key"` - The key is a prefix of the specifier, but it doesn't end with a slash.
+ * - `"non-special-url"` - The specifier is a url with a scheme such as `data:` or `npm:`, which can only be mapped using exact matches.
+ */
+
+/**
+ * @typedef ResolutionTraceMatch
+ * @property {string?} scopePrefix The scope that contained the matching key, or null when it was one of the top-level imports.
+ * @property {string} specifierKey
+ * @property {"exact" | "prefix"} matchType
+ * @property {"null-entry" | "backtracking" | "invalid-url" | null} blockedReason Why resolution was blocked, if it was:
+ * - `"null-entry"` - The value of the matching entry is null.
+ * - `"backtracking"` - The part of the specifier after the prefix contains something like `../`, which would resolve to a url outside of the mapped address.
+ * - `"invalid-url"` - The part of the specifier after the prefix could not be parsed relative to the mapped address.
+ */
+
+/**
+ * Resolves a specifier just like `resolveModuleSpecifier()`, but returns a trace of how the result came to be.
+ * This includes the scope and specifier key that matched, as well as the scopes and keys that were rejected.
+ * Rather than throwing, errors are stored in the `error` property of the trace.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const trace = traceModuleSpecifierResolution(parsedImportMap, baseUrl, "std/http/mod.ts");
+ * console.log(trace.match); // { scopePrefix: null, specifierKey: "std/", matchType: "prefix", blockedReason: null }
+ * ```
+ * @param {ParsedImportMap} importMap
+ * @param {URL} baseUrl
+ * @param {string} specifier
+ * @returns {ResolutionTrace}
+ */
+export function traceModuleSpecifierResolution(importMap, baseUrl, specifier) {
+	const baseURLString = new URL(baseUrl).href;
+	const asURL = parseUrlLikeImportSpecifier(specifier, baseUrl);
+	const normalizedSpecifier = asURL ? asURL.href : specifier;
+
+	/** @type {ResolutionTrace} */
+	const trace = {
+		specifier,
 		normalizedSpecifier,
-		asURL,
-		importMap.imports,
-	);
+		baseUrl: baseURLString,
+		url: null,
+		error: null,
+		match: null,
+		scopes: [],
+		imports: null,
+	};
+
+	/**
+	 * @param {SpecifierMap} specifierMap
+	 * @param {string?} scopePrefix
+	 * @param {ResolutionTraceKey[]} keys
+	 */
+	const traceImportsMatch = (specifierMap, scopePrefix, keys) => {
+		for (const [specifierKey, resolutionResult] of Object.entries(specifierMap)) {
+			if (!normalizedSpecifier.startsWith(specifierKey)) continue;
+
+			/** @type {"exact" | "prefix" | null} */
+			let matchType = null;
+			/** @type {ResolutionTraceKey["rejectedReason"]} */
+			let rejectedReason = null;
+			if (specifierKey === normalizedSpecifier) {
+				matchType = "exact";
+			} else if (!specifierKey.endsWith("/")) {
+				rejectedReason = "not-a-prefix-key";
+			} else if (asURL && !isSpecialUrl(asURL)) {
+				rejectedReason = "non-special-url";
+			} else {
+				matchType = "prefix";
+			}
+			keys.push({ specifierKey, matchType, rejectedReason });
+			if (!matchType) continue;
+
+			/** @type {ResolutionTraceMatch} */
+			const match = { scopePrefix, specifierKey, matchType, blockedReason: null };
+			trace.match = match;
+			try {
+				trace.url = resolveImportsMatch(normalizedSpecifier, asURL, {
+					[specifierKey]: resolutionResult,
+				});
+			} catch (e) {
+				if (!(e instanceof TypeError)) throw e;
+				trace.error = e;
+				if (resolutionResult == null) {
+					match.blockedReason = "null-entry";
+				} else {
+					try {
+						new URL(normalizedSpecifier.slice(specifierKey.length), resolutionResult);
+						match.blockedReason = "backtracking";
+					} catch {
+						match.blockedReason = "invalid-url";
+					}
+				}
+			}
+			return true;
+		}
+		return false;
+	};
+
+	for (const [scopePrefix, scopeImports] of Object.entries(importMap.scopes)) {
+		const applies = scopePrefix == baseURLString ||
+			scopePrefix.endsWith("/") && baseURLString.startsWith(scopePrefix);
+		/** @type {ResolutionTraceScope} */
+		const scopeTrace = { scopePrefix, applies, keys: [] };
+		trace.scopes.push(scopeTrace);
+		if (applies && traceImportsMatch(scopeImports, scopePrefix, scopeTrace.keys)) return trace;
+	}
+
+	trace.imports = [];
+	if (traceImportsMatch(importMap.imports, null, trace.imports)) return trace;
+
+	if (asURL) {
+		trace.url = asURL;
+	} else {
+		trace.error = new UnresolvedSpecifierError(specifier, new URL(baseURLString));
+	}
+	return trace;
+}
+
+/**
+ * @param {FallbackResolver[]} fallbackResolvers
+ * @param {string} specifier
+ * @param {URL} referrer
+ * @param {ParsedImportMap} importMap
+ */
+function resolveWithFallbacks(fallbackResolvers, specifier, referrer, importMap) {
+	for (const fallbackResolver of fallbackResolvers) {
+		const result = fallbackResolver({ specifier, referrer, importMap });
+		if (result) return result;
+	}
+	return null;
+}
+
+/**
+ * Creates a resolver that resolves specifiers in the same way as `resolveModuleSpecifier()`,
+ * but which is faster when resolving many specifiers against the same import map.
+ * Scopes and specifier keys are indexed once so that they don't have to be iterated over for
+ * every specifier, and results are cached per matching set of scopes and specifier.
+ *
+ * The import map is indexed when the resolver is created, modifying the import map afterwards
+ * has no effect on the resolver.
+ * Returned URLs are shared between calls, so you should not modify them.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const resolver = createResolver(parsedImportMap);
+ * const resolved = resolver.resolve(baseUrl, "std/http/mod.ts");
+ * console.log(resolved); // URL { href: "https://deno.land/std/http/mod.ts" }
+ * ```
+ * @param {ParsedImportMap} importMap
+ * @param {CreateResolverOptions} [options]
+ * @returns {ImportMapResolver}
+ */
+export function createResolver(importMap, options = {}) {
+	/** @type {Map<string, {order: number, index: SpecifierMapIndex}>} */
+	const scopesByPrefix = new Map();
+	let scopeOrder = 0;
+	for (const [scopePrefix, scopeImports] of Object.entries(importMap.scopes)) {
+		scopesByPrefix.set(scopePrefix, {
+			order: scopeOrder++,
+			index: createSpecifierMapIndex(scopeImports),
+		});
+	}
+	const topLevelIndex = createSpecifierMapIndex(importMap.imports);
+
+	/** @type {Map<string, {cacheKey: string, indexes: SpecifierMapIndex[]}>} */
+	const scopeChainsByBaseUrl = new Map();
+	/** @type {Map<string, URL?>} */
+	const absoluteSpecifiers = new Map();
+	/** @type {Map<string, Map<string, URL | Error>>} */
+	const resultCache = new Map();
+
+	/**
+	 * Finds the scopes that apply to a base url, in the order that `resolveModuleSpecifier()` would check them.
+	 * @param {string} baseURLString
+	 */
+	const getScopeChain = (baseURLString) => {
+		const cached = scopeChainsByBaseUrl.get(baseURLString);
+		if (cached) return cached;
+
+		/** @type {Set<string>} */
+		const candidates = new Set([baseURLString]);
+		let slashIndex = baseURLString.indexOf("/");
+		while (slashIndex != -1) {
+			candidates.add(baseURLString.slice(0, slashIndex + 1));
+			slashIndex = baseURLString.indexOf("/", slashIndex + 1);
+		}
+		const matches = [];
+		for (const candidate of candidates) {
+			const scope = scopesByPrefix.get(candidate);
+			if (scope) matches.push(scope);
+		}
+		matches.sort((a, b) => a.order - b.order);
+
+		const chain = {
+			cacheKey: matches.map((scope) => scope.order).join(","),
+			indexes: matches.map((scope) => scope.index),
+		};
+		scopeChainsByBaseUrl.set(baseURLString, chain);
+		return chain;
+	};
+
+	return {
+		resolve(baseUrl, specifier) {
+			// Only specifiers starting with "/", "./", or "../" depend on the base url,
+			// so the rest only needs to be parsed once.
+			let asURL;
+			if (specifier.startsWith("/") || specifier.startsWith("./") || specifier.startsWith("../")) {
+				asURL = parseUrlLikeImportSpecifier(specifier, baseUrl);
+			} else {
+				asURL = absoluteSpecifiers.get(specifier);
+				if (asURL === undefined) {
+					asURL = parseUrlLikeImportSpecifier(specifier, baseUrl);
+					absoluteSpecifiers.set(specifier, asURL);
+				}
+			}
+			const normalizedSpecifier = asURL ? asURL.href : specifier;
+
+			const chain = getScopeChain(baseUrl.href);
+			let results = resultCache.get(chain.cacheKey);
+			if (!results) {
+				results = new Map();
+				resultCache.set(chain.cacheKey, results);
+			}
+			const cached = results.get(normalizedSpecifier);
+			if (cached instanceof Error) throw cached;
+			if (cached) return cached;
+
+			/** @type {URL?} */
+			let result = null;
+			try {
+				for (const index of chain.indexes) {
+					result = resolveIndexedImportsMatch(normalizedSpecifier, asURL, index);
+					if (result) break;
+				}
+				if (!result) result = resolveIndexedImportsMatch(normalizedSpecifier, asURL, topLevelIndex);
+				if (!result) result = asURL;
+			} catch (e) {
+				if (e instanceof Error) results.set(normalizedSpecifier, e);
+				throw e;
+			}
+			if (!result) {
+				// Fallback resolvers may depend on the referrer, so their results are not cached.
+				if (options.fallbackResolvers) {
+					result = resolveWithFallbacks(options.fallbackResolvers, specifier, baseUrl, importMap);
+					if (result) return result;
+				}
+				throw new UnresolvedSpecifierError(specifier, baseUrl);
+			}
+			results.set(normalizedSpecifier, result);
+			return result;
+		},
+	};
+}
+
+/**
+ * @typedef CreateResolverOptions
+ * @property {FallbackResolver[]} [fallbackResolvers] Resolvers that are tried in order when a bare specifier
+ * is not remapped by the import map.
+ */
+
+/**
+ * @typedef ImportMapResolver
+ * @property {(baseUrl: URL, specifier: string) => URL} resolve Resolves a specifier
+ * the same way as `resolveModuleSpecifier()` does.
+ */
+
+/**
+ * @typedef SpecifierMapIndex
+ * @property {SpecifierMap} specifierMap
+ * @property {Map<string, number>} keyOrder The position of every key in the specifier map.
+ * @property {Map<string, number>} prefixKeyOrder The position of every key that ends with a slash.
+ */
+
+/**
+ * @param {SpecifierMap} specifierMap
+ * @returns {SpecifierMapIndex}
+ */
+function createSpecifierMapIndex(specifierMap) {
+	/** @type {Map<string, number>} */
+	const keyOrder = new Map();
+	/** @type {Map<string, number>} */
+	const prefixKeyOrder = new Map();
+	let order = 0;
+	for (const specifierKey of Object.keys(specifierMap)) {
+		keyOrder.set(specifierKey, order);
+		if (specifierKey.endsWith("/")) prefixKeyOrder.set(specifierKey, order);
+		order++;
+	}
+	return { specifierMap, keyOrder, prefixKeyOrder };
+}
+
+/**
+ * Does the same as `resolveImportsMatch()`, except that it looks up the matching key in the index
+ * instead of iterating over every key of the specifier map.
+ * @param {string} normalizedSpecifier
+ * @param {URL?} asURL
+ * @param {SpecifierMapIndex} index
+ */
+function resolveIndexedImportsMatch(normalizedSpecifier, asURL, index) {
+	// `resolveImportsMatch()` returns the first key that matches, so we look for the matching key with the lowest position.
+	/** @type {string?} */
+	let matchingKey = null;
+	let matchingOrder = Infinity;
+
+	const exactOrder = index.keyOrder.get(normalizedSpecifier);
+	if (exactOrder != undefined) {
+		matchingKey = normalizedSpecifier;
+		matchingOrder = exactOrder;
+	}
+
+	if (index.prefixKeyOrder.size > 0 && (!asURL || isSpecialUrl(asURL))) {
+		let slashIndex = normalizedSpecifier.indexOf("/");
+		while (slashIndex != -1) {
+			const candidate = normalizedSpecifier.slice(0, slashIndex + 1);
+			const order = index.prefixKeyOrder.get(candidate);
+			if (order != undefined && order < matchingOrder) {
+				matchingKey = candidate;
+				matchingOrder = order;
+			}
+			slashIndex = normalizedSpecifier.indexOf("/", slashIndex + 1);
+		}
+	}
+
+	if (matchingKey == null) return null;
+	return resolveImportsMatch(normalizedSpecifier, asURL, {
+		[matchingKey]: index.specifierMap[matchingKey],
+	});
+}
+
+/**
+ * Does the opposite of `resolveModuleSpecifier()`. Finds a specifier that resolves to `url` when it is imported from `baseUrl`.
+ * Specifiers that exactly match a key of the import map are preferred, followed by the longest prefix key plus
+ * the remainder of the url. Keys from scopes that apply to the base url take precedence over top-level imports.
+ * When no mapping applies, a path relative to `baseUrl` is returned, or the full url if the import map remaps
+ * the relative path to something else.
+ * Null is returned when no specifier resolves to the url.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const baseUrl = new URL(import.meta.url);
+ * const parsedImportMap = parseImportMap({
+ * 	imports: {
+ * 		"std/": "https://deno.land/std/",
+ * 	}
+ * }, baseUrl);
+ *
+ * const specifier = reverseResolveModuleSpecifier(parsedImportMap, baseUrl, new URL("https://deno.land/std/http/mod.ts"));
+ * console.log(specifier); // "std/http/mod.ts"
+ * ```
+ * @param {ParsedImportMap} importMap
+ * @param {URL} baseUrl
+ * @param {URL} url
+ * @returns {string?}
+ */
+export function reverseResolveModuleSpecifier(importMap, baseUrl, url) {
+	const baseURLString = new URL(baseUrl).href;
+	const targetHref = url.href;
+
+	/** @type {SpecifierMap[]} */
+	const specifierMaps = [];
+	for (const [scopePrefix, scopeImports] of Object.entries(importMap.scopes)) {
+		if (scopePrefix == baseURLString || scopePrefix.endsWith("/") && baseURLString.startsWith(scopePrefix)) {
+			specifierMaps.push(scopeImports);
+		}
+	}
+	specifierMaps.push(importMap.imports);
+
+	/**
+	 * @param {string} specifier
+	 */
+	const resolvesToTarget = (specifier) => {
+		try {
+			return resolveModuleSpecifier(importMap, baseUrl, specifier).href == targetHref;
+		} catch {
+			return false;
+		}
+	};
+
+	/**
+	 * Keys that were normalized to a url are turned back into something that looks like what the user would have written.
+	 * @param {string} specifierKey
+	 */
+	const specifierKeyToSpecifier = (specifierKey) => {
+		let keyUrl;
+		try {
+			keyUrl = new URL(specifierKey);
+		} catch {
+			return specifierKey;
+		}
+		return relativizeUrl(keyUrl, baseUrl);
+	};
+
+	/** @type {{specifier: string, exact: boolean, order: number, keyLength: number}[]} */
+	const candidates = [];
+	specifierMaps.forEach((specifierMap, order) => {
+		for (const [specifierKey, address] of Object.entries(specifierMap)) {
+			if (!address) continue;
+			if (address.href == targetHref) {
+				candidates.push({
+					specifier: specifierKeyToSpecifier(specifierKey),
+					exact: true,
+					order,
+					keyLength: specifierKey.length,
+				});
+			} else if (
+				specifierKey.endsWith("/") && address.href.endsWith("/") && targetHref.startsWith(address.href)
+			) {
+				const afterPrefix = targetHref.slice(address.href.length);
+				candidates.push({
+					specifier: specifierKeyToSpecifier(specifierKey) + afterPrefix,
+					exact: false,
+					order,
+					keyLength: specifierKey.length,
+				});
+			}
+		}
+	});
+
+	candidates.sort((a, b) => {
+		if (a.exact != b.exact) return a.exact ? -1 : 1;
+		if (a.order != b.order) return a.order - b.order;
+		return b.keyLength - a.keyLength;
+	});
+	for (const candidate of candidates) {
+		if (resolvesToTarget(candidate.specifier)) return candidate.specifier;
+	}
+
+	const relative = relativizeUrl(url, baseUrl);
+	if (resolvesToTarget(relative)) return relative;
+	if (resolvesToTarget(targetHref)) return targetHref;
+	return null;
+}
+
+/**
+ * Returns the integrity metadata that the import map lists for a module url.
+ * Use this with the url returned by `resolveModuleSpecifier()` to verify the
+ * contents of a module after it has been fetched.
+ * An empty string is returned when the import map contains no metadata for the url.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const resolved = resolveModuleSpecifier(parsedImportMap, baseUrl, "std/http/mod.ts");
+ * const integrity = resolveModuleIntegrityMetadata(parsedImportMap, resolved);
+ * ```
+ * @param {ParsedImportMap} importMap
+ * @param {URL} url
+ */
+export function resolveModuleIntegrityMetadata(importMap, url) {
+	// 1. Let map be settingsObject's global object's import map.
+	// We'll skip this step and take the import map as parameter instead.
 
-	// 11. If topLevelImportsMatch is not null, then return topLevelImportsMatch.
-	if (topLevelImportsMatch) return topLevelImportsMatch;
+	// Import maps that were created by hand may not have any integrity metadata.
+	const integrity = importMap.integrity || {};
 
-	// 12. If asURL is not null, then return asURL.
-	if (asURL) return asURL;
+	// 2. If map's integrity[url] does not exist, then return the empty string.
+	if (!Object.hasOwn(integrity, url.href)) return "";
 
-	// 13. Throw a TypeError indicating that specifier was a bare specifier, but was not remapped to anything by importMap.
-	throw new TypeError(
-		`Relative import path "${specifier}" not prefixed with / or ./ or ../`,
-	);
+	// 3. Return map's integrity[url].
+	return integrity[url.href];
 }
 
 /**
@@ -500,8 +1842,7 @@ function resolveImportsMatch(normalizedSpecifier, asURL, specifierMap) {
 			// * normalizedSpecifier starts with specifierKey, and
 			normalizedSpecifier.startsWith(specifierKey) &&
 			// * either asURL is null, or asURL is special
-			(!asURL ||
-				["ftp:", "file:", "http:", "https:", "ws:", "wss:"].includes(asURL.protocol))
+			(!asURL || isSpecialUrl(asURL))
 		) {
 			// 1. If resolutionResult is null, then throw a TypeError indicating that resolution of specifierKey was blocked by a null entry.
 			if (resolutionResult === null) {
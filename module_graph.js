@@ -0,0 +1,233 @@
+/**
+ * @module
+ * Functions for walking the graph of modules that an application imports, resolving every import with an import map.
+ */
+
+import { readFile } from "node:fs/promises";
+import { resolveModuleSpecifier, UnresolvedSpecifierError } from "./mod.js";
+import { findImportSpecifiers } from "./module_lexer.js";
+
+/**
+ * @callback ModuleLoader
+ * @param {URL} url
+ * @returns {Promise<string | null | undefined> | string | null | undefined} The source of the module,
+ * null when the module doesn't exist, or undefined when the module shouldn't be loaded, for instance because it is remote.
+ */
+
+/**
+ * @typedef WalkModuleGraphOptions
+ * @property {ModuleLoader} [load] Loads the source of a module.
+ * Defaults to reading `file:` urls from disk and skipping all other urls.
+ * @property {import("./mod.js").FallbackResolver[]} [fallbackResolvers] Passed on to `resolveModuleSpecifier()`.
+ */
+
+/**
+ * @typedef ModuleGraphDependency
+ * @property {string} specifier
+ * @property {"static" | "dynamic"} kind
+ * @property {URL?} url The resolved url, or null when the specifier couldn't be resolved.
+ * @property {TypeError?} error The error that resolving the specifier threw.
+ */
+
+/**
+ * @typedef ModuleGraphNode
+ * @property {URL} url
+ * @property {"loaded" | "missing" | "skipped"} status
+ * - `"loaded"` - The module was loaded and its imports were followed.
+ * - `"missing"` - The loader reported that the module doesn't exist.
+ * - `"skipped"` - The loader didn't load the module, for instance because it is remote.
+ * @property {ModuleGraphDependency[]} dependencies
+ */
+
+/**
+ * @typedef ModuleGraphProblem
+ * @property {"unresolved" | "blocked" | "missing"} kind
+ * - `"unresolved"` - A bare specifier that the import map doesn't map.
+ * - `"blocked"` - A specifier whose resolution was blocked by the import map, for instance because it maps to null.
+ * - `"missing"` - A specifier that resolved to a module that doesn't exist.
+ * @property {string?} specifier The specifier as it was imported, or null when an entry point is missing.
+ * @property {URL?} url The url of the missing module, or null when the specifier couldn't be resolved.
+ * @property {URL[]} importers The chain of modules that led to the problem, starting at an entry point and
+ * ending with the module that contains the import. Empty when an entry point is missing.
+ * @property {string} message
+ */
+
+/**
+ * @typedef ModuleGraph
+ * @property {Object.<string, ModuleGraphNode>} modules Every module that was encountered, keyed by url.
+ * @property {ModuleGraphProblem[]} problems
+ */
+
+/**
+ * Loads the entry points and every module they import, both through static imports and `import()` calls with a
+ * string literal. Specifiers are resolved using the import map, with the url of the importing module as base url.
+ * Returns the modules that were found, along with every import that couldn't be resolved or loaded.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const { problems } = await walkModuleGraph(parsedImportMap, [new URL("./src/main.js", import.meta.url)]);
+ * for (const problem of problems) {
+ *     console.log(problem.message, problem.importers.map((url) => url.href).join(" -> "));
+ * }
+ * ```
+ * @param {import("./mod.js").ParsedImportMap} importMap
+ * @param {Iterable<URL>} entryPoints
+ * @param {WalkModuleGraphOptions} [options]
+ * @returns {Promise<ModuleGraph>}
+ */
+export async function walkModuleGraph(importMap, entryPoints, options = {}) {
+	const load = options.load || loadModuleFromDisk;
+
+	/** @type {ModuleGraph} */
+	const graph = { modules: {}, problems: [] };
+
+	/**
+	 * The module through which each module was first reached, used for building the chain of importers.
+	 * @type {Map<string, URL?>}
+	 */
+	const firstImporters = new Map();
+	/** @type {URL[]} */
+	const queue = [];
+
+	/**
+	 * @param {URL} url
+	 * @param {URL?} importer
+	 */
+	const enqueue = (url, importer) => {
+		if (firstImporters.has(url.href)) return;
+		firstImporters.set(url.href, importer);
+		queue.push(url);
+	};
+
+	/**
+	 * @param {URL} url
+	 */
+	const getImporterChain = (url) => {
+		/** @type {URL[]} */
+		const chain = [];
+		/** @type {URL?} */
+		let current = url;
+		while (current) {
+			chain.unshift(current);
+			current = firstImporters.get(current.href) ?? null;
+		}
+		return chain;
+	};
+
+	/**
+	 * Imports of modules that haven't been loaded yet, so that they can be reported once it turns out they are missing.
+	 * @type {Map<string, {specifier: string, importer: URL}[]>}
+	 */
+	const pendingImports = new Map();
+
+	/**
+	 * @param {string} specifier
+	 * @param {URL} importer
+	 * @param {URL} url
+	 */
+	const reportMissing = (specifier, importer, url) => {
+		graph.problems.push({
+			kind: "missing",
+			specifier,
+			url,
+			importers: getImporterChain(importer),
+			message: `"${specifier}" imported from ${importer.href} resolved to ${url.href}, which doesn't exist.`,
+		});
+	};
+
+	for (const entryPoint of entryPoints) {
+		enqueue(entryPoint, null);
+	}
+
+	for (let i = 0; i < queue.length; i++) {
+		const url = queue[i];
+		const source = await load(url);
+
+		/** @type {ModuleGraphNode} */
+		const node = { url, status: "loaded", dependencies: [] };
+		graph.modules[url.href] = node;
+		const imports = pendingImports.get(url.href) || [];
+		pendingImports.delete(url.href);
+		if (source === undefined) {
+			node.status = "skipped";
+			continue;
+		}
+		if (source === null) {
+			node.status = "missing";
+			if (firstImporters.get(url.href) === null) {
+				graph.problems.push({
+					kind: "missing",
+					specifier: null,
+					url,
+					importers: [],
+					message: `The entry point ${url.href} doesn't exist.`,
+				});
+			}
+			for (const { specifier, importer } of imports) {
+				reportMissing(specifier, importer, url);
+			}
+			continue;
+		}
+
+		// Json, css and WebAssembly modules can't contain imports.
+		if (/\.(json|css|wasm)$/.test(url.pathname)) continue;
+
+		for (const { specifier, kind } of findImportSpecifiers(source)) {
+			if (kind == "import-meta-resolve") continue;
+
+			/** @type {ModuleGraphDependency} */
+			const dependency = { specifier, kind, url: null, error: null };
+			node.dependencies.push(dependency);
+			try {
+				dependency.url = resolveModuleSpecifier(importMap, url, specifier, {
+					fallbackResolvers: options.fallbackResolvers,
+				});
+			} catch (e) {
+				if (!(e instanceof TypeError)) throw e;
+				dependency.error = e;
+				graph.problems.push({
+					kind: e instanceof UnresolvedSpecifierError ? "unresolved" : "blocked",
+					specifier,
+					url: null,
+					importers: getImporterChain(url),
+					message: e.message,
+				});
+				continue;
+			}
+
+			const resolvedHref = dependency.url.href;
+			const existing = graph.modules[resolvedHref];
+			if (existing) {
+				if (existing.status == "missing") reportMissing(specifier, url, existing.url);
+				continue;
+			}
+			let imports = pendingImports.get(resolvedHref);
+			if (!imports) {
+				imports = [];
+				pendingImports.set(resolvedHref, imports);
+			}
+			imports.push({ specifier, importer: url });
+			enqueue(dependency.url, url);
+		}
+	}
+
+	return graph;
+}
+
+/**
+ * The default loader of `walkModuleGraph()`, which reads `file:` urls from disk and skips all other urls.
+ * @param {URL} url
+ * @returns {Promise<string | null | undefined>}
+ */
+export async function loadModuleFromDisk(url) {
+	if (url.protocol != "file:") return undefined;
+	try {
+		return await readFile(url, { encoding: "utf8" });
+	} catch (e) {
+		if (e instanceof Error && "code" in e && (e.code == "ENOENT" || e.code == "ENOTDIR" || e.code == "EISDIR")) {
+			return null;
+		}
+		throw e;
+	}
+}
@@ -0,0 +1,292 @@
+/**
+ * @module
+ * A lightweight lexer for finding import specifiers in JavaScript and TypeScript module source text.
+ * Comments, strings, template literals and regular expressions are skipped, so specifier-like text
+ * inside them is never reported.
+ */
+
+/**
+ * @typedef ImportSpecifierLocation
+ * @property {string} specifier The value of the string literal.
+ * @property {"static" | "dynamic" | "import-meta-resolve"} kind
+ * - `"static"` - An `import` or `export ... from` statement.
+ * - `"dynamic"` - An `import()` call with a string literal.
+ * - `"import-meta-resolve"` - An `import.meta.resolve()` call with a string literal.
+ * @property {number} start The offset of the opening quote of the string literal.
+ * @property {number} end The offset right after the closing quote of the string literal.
+ */
+
+/**
+ * @typedef Token
+ * @property {"identifier" | "string" | "template" | "regex" | "number" | "punctuator"} type
+ * @property {string} value For strings this is the unescaped value, otherwise the source text of the token.
+ * @property {number} start
+ * @property {number} end
+ */
+
+const KEYWORDS_BEFORE_EXPRESSION = [
+	"return",
+	"typeof",
+	"instanceof",
+	"in",
+	"of",
+	"new",
+	"delete",
+	"void",
+	"throw",
+	"case",
+	"do",
+	"else",
+	"yield",
+	"await",
+];
+
+/**
+ * Finds all import specifiers in JavaScript or TypeScript source text.
+ * This includes static `import` and `export ... from` statements, `import()` calls and
+ * `import.meta.resolve()` calls. Dynamic imports are only included when the specifier is a
+ * string literal.
+ * @param {string} source
+ * @returns {ImportSpecifierLocation[]}
+ */
+export function findImportSpecifiers(source) {
+	const tokens = tokenize(source);
+	/** @type {ImportSpecifierLocation[]} */
+	const specifiers = [];
+
+	/**
+	 * @param {number} index
+	 * @param {string} value
+	 */
+	const isPunctuator = (index, value) => tokens[index]?.type == "punctuator" && tokens[index].value == value;
+	/**
+	 * @param {number} index
+	 * @param {string} value
+	 */
+	const isIdentifier = (index, value) => tokens[index]?.type == "identifier" && tokens[index].value == value;
+	/**
+	 * @param {number} index
+	 * @param {ImportSpecifierLocation["kind"]} kind
+	 */
+	const addSpecifier = (index, kind) => {
+		const token = tokens[index];
+		specifiers.push({ specifier: token.value, kind, start: token.start, end: token.end });
+	};
+	/**
+	 * Looks for `from "specifier"` starting at `index`, stopping at the end of the statement.
+	 * @param {number} index
+	 */
+	const findFromClause = (index) => {
+		let braceDepth = 0;
+		for (let i = index; i < tokens.length; i++) {
+			const token = tokens[i];
+			if (token.type == "punctuator") {
+				if (token.value == "{") braceDepth++;
+				if (token.value == "}") {
+					braceDepth--;
+					// A closing brace at the top level is the end of a clause like `{ a, b }`, so it must be followed by `from`.
+					// If it isn't, this is a statement like `export { a };` without a specifier.
+					if (braceDepth == 0 && !(isIdentifier(i + 1, "from") && tokens[i + 2]?.type == "string")) return;
+				}
+				if (token.value == ";" || token.value == "(" || braceDepth < 0) return;
+			}
+			if (
+				braceDepth == 0 && token.type == "identifier" && token.value == "from" &&
+				tokens[i + 1]?.type == "string"
+			) {
+				addSpecifier(i + 1, "static");
+				return;
+			}
+			if (token.type == "string") return;
+		}
+	};
+
+	for (let i = 0; i < tokens.length; i++) {
+		const token = tokens[i];
+		if (token.type != "identifier") continue;
+		// Skip property accesses such as `foo.import`.
+		if (isPunctuator(i - 1, ".") || isPunctuator(i - 1, "?.")) continue;
+
+		if (token.value == "import") {
+			if (isPunctuator(i + 1, "(")) {
+				if (tokens[i + 2]?.type == "string" && (isPunctuator(i + 3, ")") || isPunctuator(i + 3, ","))) {
+					addSpecifier(i + 2, "dynamic");
+				}
+			} else if (isPunctuator(i + 1, ".")) {
+				if (
+					isIdentifier(i + 2, "meta") && isPunctuator(i + 3, ".") && isIdentifier(i + 4, "resolve") &&
+					isPunctuator(i + 5, "(") && tokens[i + 6]?.type == "string" && isPunctuator(i + 7, ")")
+				) {
+					addSpecifier(i + 6, "import-meta-resolve");
+				}
+			} else if (tokens[i + 1]?.type == "string") {
+				addSpecifier(i + 1, "static");
+			} else {
+				findFromClause(i + 1);
+			}
+		} else if (token.value == "export") {
+			let next = i + 1;
+			if (isIdentifier(next, "type")) next++;
+			if (isPunctuator(next, "*") || isPunctuator(next, "{")) {
+				findFromClause(next);
+			}
+		}
+	}
+	return specifiers;
+}
+
+/**
+ * @param {string} source
+ * @returns {Token[]}
+ */
+function tokenize(source) {
+	/** @type {Token[]} */
+	const tokens = [];
+	/**
+	 * For every `${` in a template literal that is currently open, the brace depth at which it was opened.
+	 * @type {number[]}
+	 */
+	const templateStack = [];
+	let braceDepth = 0;
+	let index = 0;
+
+	const regexAllowed = () => {
+		const previous = tokens[tokens.length - 1];
+		if (!previous) return true;
+		if (previous.type == "identifier") return KEYWORDS_BEFORE_EXPRESSION.includes(previous.value);
+		if (previous.type == "punctuator") return ![")", "]", "}"].includes(previous.value);
+		return false;
+	};
+
+	/**
+	 * Reads the characters of a template literal, starting right after the backtick or closing brace.
+	 * @param {number} start
+	 */
+	const readTemplate = (start) => {
+		while (index < source.length) {
+			const char = source[index];
+			if (char == "\\") {
+				index += 2;
+			} else if (char == "`") {
+				index++;
+				tokens.push({ type: "template", value: source.slice(start, index), start, end: index });
+				return;
+			} else if (char == "$" && source[index + 1] == "{") {
+				index += 2;
+				tokens.push({ type: "template", value: source.slice(start, index), start, end: index });
+				templateStack.push(braceDepth);
+				braceDepth++;
+				return;
+			} else {
+				index++;
+			}
+		}
+		tokens.push({ type: "template", value: source.slice(start, index), start, end: index });
+	};
+
+	while (index < source.length) {
+		const char = source[index];
+		const start = index;
+
+		if (/\s/.test(char)) {
+			index++;
+		} else if (char == "/" && source[index + 1] == "/") {
+			const lineEnd = source.indexOf("\n", index);
+			index = lineEnd == -1 ? source.length : lineEnd;
+		} else if (char == "/" && source[index + 1] == "*") {
+			const commentEnd = source.indexOf("*/", index + 2);
+			index = commentEnd == -1 ? source.length : commentEnd + 2;
+		} else if (char == "'" || char == '"') {
+			index++;
+			let value = "";
+			while (index < source.length && source[index] != char && source[index] != "\n") {
+				if (source[index] == "\\") {
+					const [unescaped, length] = readEscapeSequence(source, index);
+					value += unescaped;
+					index += length;
+				} else {
+					value += source[index];
+					index++;
+				}
+			}
+			index++;
+			tokens.push({ type: "string", value, start, end: Math.min(index, source.length) });
+		} else if (char == "`") {
+			index++;
+			readTemplate(start);
+		} else if (
+			char == "}" && templateStack.length > 0 && templateStack[templateStack.length - 1] == braceDepth - 1
+		) {
+			templateStack.pop();
+			braceDepth--;
+			index++;
+			readTemplate(start);
+		} else if (char == "/" && regexAllowed()) {
+			index++;
+			let inClass = false;
+			while (index < source.length && source[index] != "\n") {
+				const regexChar = source[index];
+				if (regexChar == "\\") {
+					index += 2;
+					continue;
+				}
+				index++;
+				if (regexChar == "[") inClass = true;
+				if (regexChar == "]") inClass = false;
+				if (regexChar == "/" && !inClass) break;
+			}
+			while (index < source.length && /[\w$]/.test(source[index])) index++;
+			tokens.push({ type: "regex", value: source.slice(start, index), start, end: index });
+		} else if (/[\p{ID_Start}$_\\]/u.test(char)) {
+			index++;
+			while (index < source.length && /[\p{ID_Continue}$\u200C\u200D\\]/u.test(source[index])) index++;
+			tokens.push({ type: "identifier", value: source.slice(start, index), start, end: index });
+		} else if (/[0-9]/.test(char) || (char == "." && /[0-9]/.test(source[index + 1]))) {
+			index++;
+			while (index < source.length && /[\w.]/.test(source[index])) index++;
+			tokens.push({ type: "number", value: source.slice(start, index), start, end: index });
+		} else {
+			let value = char;
+			if (char == "?" && source[index + 1] == "." && !/[0-9]/.test(source[index + 2])) value = "?.";
+			if (char == "{") braceDepth++;
+			if (char == "}") braceDepth--;
+			index += value.length;
+			tokens.push({ type: "punctuator", value, start, end: index });
+		}
+	}
+	return tokens;
+}
+
+/**
+ * @param {string} source
+ * @param {number} index The index of the backslash.
+ * @returns {[string, number]} The unescaped string and the length of the escape sequence.
+ */
+function readEscapeSequence(source, index) {
+	const char = source[index + 1];
+	/** @type {Object.<string, string>} */
+	const simpleEscapes = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f", v: "\v", "0": "\0" };
+	if (char in simpleEscapes && !(char == "0" && /[0-9]/.test(source[index + 2]))) {
+		return [simpleEscapes[char], 2];
+	}
+	if (char == "x") {
+		const hex = source.slice(index + 2, index + 4);
+		if (/^[0-9a-fA-F]{2}$/.test(hex)) return [String.fromCharCode(parseInt(hex, 16)), 4];
+	}
+	if (char == "u") {
+		if (source[index + 2] == "{") {
+			const end = source.indexOf("}", index + 3);
+			const hex = source.slice(index + 3, end);
+			if (end != -1 && /^[0-9a-fA-F]+$/.test(hex)) {
+				return [String.fromCodePoint(parseInt(hex, 16)), end - index + 1];
+			}
+		} else {
+			const hex = source.slice(index + 2, index + 6);
+			if (/^[0-9a-fA-F]{4}$/.test(hex)) return [String.fromCharCode(parseInt(hex, 16)), 6];
+		}
+	}
+	if (char == "\r" && source[index + 2] == "\n") return ["", 3];
+	if (char == "\n" || char == "\r" || char == "\u2028" || char == "\u2029") return ["", 2];
+	if (char == undefined) return ["", 1];
+	return [char, 2];
+}
@@ -0,0 +1,125 @@
+/**
+ * @module
+ * Node.js module customization hooks that apply an import map to every import.
+ * Register them using `registerImportMapHooks()`, or with `module.register()` directly:
+ *
+ * ```js
+ * import { register } from "node:module";
+ * register("./node_loader.js", import.meta.url, { data: { path: "./import_map.json" } });
+ * ```
+ *
+ * When no import map is passed in the data, the path or json in the `IMPORT_MAP` environment variable is used.
+ */
+
+import { readFile } from "node:fs/promises";
+import { register } from "node:module";
+import { resolve as resolvePath } from "node:path";
+import process from "node:process";
+import { pathToFileURL } from "node:url";
+import { createEmptyImportMap, parseImportMap, resolveModuleSpecifier, UnresolvedSpecifierError } from "./mod.js";
+
+/**
+ * @typedef ImportMapHooksData
+ * @property {string} [path] The path or file url of the import map, relative to the current working directory.
+ * @property {import("./mod.js").ImportMapData} [importMap] The contents of the import map.
+ * Takes precedence over `path`.
+ * @property {string} [baseUrl] The url that `importMap` is parsed relative to.
+ * Defaults to the current working directory.
+ */
+
+/**
+ * @typedef ResolveHookContext
+ * @property {string[]} conditions
+ * @property {Object.<string, string>} importAttributes
+ * @property {string} [parentURL] The url of the importing module, or undefined for the entry point.
+ */
+
+/**
+ * @typedef ResolveHookResult
+ * @property {string} url
+ * @property {string?} [format]
+ * @property {Object.<string, string>} [importAttributes]
+ * @property {boolean} [shortCircuit]
+ */
+
+/**
+ * @callback NextResolve
+ * @param {string} specifier
+ * @param {ResolveHookContext} [context]
+ * @returns {ResolveHookResult | Promise<ResolveHookResult>}
+ */
+
+/** @type {Promise<import("./mod.js").ParsedImportMap>?} */
+let importMapPromise = null;
+
+/**
+ * Registers the hooks of this module with Node.js, so that the import map is applied to all modules that are
+ * imported afterwards. This should be called from a module that is preloaded using `node --import`.
+ * @param {ImportMapHooksData} [data]
+ */
+export function registerImportMapHooks(data = {}) {
+	register(import.meta.url, { data });
+}
+
+/**
+ * The `initialize` hook, which loads the import map once.
+ * You don't need to call this yourself, Node.js calls it when the hooks are registered.
+ * @param {ImportMapHooksData} [data]
+ */
+export async function initialize(data = {}) {
+	importMapPromise = loadImportMap(data);
+	await importMapPromise;
+}
+
+/**
+ * The `resolve` hook, which resolves specifiers using the import map with the url of the importing module as base.
+ * Specifiers that are not covered by the import map are passed on to the default resolution of Node.js.
+ * You don't need to call this yourself, Node.js calls it for every import.
+ * @param {string} specifier
+ * @param {ResolveHookContext} context
+ * @param {NextResolve} nextResolve
+ * @returns {Promise<ResolveHookResult>}
+ */
+export async function resolve(specifier, context, nextResolve) {
+	if (!importMapPromise) importMapPromise = loadImportMap({});
+	const importMap = await importMapPromise;
+
+	const baseUrl = context.parentURL ? new URL(context.parentURL) : pathToFileURL(process.cwd() + "/");
+	let resolved;
+	try {
+		resolved = resolveModuleSpecifier(importMap, baseUrl, specifier);
+	} catch (e) {
+		if (e instanceof UnresolvedSpecifierError) return await nextResolve(specifier, context);
+		throw e;
+	}
+	// Node.js still needs to determine things like the format of the module,
+	// so the resolved url is passed on rather than returned directly.
+	return await nextResolve(resolved.href, context);
+}
+
+/**
+ * @param {ImportMapHooksData} data
+ * @returns {Promise<import("./mod.js").ParsedImportMap>}
+ */
+async function loadImportMap(data) {
+	const cwdUrl = pathToFileURL(process.cwd() + "/");
+	if (data.importMap) {
+		return parseImportMap(data.importMap, data.baseUrl ? new URL(data.baseUrl) : cwdUrl);
+	}
+
+	let path = data.path;
+	if (!path) {
+		const env = process.env.IMPORT_MAP;
+		if (!env) return createEmptyImportMap();
+		if (env.trimStart().startsWith("{")) {
+			return parseImportMap(JSON.parse(env), cwdUrl);
+		}
+		path = env;
+	}
+
+	// Paths are converted rather than parsed as urls, since they can contain characters such as "#" and "?",
+	// or start with a Windows drive letter.
+	const importMapUrl = path.startsWith("file:") ? new URL(path) : pathToFileURL(resolvePath(process.cwd(), path));
+	const json = JSON.parse(await readFile(importMapUrl, { encoding: "utf8" }));
+	return parseImportMap(json, importMapUrl);
+}
@@ -0,0 +1,236 @@
+/**
+ * @module
+ * Functions for generating import maps from packages installed in a node_modules directory.
+ */
+
+import { readFile } from "node:fs/promises";
+import { parseImportMap } from "./mod.js";
+import { getExportsSubpaths, resolveExportsTarget } from "./package_exports.js";
+import { relativizeUrl } from "./relative_url.js";
+
+/**
+ * @typedef GenerateImportMapFromNodeModulesOptions
+ * @property {URL} [baseUrl] The url where the import map will be located. Addresses and scope prefixes are made
+ * relative to this url. Defaults to a file named `import_map.json` in the root directory.
+ * @property {string[]} [dependencies] The packages that should be added to the top-level imports.
+ * Defaults to the `dependencies` of the package.json in the root directory.
+ * @property {boolean} [includeDevDependencies] Whether the `devDependencies` of the root package.json should be
+ * included when `dependencies` is not set. Defaults to false.
+ * @property {string[]} [conditions] The conditions to use when resolving the `exports` field of packages,
+ * in addition to `"default"`. Defaults to `["browser", "import", "module"]`.
+ */
+
+/**
+ * @typedef PackageJson
+ * @property {string} [name]
+ * @property {string} [main]
+ * @property {string} [module]
+ * @property {unknown} [exports]
+ * @property {Object.<string, unknown>} [imports]
+ * @property {Object.<string, string>} [dependencies]
+ * @property {Object.<string, string>} [devDependencies]
+ * @property {Object.<string, string>} [peerDependencies]
+ * @property {Object.<string, string>} [optionalDependencies]
+ */
+
+/**
+ * @typedef InstalledPackage
+ * @property {URL} directory The url of the package directory, with a trailing slash.
+ * @property {PackageJson} packageJson
+ */
+
+/**
+ * Generates an import map for the packages installed in the node_modules directory of a project.
+ * Direct dependencies are added to the top-level imports. When a package depends on a package that resolves
+ * to a different location than the top-level imports do, for instance because a different version is
+ * installed in a nested node_modules directory, a scope is added for that package.
+ *
+ * Entry points are determined using the `exports` field of each package.json, falling back
+ * to the `module` and `main` fields.
+ * The generated import map is validated using `parseImportMap()` in strict mode before it is returned.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const rootDir = new URL("./", import.meta.url);
+ * const importMapData = await generateImportMapFromNodeModules(rootDir);
+ * await Deno.writeTextFile("import_map.json", JSON.stringify(importMapData, null, "\t"));
+ * ```
+ * @param {URL} rootDir The url of the project directory, containing a package.json and node_modules directory.
+ * @param {GenerateImportMapFromNodeModulesOptions} [options]
+ * @returns {Promise<import("./mod.js").ImportMapData>}
+ */
+export async function generateImportMapFromNodeModules(rootDir, options = {}) {
+	const rootDirectory = ensureTrailingSlash(rootDir);
+	const baseUrl = options.baseUrl || new URL("import_map.json", rootDirectory);
+	const conditions = options.conditions || ["browser", "import", "module"];
+
+	/** @type {Map<string, PackageJson?>} */
+	const packageJsonCache = new Map();
+	/**
+	 * @param {URL} directory
+	 */
+	const readPackageJson = async (directory) => {
+		const cached = packageJsonCache.get(directory.href);
+		if (cached !== undefined) return cached;
+		/** @type {PackageJson?} */
+		let packageJson = null;
+		try {
+			packageJson = JSON.parse(await readFile(new URL("package.json", directory), { encoding: "utf8" }));
+		} catch (e) {
+			if (!(e instanceof Error && "code" in e && e.code == "ENOENT")) throw e;
+		}
+		packageJsonCache.set(directory.href, packageJson);
+		return packageJson;
+	};
+
+	/**
+	 * Finds a package the same way Node.js does, by looking in the node_modules directory of the importing
+	 * package and then in the node_modules directories of each parent directory, up to the root directory.
+	 * @param {string} name
+	 * @param {URL} fromDirectory
+	 * @returns {Promise<InstalledPackage?>}
+	 */
+	const findPackage = async (name, fromDirectory) => {
+		let directory = fromDirectory;
+		while (directory.href.startsWith(rootDirectory.href)) {
+			if (!directory.pathname.endsWith("/node_modules/")) {
+				const packageDirectory = new URL(`node_modules/${name}/`, directory);
+				const packageJson = await readPackageJson(packageDirectory);
+				if (packageJson) return { directory: packageDirectory, packageJson };
+			}
+			if (directory.href == rootDirectory.href) break;
+			directory = new URL("../", directory);
+		}
+		return null;
+	};
+
+	/**
+	 * @param {URL} url
+	 */
+	const toAddress = (url) => relativizeUrl(url, baseUrl);
+
+	const rootPackageJson = await readPackageJson(rootDirectory);
+	let dependencies = options.dependencies;
+	if (!dependencies) {
+		if (!rootPackageJson) {
+			throw new Error(`No package.json was found in ${rootDirectory.href}`);
+		}
+		dependencies = Object.keys({
+			...rootPackageJson.dependencies,
+			...(options.includeDevDependencies ? rootPackageJson.devDependencies : {}),
+		});
+	}
+
+	/** @type {Object.<string, string>} */
+	const imports = {};
+	/** @type {Object.<string, Object.<string, string>>} */
+	const scopes = {};
+	/**
+	 * The location that each top-level specifier resolves to.
+	 * @type {Map<string, string>}
+	 */
+	const topLevelPackageDirectories = new Map();
+
+	/** @type {InstalledPackage[]} */
+	const queue = [];
+	for (const name of dependencies) {
+		const installedPackage = await findPackage(name, rootDirectory);
+		if (!installedPackage) {
+			throw new Error(`The dependency "${name}" is not installed in ${rootDirectory.href}node_modules/`);
+		}
+		Object.assign(imports, getPackageMappings(name, installedPackage, conditions, toAddress));
+		topLevelPackageDirectories.set(name, installedPackage.directory.href);
+		queue.push(installedPackage);
+	}
+
+	/** @type {Set<string>} */
+	const visited = new Set();
+	while (queue.length > 0) {
+		const installedPackage = /** @type {InstalledPackage} */ (queue.shift());
+		if (visited.has(installedPackage.directory.href)) continue;
+		visited.add(installedPackage.directory.href);
+
+		const { packageJson } = installedPackage;
+		const packageDependencies = {
+			...packageJson.optionalDependencies,
+			...packageJson.peerDependencies,
+			...packageJson.dependencies,
+		};
+		/** @type {Object.<string, string>} */
+		const scopeImports = {};
+		for (const name of Object.keys(packageDependencies)) {
+			const dependency = await findPackage(name, installedPackage.directory);
+			// Missing optional and peer dependencies are fine, the package might not use them.
+			if (!dependency) continue;
+			queue.push(dependency);
+			if (topLevelPackageDirectories.get(name) == dependency.directory.href) continue;
+			Object.assign(scopeImports, getPackageMappings(name, dependency, conditions, toAddress));
+		}
+		if (Object.keys(scopeImports).length > 0) {
+			scopes[toAddress(installedPackage.directory)] = scopeImports;
+		}
+	}
+
+	/** @type {import("./mod.js").ImportMapData} */
+	const importMapData = { imports };
+	if (Object.keys(scopes).length > 0) importMapData.scopes = scopes;
+
+	parseImportMap(importMapData, baseUrl, { strict: true });
+
+	return importMapData;
+}
+
+/**
+ * Creates the import map entries for importing a package and its subpaths.
+ * @param {string} name
+ * @param {InstalledPackage} installedPackage
+ * @param {string[]} conditions
+ * @param {(url: URL) => string} toAddress
+ */
+function getPackageMappings(name, installedPackage, conditions, toAddress) {
+	const { directory, packageJson } = installedPackage;
+	/** @type {Object.<string, string>} */
+	const mappings = {};
+
+	/**
+	 * @param {string} target
+	 */
+	const targetToAddress = (target) => toAddress(new URL(target, directory));
+
+	const { exports } = packageJson;
+	if (exports !== undefined && exports !== null) {
+		for (const [subpath, target] of Object.entries(getExportsSubpaths(exports))) {
+			const resolvedTarget = resolveExportsTarget(target, conditions);
+			if (resolvedTarget == null) continue;
+			const specifier = name + subpath.slice(1);
+			const starIndex = subpath.indexOf("*");
+			if (starIndex == -1) {
+				// Subpaths ending with a slash are a deprecated way of exporting folders.
+				if (subpath.endsWith("/") && !resolvedTarget.endsWith("/")) continue;
+				mappings[specifier] = targetToAddress(resolvedTarget);
+			} else if (
+				subpath.endsWith("/*") && resolvedTarget.endsWith("/*") &&
+				resolvedTarget.indexOf("*") == resolvedTarget.length - 1
+			) {
+				// Only patterns without a suffix can be represented in an import map, such as "./features/*": "./src/features/*".
+				mappings[specifier.slice(0, -1)] = targetToAddress(resolvedTarget.slice(0, -1));
+			}
+		}
+	} else {
+		const entryPoint = packageJson.module || packageJson.main || "index.js";
+		mappings[name] = targetToAddress(entryPoint);
+		mappings[name + "/"] = toAddress(directory);
+	}
+	return mappings;
+}
+
+/**
+ * @param {URL} url
+ */
+function ensureTrailingSlash(url) {
+	if (url.pathname.endsWith("/")) return url;
+	const newUrl = new URL(url.href);
+	newUrl.pathname += "/";
+	return newUrl;
+}
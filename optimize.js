@@ -0,0 +1,275 @@
+/**
+ * @module
+ * Functions for making import maps smaller without changing how the specifiers in them resolve.
+ */
+
+import { diffResolutions } from "./diff.js";
+import { lintParsedImportMap } from "./lint.js";
+import { resolveModuleSpecifier, UnresolvedSpecifierError } from "./mod.js";
+import { isSpecialOrBare, sortObject } from "./specifier_keys.js";
+
+/**
+ * @typedef OptimizeImportMapOptions
+ * @property {Iterable<import("./diff.js").SpecifierWithReferrer>} [specifiers] Specifiers that should resolve
+ * exactly the same with the optimized import map. When any of them resolves differently,
+ * an `ImportMapEquivalenceError` is thrown.
+ * @property {number} [minimumFoldSize] How many exact entries in the same directory are needed before they are
+ * folded into a single prefix key. Defaults to 2.
+ */
+
+/**
+ * @typedef ImportMapOptimization
+ * @property {"unreachable" | "redundant" | "folded"} kind
+ * - `"unreachable"` - The entry could never match, because another key matched everything it would match.
+ * - `"redundant"` - The specifier resolves to the same url without the entry.
+ * - `"folded"` - The entry was replaced by the prefix key in `prefixKey`.
+ * @property {string?} scopePrefix The scope that contained the entry, or null for top-level imports.
+ * @property {string} specifierKey
+ * @property {string?} prefixKey The prefix key that replaced the entry, or null when it wasn't folded.
+ */
+
+/**
+ * @typedef OptimizeImportMapResult
+ * @property {import("./mod.js").ParsedImportMap} importMap
+ * @property {ImportMapOptimization[]} optimizations Every entry that was removed and why.
+ */
+
+/**
+ * Thrown by `optimizeImportMap()` when the optimized import map doesn't resolve the provided specifiers
+ * to the same urls as the original import map.
+ */
+export class ImportMapEquivalenceError extends Error {
+	/**
+	 * @param {import("./diff.js").ResolutionChange[]} changes
+	 */
+	constructor(changes) {
+		const [{ specifier, referrer }] = changes;
+		super(
+			`The optimized import map resolves ${changes.length} specifier(s) differently, including "${specifier}" imported from ${referrer.href}.`,
+		);
+		this.name = "ImportMapEquivalenceError";
+		this.changes = changes;
+	}
+}
+
+/**
+ * Creates a smaller import map that resolves the same way as the provided one. The following entries are removed:
+ * - Keys that can never match, because a key earlier in the same map matches everything they would match.
+ * - Entries that resolve to the same url without them, such as scope entries that repeat the top-level imports.
+ * - Exact entries in the same directory that map to the same directory, which are folded into one prefix key.
+ *
+ * Folding makes the import map resolve specifiers that it didn't map before. For instance, folding
+ * `"pkg/a.js"` and `"pkg/b.js"` into `"pkg/"` also maps `"pkg/c.js"`. Entries are only folded when the
+ * specifiers that were already resolvable keep resolving to the same url. To make sure the specifiers that your
+ * modules use are not affected, pass them in `specifiers`.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const { importMap } = optimizeImportMap(parsedImportMap, {
+ *     specifiers: [{ specifier: "pkg/a.js", referrer: new URL("https://example.com/main.js") }],
+ * });
+ * ```
+ * @param {import("./mod.js").ParsedImportMap} importMap
+ * @param {OptimizeImportMapOptions} [options]
+ * @returns {OptimizeImportMapResult}
+ */
+export function optimizeImportMap(importMap, options = {}) {
+	const minimumFoldSize = options.minimumFoldSize ?? 2;
+
+	/** @type {import("./mod.js").ParsedImportMap} */
+	const optimized = {
+		imports: { ...importMap.imports },
+		scopes: {},
+		integrity: { ...importMap.integrity },
+	};
+	for (const [scopePrefix, scopeImports] of Object.entries(importMap.scopes)) {
+		optimized.scopes[scopePrefix] = { ...scopeImports };
+	}
+
+	/** @type {ImportMapOptimization[]} */
+	const optimizations = [];
+
+	for (const finding of lintParsedImportMap(optimized)) {
+		if (finding.code != "shadowed-specifier-key") continue;
+		const { scopePrefix, specifierKey } = finding;
+		delete getSpecifierMap(optimized, scopePrefix)[specifierKey];
+		optimizations.push({ kind: "unreachable", scopePrefix, specifierKey, prefixKey: null });
+	}
+
+	const scopePrefixes = [null, ...Object.keys(optimized.scopes)];
+	for (const scopePrefix of scopePrefixes) {
+		optimizations.push(...foldSpecifierMap(optimized, scopePrefix, minimumFoldSize));
+	}
+
+	for (const scopePrefix of scopePrefixes) {
+		const specifierMap = getSpecifierMap(optimized, scopePrefix);
+		for (const [specifierKey, address] of Object.entries(specifierMap)) {
+			if (!address) continue;
+			// Without a prefix key, longer keys from outer scopes would start to apply to some of the specifiers.
+			if (specifierKey.endsWith("/") && hasKeyStartingWith(optimized, scopePrefix, specifierKey)) continue;
+			const fallback = resolveWithoutEntry(optimized, scopePrefix, specifierKey);
+			if (fallback instanceof URL && fallback.href == address.href) {
+				delete specifierMap[specifierKey];
+				optimizations.push({ kind: "redundant", scopePrefix, specifierKey, prefixKey: null });
+			}
+		}
+	}
+
+	for (const [scopePrefix, scopeImports] of Object.entries(optimized.scopes)) {
+		if (Object.keys(scopeImports).length == 0) delete optimized.scopes[scopePrefix];
+	}
+
+	if (options.specifiers) {
+		const changes = diffResolutions(importMap, optimized, options.specifiers);
+		if (changes.length > 0) throw new ImportMapEquivalenceError(changes);
+	}
+
+	return { importMap: optimized, optimizations };
+}
+
+/**
+ * Replaces exact entries that map to files in the same directory with a single prefix key.
+ * @param {import("./mod.js").ParsedImportMap} importMap
+ * @param {string?} scopePrefix
+ * @param {number} minimumFoldSize
+ * @returns {ImportMapOptimization[]}
+ */
+function foldSpecifierMap(importMap, scopePrefix, minimumFoldSize) {
+	const specifierMap = getSpecifierMap(importMap, scopePrefix);
+
+	/** @type {Map<string, {prefixKey: string, address: string, specifierKeys: string[]}>} */
+	const groups = new Map();
+	for (const [specifierKey, address] of Object.entries(specifierMap)) {
+		if (!address || specifierKey.endsWith("/")) continue;
+		const slashIndex = specifierKey.lastIndexOf("/");
+		if (slashIndex == -1) continue;
+		const prefixKey = specifierKey.slice(0, slashIndex + 1);
+		const rest = specifierKey.slice(slashIndex + 1);
+		if (!isSpecialOrBare(prefixKey) || !address.href.endsWith(rest)) continue;
+		const prefixAddress = address.href.slice(0, address.href.length - rest.length);
+		if (!prefixAddress.endsWith("/") || new URL(rest, prefixAddress).href != address.href) continue;
+
+		const groupKey = prefixKey + " " + prefixAddress;
+		let group = groups.get(groupKey);
+		if (!group) {
+			group = { prefixKey, address: prefixAddress, specifierKeys: [] };
+			groups.set(groupKey, group);
+		}
+		group.specifierKeys.push(specifierKey);
+	}
+
+	/** @type {ImportMapOptimization[]} */
+	const optimizations = [];
+	for (const { prefixKey, address, specifierKeys } of groups.values()) {
+		if (Object.hasOwn(specifierMap, prefixKey)) {
+			// The existing prefix key already maps these entries correctly, so they can be removed regardless of count.
+			if (specifierMap[prefixKey]?.href != address) continue;
+		} else {
+			if (specifierKeys.length < minimumFoldSize) continue;
+			// Specifiers that currently fall through to longer keys in outer scopes would be captured by the new key.
+			if (hasKeyStartingWith(importMap, scopePrefix, prefixKey)) continue;
+			// Other specifiers with this prefix should either be unmapped now, or already map to the same location.
+			const fallback = resolveWithoutEntry(importMap, scopePrefix, prefixKey);
+			if (
+				!(fallback instanceof UnresolvedSpecifierError) &&
+				!(fallback instanceof URL && fallback.href == address)
+			) {
+				continue;
+			}
+			specifierMap[prefixKey] = new URL(address);
+		}
+		for (const specifierKey of specifierKeys) {
+			delete specifierMap[specifierKey];
+			optimizations.push({ kind: "folded", scopePrefix, specifierKey, prefixKey });
+		}
+	}
+	setSpecifierMap(importMap, scopePrefix, sortObject(specifierMap));
+	return optimizations;
+}
+
+/**
+ * @param {import("./mod.js").ParsedImportMap} importMap
+ * @param {string?} scopePrefix
+ */
+function getSpecifierMap(importMap, scopePrefix) {
+	return scopePrefix == null ? importMap.imports : importMap.scopes[scopePrefix];
+}
+
+/**
+ * @param {import("./mod.js").ParsedImportMap} importMap
+ * @param {string?} scopePrefix
+ * @param {import("./mod.js").SpecifierMap} specifierMap
+ */
+function setSpecifierMap(importMap, scopePrefix, specifierMap) {
+	if (scopePrefix == null) {
+		importMap.imports = specifierMap;
+	} else {
+		importMap.scopes[scopePrefix] = specifierMap;
+	}
+}
+
+/**
+ * Returns the specifier maps that are used when nothing in the provided scope matches,
+ * which are the outer scopes that also apply to the modules in this scope, followed by the top-level imports.
+ * @param {import("./mod.js").ParsedImportMap} importMap
+ * @param {string?} scopePrefix
+ */
+function getOuterSpecifierMaps(importMap, scopePrefix) {
+	if (scopePrefix == null) return [];
+	/** @type {import("./mod.js").SpecifierMap[]} */
+	const specifierMaps = [];
+	for (const [otherPrefix, otherImports] of Object.entries(importMap.scopes)) {
+		if (otherPrefix != scopePrefix && otherPrefix.endsWith("/") && scopePrefix.startsWith(otherPrefix)) {
+			specifierMaps.push(otherImports);
+		}
+	}
+	specifierMaps.push(importMap.imports);
+	return specifierMaps;
+}
+
+/**
+ * @param {import("./mod.js").ParsedImportMap} importMap
+ * @param {string?} scopePrefix
+ * @param {string} prefixKey
+ */
+function hasKeyStartingWith(importMap, scopePrefix, prefixKey) {
+	return getOuterSpecifierMaps(importMap, scopePrefix).some((specifierMap) => {
+		return Object.keys(specifierMap).some((key) => key != prefixKey && key.startsWith(prefixKey));
+	});
+}
+
+/**
+ * Resolves a specifier key as it would be resolved from a module in the provided scope,
+ * if the scope didn't contain an entry for the key. Returns the error instead of throwing it.
+ * @param {import("./mod.js").ParsedImportMap} importMap
+ * @param {string?} scopePrefix
+ * @param {string} specifierKey
+ * @returns {URL | Error}
+ */
+function resolveWithoutEntry(importMap, scopePrefix, specifierKey) {
+	// Only the prefix keys of the specifier can match it, so there's no need to copy the whole map.
+	/** @type {import("./mod.js").SpecifierMap} */
+	const specifierMap = {};
+	for (const [key, address] of Object.entries(getSpecifierMap(importMap, scopePrefix))) {
+		if (key != specifierKey && key.endsWith("/") && specifierKey.startsWith(key)) specifierMap[key] = address;
+	}
+
+	/** @type {import("./mod.js").ParsedImportMap} */
+	let scopedImportMap;
+	let referrer;
+	if (scopePrefix == null) {
+		// Specifier keys are already normalized, so the referrer only matters for picking a scope.
+		scopedImportMap = { imports: specifierMap, scopes: {}, integrity: {} };
+		referrer = new URL("about:blank");
+	} else {
+		scopedImportMap = { ...importMap, scopes: { ...importMap.scopes, [scopePrefix]: specifierMap } };
+		referrer = new URL(scopePrefix);
+	}
+	try {
+		return resolveModuleSpecifier(scopedImportMap, referrer, specifierKey);
+	} catch (e) {
+		if (!(e instanceof Error)) throw e;
+		return e;
+	}
+}
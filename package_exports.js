@@ -0,0 +1,93 @@
+/**
+ * @module
+ * Helpers for interpreting the `exports` and `imports` fields of a package.json.
+ */
+
+/**
+ * Returns the subpath map of an `exports` field, for instance `{".": "./index.js"}`.
+ * The `exports` field may also contain a target for the main entry point directly,
+ * in which case that target is returned as the `"."` subpath.
+ * @param {unknown} exports
+ * @returns {Object.<string, unknown>}
+ */
+export function getExportsSubpaths(exports) {
+	const isSubpathMap = Boolean(exports) && typeof exports == "object" && !Array.isArray(exports) &&
+		Object.keys(/** @type {object} */ (exports)).some((key) => key.startsWith("."));
+	if (isSubpathMap) return /** @type {Object.<string, unknown>} */ (exports);
+	return { ".": exports };
+}
+
+/**
+ * Resolves a value of the `exports` or `imports` field of a package.json, given the conditions that are supported.
+ * Conditions are matched in the order they appear in the package.json, `"default"` always matches.
+ * @param {unknown} target
+ * @param {string[]} conditions
+ * @returns {string?}
+ */
+export function resolveExportsTarget(target, conditions) {
+	if (typeof target == "string") return target;
+	if (Array.isArray(target)) {
+		for (const item of target) {
+			const resolved = resolveExportsTarget(item, conditions);
+			if (resolved != null) return resolved;
+		}
+		return null;
+	}
+	if (target && typeof target == "object") {
+		for (const [condition, value] of Object.entries(target)) {
+			if (condition == "default" || conditions.includes(condition)) {
+				const resolved = resolveExportsTarget(value, conditions);
+				if (resolved != null) return resolved;
+			}
+		}
+	}
+	return null;
+}
+
+/**
+ * Finds the target for a key in a subpath map of the `exports` field, or in the `imports` field.
+ * Keys containing a `*` are treated as patterns, in which case the `*` in the target is replaced with
+ * the matched part of the key. When multiple patterns match, the one with the longest prefix wins.
+ * @param {string} matchKey The subpath, such as `"./utils"`, or the specifier for the `imports` field, such as `"#dep"`.
+ * @param {Object.<string, unknown>} map
+ * @param {string[]} conditions
+ * @returns {string?}
+ */
+export function resolvePackageMapMatch(matchKey, map, conditions) {
+	if (Object.hasOwn(map, matchKey) && !matchKey.includes("*")) {
+		return resolveExportsTarget(map[matchKey], conditions);
+	}
+
+	let bestKey = "";
+	let bestMatch = "";
+	for (const key of Object.keys(map)) {
+		const starIndex = key.indexOf("*");
+		if (starIndex == -1 || starIndex != key.lastIndexOf("*")) continue;
+		const patternBase = key.slice(0, starIndex);
+		const patternTrailer = key.slice(starIndex + 1);
+		if (
+			matchKey.startsWith(patternBase) && matchKey != patternBase && matchKey.endsWith(patternTrailer) &&
+			matchKey.length >= key.length && isBetterPattern(key, bestKey)
+		) {
+			bestKey = key;
+			bestMatch = matchKey.slice(patternBase.length, matchKey.length - patternTrailer.length);
+		}
+	}
+	if (!bestKey) return null;
+	const target = resolveExportsTarget(map[bestKey], conditions);
+	if (target == null) return null;
+	return target.replaceAll("*", bestMatch);
+}
+
+/**
+ * Compares two pattern keys the same way Node.js does, patterns with a longer prefix are more specific.
+ * @param {string} key
+ * @param {string} currentBest
+ */
+function isBetterPattern(key, currentBest) {
+	if (!currentBest) return true;
+	const baseLength = key.indexOf("*");
+	const bestBaseLength = currentBest.indexOf("*");
+	if (baseLength != bestBaseLength) return baseLength > bestBaseLength;
+	return key.length > currentBest.length;
+}
@@ -0,0 +1,52 @@
+/**
+ * @module
+ * Helpers for turning absolute urls into relative ones.
+ */
+
+import { isSpecialUrl } from "./specifier_keys.js";
+
+/**
+ * Returns a string that resolves to `url` when it is parsed as a URL-like
+ * specifier relative to `baseUrl`. The returned string always starts with
+ * `./`, `../` or `/`, so it isn't mistaken for a bare specifier.
+ * When no such string exists, for instance because the urls have a different
+ * origin, the full url is returned instead.
+ * @param {URL} url
+ * @param {URL} baseUrl
+ */
+export function relativizeUrl(url, baseUrl) {
+	if (
+		url.protocol != baseUrl.protocol || url.host != baseUrl.host ||
+		url.username != baseUrl.username || url.password != baseUrl.password ||
+		!isSpecialUrl(url)
+	) {
+		return url.href;
+	}
+
+	const baseDirectories = baseUrl.pathname.split("/").slice(0, -1);
+	const targetSegments = url.pathname.split("/");
+	let commonCount = 0;
+	while (
+		commonCount < baseDirectories.length && commonCount < targetSegments.length - 1 &&
+		baseDirectories[commonCount] == targetSegments[commonCount]
+	) {
+		commonCount++;
+	}
+
+	const upCount = baseDirectories.length - commonCount;
+	const rest = targetSegments.slice(commonCount).join("/");
+	let result;
+	if (upCount == 0) {
+		result = "./" + rest;
+	} else if (commonCount <= 1) {
+		// Only the root directory is shared, so a path relative to the root is easier to read.
+		result = url.pathname;
+	} else {
+		result = "../".repeat(upCount) + rest;
+	}
+	result += url.search + url.hash;
+
+	// Paths containing things like encoded characters might not round trip, in which case we'll use the full url.
+	if (new URL(result, baseUrl).href != url.href) return url.href;
+	return result;
+}
@@ -0,0 +1,98 @@
+/**
+ * @module
+ * Functions for applying an import map to the source code of JavaScript modules,
+ * for environments that don't support import maps.
+ */
+
+import { resolveModuleSpecifier } from "./mod.js";
+import { findImportSpecifiers } from "./module_lexer.js";
+import { relativizeUrl } from "./relative_url.js";
+
+/**
+ * @typedef RewriteImportSpecifiersOptions
+ * @property {boolean} [relative] When true, resolved urls are written relative to the module url where possible.
+ * Otherwise the full url is written.
+ */
+
+/**
+ * @typedef UnresolvedImportSpecifier
+ * @property {string} specifier
+ * @property {import("./module_lexer.js").ImportSpecifierLocation["kind"]} kind
+ * @property {number} line The one-based line of the string literal in the source text.
+ * @property {number} column The one-based column of the string literal in the source text.
+ * @property {Error} error The error that was thrown while resolving the specifier.
+ */
+
+/**
+ * @typedef RewriteImportSpecifiersResult
+ * @property {string} source The source text with all resolvable specifiers replaced.
+ * @property {UnresolvedImportSpecifier[]} unresolved Specifiers that could not be resolved and were left untouched.
+ */
+
+/**
+ * Replaces the specifiers of a JavaScript or TypeScript module with the url they resolve to.
+ * This affects static `import` and `export ... from` statements, as well as `import()` and
+ * `import.meta.resolve()` calls with a string literal. Comments, strings and template literals
+ * are left untouched.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const moduleUrl = new URL("https://example.com/main.js");
+ * const { source } = rewriteImportSpecifiers(`import { serve } from "std/http/mod.ts";`, parsedImportMap, moduleUrl);
+ * console.log(source); // import { serve } from "https://deno.land/std/http/mod.ts";
+ * ```
+ * @param {string} source
+ * @param {import("./mod.js").ParsedImportMap} importMap
+ * @param {URL} moduleUrl The url of the module, specifiers are resolved relative to this.
+ * @param {RewriteImportSpecifiersOptions} [options]
+ * @returns {RewriteImportSpecifiersResult}
+ */
+export function rewriteImportSpecifiers(source, importMap, moduleUrl, options = {}) {
+	/** @type {UnresolvedImportSpecifier[]} */
+	const unresolved = [];
+	let result = "";
+	let lastEnd = 0;
+	for (const location of findImportSpecifiers(source)) {
+		let resolved;
+		try {
+			resolved = resolveModuleSpecifier(importMap, moduleUrl, location.specifier);
+		} catch (e) {
+			if (!(e instanceof Error)) throw e;
+			const { line, column } = getLineAndColumn(source, location.start);
+			unresolved.push({ specifier: location.specifier, kind: location.kind, line, column, error: e });
+			continue;
+		}
+		const newSpecifier = options.relative ? relativizeUrl(resolved, moduleUrl) : resolved.href;
+		const quote = source[location.start];
+		result += source.slice(lastEnd, location.start) + quote + escapeStringContent(newSpecifier, quote) + quote;
+		lastEnd = location.end;
+	}
+	result += source.slice(lastEnd);
+	return { source: result, unresolved };
+}
+
+/**
+ * @param {string} value
+ * @param {string} quote
+ */
+function escapeStringContent(value, quote) {
+	return value
+		.replaceAll("\\", "\\\\")
+		.replaceAll(quote, "\\" + quote)
+		.replaceAll("\n", "\\n")
+		.replaceAll("\r", "\\r");
+}
+
+/**
+ * @param {string} source
+ * @param {number} offset
+ */
+function getLineAndColumn(source, offset) {
+	const before = source.slice(0, offset);
+	const lines = before.split("\n");
+	return {
+		line: lines.length,
+		column: lines[lines.length - 1].length + 1,
+	};
+}
@@ -0,0 +1,108 @@
+/**
+ * @module
+ * Helpers for normalizing and sorting specifier keys, shared by the parser and the tools that analyse import maps.
+ */
+
+/**
+ * @param {string} specifierKey
+ * @param {URL} baseURL
+ * @param {import("./mod.js").ReportDiagnostic} report
+ * @param {string[]} path
+ */
+export function normalizeSpecifierKey(specifierKey, baseURL, report, path) {
+	// 1. If specifierKey is the empty string, then:
+	if (specifierKey == "") {
+		// 1. Report a warning to the console that specifier keys cannot be the empty string.
+		report("empty-specifier-key", "Specifier keys cannot be an empty string.", path);
+
+		// 2. Return null.
+		return null;
+	}
+
+	// 2. Let url be the result of parsing a URL-like import specifier, given specifierKey and baseURL.
+	const url = parseUrlLikeImportSpecifier(specifierKey, baseURL);
+
+	// 3. If url is not null, then return the serialization of url.
+	if (url) return url.href;
+
+	// 4. Return specifierKey.
+	return specifierKey;
+}
+
+/**
+ * @param {string} specifier
+ * @param {URL} baseUrl
+ */
+export function parseUrlLikeImportSpecifier(specifier, baseUrl) {
+	// 1. If specifier starts with "/", "./", or "../", then:
+	if (
+		specifier.startsWith("/") || specifier.startsWith("./") ||
+		specifier.startsWith("../")
+	) {
+		// 1. Let url be the result of parsing specifier with baseURL as the base URL.
+		let url;
+		try {
+			url = new URL(specifier, baseUrl);
+		} catch {
+			// 2. If url is failure, then return null.
+			return null;
+		}
+
+		// 3. Return url.
+		return url;
+	}
+
+	// Let url be the result of parsing specifier (with no base URL).
+	let url;
+	try {
+		url = new URL(specifier);
+	} catch {
+		// 2. If url is failure, then return null.
+		return null;
+	}
+
+	// 3. Return url.
+	return url;
+}
+
+/**
+ * @param {URL} url
+ */
+export function isSpecialUrl(url) {
+	return ["ftp:", "file:", "http:", "https:", "ws:", "wss:"].includes(url.protocol);
+}
+
+/**
+ * Returns true when the normalized specifier key is either bare or a url that can be used as a prefix.
+ * @param {string} specifierKey
+ */
+export function isSpecialOrBare(specifierKey) {
+	let url;
+	try {
+		url = new URL(specifierKey);
+	} catch {
+		return true;
+	}
+	return isSpecialUrl(url);
+}
+
+/**
+ * Sorts the keys of an object in descending code unit order, which puts longer prefix keys before the keys they start with.
+ * @template T
+ * @param {Record<string, T>} map
+ * @param {boolean} [ascending] Sorts in ascending order instead, for output that is meant to be read.
+ */
+export function sortObject(map, ascending = false) {
+	const direction = ascending ? -1 : 1;
+	const sortedEntries = Object.entries(map).sort(([a], [b]) => {
+		if (a > b) return -direction;
+		if (a < b) return direction;
+		return 0;
+	});
+	/** @type {Record<string, T>} */
+	const newSpecifierMap = {};
+	for (const [key, value] of sortedEntries) {
+		newSpecifierMap[key] = value;
+	}
+	return newSpecifierMap;
+}
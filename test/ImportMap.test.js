@@ -0,0 +1,146 @@
+import { assertEquals, assertStrictEquals, assertThrows } from "asserts";
+import {
+	createResolver,
+	ImportMap,
+	ImportMapValidationError,
+	parseImportMap,
+	resolveModuleSpecifier,
+	serializeImportMap,
+} from "../mod.js";
+
+const baseUrl = new URL("https://example.com/app/import_map.json");
+
+Deno.test({
+	name: "Parsing and resolving",
+	fn() {
+		const importMap = ImportMap.parse({
+			imports: {
+				"a/": "./a/",
+				"a/b/": "./other/b/",
+			},
+		}, baseUrl);
+		assertEquals(importMap.resolve("a/b/c.js").href, "https://example.com/app/other/b/c.js");
+		assertEquals(importMap.resolve("a/c.js").href, "https://example.com/app/a/c.js");
+		assertEquals(importMap.resolve("./x.js", new URL("https://example.com/y/")).href, "https://example.com/y/x.js");
+	},
+});
+
+Deno.test({
+	name: "addImport() returns a new sorted and normalized import map",
+	fn() {
+		const original = new ImportMap(baseUrl);
+		const withA = original.addImport("a/", "./a/");
+		const withB = withA.addImport("a/b/", "/b/").addImport("./local.js", "https://cdn.example.com/local.js");
+
+		assertEquals(original.imports, {});
+		assertEquals(Object.keys(withA.imports), ["a/"]);
+		assertEquals(Object.keys(withB.imports), ["https://example.com/app/local.js", "a/b/", "a/"]);
+		assertEquals(withB.imports["a/b/"], new URL("https://example.com/b/"));
+		assertEquals(withB.resolve("a/b/c.js").href, "https://example.com/b/c.js");
+		assertEquals(withB.resolve("./local.js").href, "https://cdn.example.com/local.js");
+
+		const replaced = withB.addImport("a/", "./replaced/");
+		assertEquals(replaced.resolve("a/c.js").href, "https://example.com/app/replaced/c.js");
+
+		const blocked = withB.addImport("a/b/", null);
+		assertThrows(() => blocked.resolve("a/b/c.js"), TypeError, "blocked by a null entry");
+	},
+});
+
+Deno.test({
+	name: "Invalid entries throw",
+	fn() {
+		const importMap = new ImportMap(baseUrl);
+		assertThrows(
+			() => importMap.addImport("a/", "./a.js"),
+			ImportMapValidationError,
+			"the address needs to as well",
+		);
+		assertThrows(() => importMap.addImport("", "./a.js"), ImportMapValidationError);
+		assertThrows(() => importMap.addImport("a", "bare"), ImportMapValidationError, "The address bare is invalid.");
+		assertThrows(() => importMap.addScope("https://[invalid/", {}), TypeError, "not parseable");
+	},
+});
+
+Deno.test({
+	name: "Scopes",
+	fn() {
+		const importMap = new ImportMap(baseUrl)
+			.addImport("lib", "./lib.js")
+			.addScope("/legacy/", { lib: "./legacy-lib.js" })
+			.addImport("other", "./legacy-other.js", "/legacy/")
+			.addScope("/legacy/old/", { lib: null });
+
+		assertEquals(Object.keys(importMap.scopes), ["https://example.com/legacy/old/", "https://example.com/legacy/"]);
+		assertEquals(Object.keys(importMap.scopes["https://example.com/legacy/"]), ["other", "lib"]);
+		const legacyUrl = new URL("https://example.com/legacy/main.js");
+		assertEquals(importMap.resolve("lib", legacyUrl).href, "https://example.com/app/legacy-lib.js");
+		assertEquals(importMap.resolve("other", legacyUrl).href, "https://example.com/app/legacy-other.js");
+		assertEquals(importMap.resolve("lib").href, "https://example.com/app/lib.js");
+
+		const withoutOld = importMap.removeScope("/legacy/old/");
+		assertEquals(Object.keys(withoutOld.scopes), ["https://example.com/legacy/"]);
+		assertStrictEquals(withoutOld.removeScope("/missing/"), withoutOld);
+
+		const withoutOther = importMap.removeImport("other", "/legacy/");
+		assertEquals(Object.keys(withoutOther.scopes["https://example.com/legacy/"]), ["lib"]);
+	},
+});
+
+Deno.test({
+	name: "removeImport()",
+	fn() {
+		const importMap = new ImportMap(baseUrl).addImport("a", "./a.js").addImport("./b.js", "./c.js");
+		assertEquals(Object.keys(importMap.removeImport("a").imports), ["https://example.com/app/b.js"]);
+		assertEquals(Object.keys(importMap.removeImport("./b.js").imports), ["a"]);
+		assertStrictEquals(importMap.removeImport("missing"), importMap);
+		assertStrictEquals(importMap.removeImport("a", "/missing/"), importMap);
+	},
+});
+
+Deno.test({
+	name: "Instances are immutable",
+	fn() {
+		const importMap = new ImportMap(baseUrl).addImport("a", "./a.js");
+		assertThrows(() => {
+			/** @type {any} */ (importMap.imports).b = new URL("https://example.com/b.js");
+		}, TypeError);
+		assertThrows(() => {
+			/** @type {any} */ (importMap).imports = {};
+		}, TypeError);
+	},
+});
+
+Deno.test({
+	name: "toJSON() and clone()",
+	fn() {
+		const importMap = new ImportMap(baseUrl)
+			.addImport("a", "./a.js")
+			.addScope("/legacy/", { a: "https://cdn.example.com/a.js" });
+		assertEquals(JSON.parse(JSON.stringify(importMap)), {
+			imports: { a: "./a.js" },
+			scopes: { "/legacy/": { a: "https://cdn.example.com/a.js" } },
+		});
+
+		const clone = importMap.clone();
+		assertEquals(clone.toJSON(), importMap.toJSON());
+		assertEquals(clone.imports.a === importMap.imports.a, false);
+	},
+});
+
+Deno.test({
+	name: "Interoperates with the other functions",
+	fn() {
+		const parsed = parseImportMap({ imports: { "b/": "./b/", "b/c/": "./c/" } }, baseUrl);
+		const importMap = new ImportMap(baseUrl, parsed).addImport("a", "./a.js");
+		assertEquals(resolveModuleSpecifier(importMap, baseUrl, "b/c/d.js").href, "https://example.com/app/c/d.js");
+		assertEquals(createResolver(importMap).resolve(baseUrl, "a").href, "https://example.com/app/a.js");
+		assertEquals(serializeImportMap(importMap), {
+			imports: {
+				a: "https://example.com/app/a.js",
+				"b/": "https://example.com/app/b/",
+				"b/c/": "https://example.com/app/c/",
+			},
+		});
+	},
+});
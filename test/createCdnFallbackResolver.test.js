@@ -0,0 +1,42 @@
+import { assertEquals } from "asserts";
+import { createCdnFallbackResolver } from "../fallback_resolvers.js";
+import { createEmptyImportMap } from "../mod.js";
+
+const importMap = createEmptyImportMap();
+const referrer = new URL("file:///main.js");
+
+Deno.test({
+	name: "Specifier placeholder",
+	fn() {
+		const resolver = createCdnFallbackResolver("https://esm.sh/{specifier}");
+		assertEquals(resolver({ specifier: "preact", referrer, importMap }), new URL("https://esm.sh/preact"));
+		assertEquals(
+			resolver({ specifier: "@scope/pkg/utils.js", referrer, importMap }),
+			new URL("https://esm.sh/@scope/pkg/utils.js"),
+		);
+	},
+});
+
+Deno.test({
+	name: "Name and subpath placeholders",
+	fn() {
+		const resolver = createCdnFallbackResolver("https://cdn.example.com/{name}@latest{subpath}");
+		assertEquals(
+			resolver({ specifier: "lodash-es", referrer, importMap }),
+			new URL("https://cdn.example.com/lodash-es@latest"),
+		);
+		assertEquals(
+			resolver({ specifier: "@scope/pkg/a/b.js", referrer, importMap }),
+			new URL("https://cdn.example.com/@scope/pkg@latest/a/b.js"),
+		);
+	},
+});
+
+Deno.test({
+	name: "Package imports and invalid names are not resolved",
+	fn() {
+		const resolver = createCdnFallbackResolver("https://esm.sh/{specifier}");
+		assertEquals(resolver({ specifier: "#internal", referrer, importMap }), null);
+		assertEquals(resolver({ specifier: "@scope", referrer, importMap }), null);
+	},
+});
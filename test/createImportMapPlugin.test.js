@@ -0,0 +1,163 @@
+import { assertEquals, assertRejects } from "asserts";
+import { fileURLToPath } from "node:url";
+import { createImportMapPlugin } from "../bundler_plugin.js";
+import { withTempDir } from "./temp_dir.js";
+
+const importMap = {
+	imports: {
+		lib: "./lib/index.js",
+		"remote/": "https://example.com/remote/",
+		blocked: null,
+	},
+	scopes: {
+		"./legacy/": {
+			lib: "./lib/legacy.js",
+		},
+	},
+};
+const baseUrl = new URL("file:///project/");
+
+const rollupContext = {
+	/**
+	 * @param {string} message
+	 * @returns {never}
+	 */
+	error(message) {
+		throw new Error(message);
+	},
+};
+
+/**
+ * Calls the esbuild hook of a plugin in the same way esbuild would.
+ * @param {import("../bundler_plugin.js").ImportMapPlugin} plugin
+ * @param {import("../bundler_plugin.js").EsbuildResolveArgs} args
+ */
+async function esbuildResolve(plugin, args) {
+	/** @type {((args: import("../bundler_plugin.js").EsbuildResolveArgs) => Promise<any>)?} */
+	let onResolve = null;
+	plugin.setup({
+		onResolve(options, callback) {
+			assertEquals(options.filter.test(args.path), true);
+			onResolve = callback;
+		},
+	});
+	if (!onResolve) throw new Error("No onResolve callback was registered.");
+	return await /** @type {(args: import("../bundler_plugin.js").EsbuildResolveArgs) => Promise<any>} */ (onResolve)(
+		args,
+	);
+}
+
+Deno.test({
+	name: "Rollup resolveId",
+	async fn() {
+		const plugin = createImportMapPlugin({ importMap, baseUrl });
+		assertEquals(plugin.name, "import-map");
+		assertEquals(await plugin.resolveId.call(rollupContext, "lib", "/project/src/main.js"), {
+			id: "/project/lib/index.js",
+			external: false,
+		});
+		assertEquals(await plugin.resolveId.call(rollupContext, "lib", "/project/legacy/main.js"), {
+			id: "/project/lib/legacy.js",
+			external: false,
+		});
+		assertEquals(await plugin.resolveId.call(rollupContext, "remote/a.js", "/project/src/main.js"), {
+			id: "https://example.com/remote/a.js",
+			external: false,
+		});
+		// Remote modules use their url as importer.
+		assertEquals(await plugin.resolveId.call(rollupContext, "./b.js", "https://example.com/remote/a.js"), null);
+		assertEquals(await plugin.resolveId.call(rollupContext, "remote/b.js", "https://example.com/other.js"), {
+			id: "https://example.com/remote/b.js",
+			external: false,
+		});
+	},
+});
+
+Deno.test({
+	name: "Unmapped specifiers are passed on to the next resolver",
+	async fn() {
+		const plugin = createImportMapPlugin({ importMap, baseUrl });
+		assertEquals(await plugin.resolveId.call(rollupContext, "./other", "/project/src/main.js"), null);
+		assertEquals(await plugin.resolveId.call(rollupContext, "lodash", "/project/src/main.js"), null);
+		assertEquals(await plugin.resolveId.call(rollupContext, "lib", "\0virtual"), null);
+		assertEquals(
+			await esbuildResolve(plugin, {
+				path: "lodash",
+				importer: "/project/src/main.js",
+				resolveDir: "/project/src",
+			}),
+			undefined,
+		);
+	},
+});
+
+Deno.test({
+	name: "Remote urls are marked as external",
+	async fn() {
+		const plugin = createImportMapPlugin({ importMap, baseUrl, external: true });
+		assertEquals(await plugin.resolveId.call(rollupContext, "remote/a.js", "/project/src/main.js"), {
+			id: "https://example.com/remote/a.js",
+			external: true,
+		});
+		assertEquals(
+			await esbuildResolve(plugin, { path: "remote/a.js", importer: "/project/main.js", resolveDir: "/project" }),
+			{ path: "https://example.com/remote/a.js", external: true },
+		);
+	},
+});
+
+Deno.test({
+	name: "Blocked specifiers",
+	async fn() {
+		const plugin = createImportMapPlugin({ importMap, baseUrl });
+		assertEquals(await plugin.resolveId.call(rollupContext, "blocked", "/project/main.js"), null);
+
+		const reportingPlugin = createImportMapPlugin({ importMap, baseUrl, reportBlocked: true });
+		await assertRejects(
+			() => reportingPlugin.resolveId.call(rollupContext, "blocked", "/project/main.js"),
+			Error,
+			"Resolution of blocked was blocked by a null entry.",
+		);
+		assertEquals(
+			await esbuildResolve(reportingPlugin, {
+				path: "blocked",
+				importer: "/project/main.js",
+				resolveDir: "/project",
+			}),
+			{ errors: [{ text: "Resolution of blocked was blocked by a null entry." }] },
+		);
+	},
+});
+
+Deno.test({
+	name: "esbuild onResolve",
+	async fn() {
+		const plugin = createImportMapPlugin({ importMap, baseUrl });
+		assertEquals(
+			await esbuildResolve(plugin, { path: "lib", importer: "/project/src/main.js", resolveDir: "/project/src" }),
+			{ path: "/project/lib/index.js" },
+		);
+		assertEquals(
+			await esbuildResolve(plugin, { path: "remote/a.js", importer: "/project/main.js", resolveDir: "/project" }),
+			{ path: "https://example.com/remote/a.js", namespace: "https" },
+		);
+		// Entry points have no importer, so the resolve directory is used as base.
+		assertEquals(
+			await esbuildResolve(plugin, { path: "lib", importer: "", resolveDir: "/project/legacy" }),
+			{ path: "/project/lib/legacy.js" },
+		);
+	},
+});
+
+Deno.test({
+	name: "Import maps are loaded from a path",
+	async fn() {
+		await withTempDir({ "import_map.json": { imports: { lib: "./lib.js" } } }, async (dirUrl) => {
+			const plugin = createImportMapPlugin({ importMap: fileURLToPath(new URL("import_map.json", dirUrl)) });
+			assertEquals(await plugin.resolveId.call(rollupContext, "lib", fileURLToPath(new URL("main.js", dirUrl))), {
+				id: fileURLToPath(new URL("lib.js", dirUrl)),
+				external: false,
+			});
+		});
+	},
+});
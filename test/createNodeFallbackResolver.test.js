@@ -0,0 +1,102 @@
+import { assertEquals } from "asserts";
+import { createNodeFallbackResolver } from "../fallback_resolvers.js";
+import { createEmptyImportMap, resolveModuleSpecifier } from "../mod.js";
+
+/** @type {Object.<string, unknown>} */
+const files = {
+	"file:///project/package.json": {
+		name: "project",
+		imports: {
+			"#utils": "./src/utils.js",
+			"#internal/*": { node: "./src/node/*.js", default: "./src/internal/*.js" },
+			"#dep": "dep/feature",
+		},
+	},
+	"file:///project/node_modules/plain/package.json": { name: "plain", main: "lib/main.js" },
+	"file:///project/node_modules/dep/package.json": {
+		name: "dep",
+		exports: {
+			".": { require: "./index.cjs", import: "./index.mjs" },
+			"./feature": "./src/feature.js",
+			"./lib/*": "./dist/lib/*.js",
+			"./lib/private/*": null,
+		},
+	},
+	"file:///project/node_modules/@scope/pkg/package.json": { name: "@scope/pkg", exports: "./main.js" },
+	"file:///project/node_modules/other/node_modules/dep/package.json": { name: "dep", main: "nested.js" },
+	"file:///project/node_modules/other/package.json": { name: "other" },
+};
+
+/**
+ * @param {URL} url
+ */
+function readFile(url) {
+	const content = files[url.href];
+	if (!content) return null;
+	return JSON.stringify(content);
+}
+
+const importMap = createEmptyImportMap();
+const referrer = new URL("file:///project/src/main.js");
+const fallbackResolvers = [createNodeFallbackResolver({ readFile })];
+
+/**
+ * @param {string} specifier
+ * @param {URL} [baseUrl]
+ */
+function resolve(specifier, baseUrl = referrer) {
+	return resolveModuleSpecifier(importMap, baseUrl, specifier, { fallbackResolvers }).href;
+}
+
+Deno.test({
+	name: "Packages without exports",
+	fn() {
+		assertEquals(resolve("plain"), "file:///project/node_modules/plain/lib/main.js");
+		assertEquals(resolve("plain/other.js"), "file:///project/node_modules/plain/other.js");
+	},
+});
+
+Deno.test({
+	name: "Packages with exports",
+	fn() {
+		assertEquals(resolve("dep"), "file:///project/node_modules/dep/index.mjs");
+		assertEquals(resolve("dep/feature"), "file:///project/node_modules/dep/src/feature.js");
+		assertEquals(resolve("dep/lib/a/b"), "file:///project/node_modules/dep/dist/lib/a/b.js");
+		assertEquals(resolve("@scope/pkg"), "file:///project/node_modules/@scope/pkg/main.js");
+	},
+});
+
+Deno.test({
+	name: "Nested node_modules take precedence",
+	fn() {
+		const otherReferrer = new URL("file:///project/node_modules/other/index.js");
+		assertEquals(resolve("dep", otherReferrer), "file:///project/node_modules/other/node_modules/dep/nested.js");
+	},
+});
+
+Deno.test({
+	name: "Package imports",
+	fn() {
+		assertEquals(resolve("#utils"), "file:///project/src/utils.js");
+		assertEquals(resolve("#internal/x"), "file:///project/src/internal/x.js");
+		assertEquals(resolve("#dep"), "file:///project/node_modules/dep/src/feature.js");
+	},
+});
+
+Deno.test({
+	name: "Unresolvable specifiers are left to the next resolver",
+	fn() {
+		const resolver = createNodeFallbackResolver({ readFile });
+		/**
+		 * @param {string} specifier
+		 * @param {URL} [baseUrl]
+		 */
+		const fallback = (specifier, baseUrl = referrer) => resolver({ specifier, referrer: baseUrl, importMap });
+		assertEquals(fallback("missing"), null);
+		assertEquals(fallback("dep/not-exported"), null);
+		assertEquals(fallback("dep/lib/private/x"), null);
+		assertEquals(fallback("#missing"), null);
+		assertEquals(fallback("@scope"), null);
+		assertEquals(fallback("dep", new URL("https://example.com/main.js")), null);
+	},
+});
@@ -0,0 +1,136 @@
+import { assertEquals, assertThrows } from "asserts";
+import { createResolver, parseImportMap, resolveModuleSpecifier, UnresolvedSpecifierError } from "../mod.js";
+
+const baseUrl = new URL("https://example.com/");
+const importMap = parseImportMap(
+	{
+		imports: {
+			"a": "./a.js",
+			"a/": "./a/",
+			"a/b/": "./other/b/",
+			"blocked": null,
+			"blocked/": null,
+			"https://cdn.example.com/": "./cdn/",
+			"exact/": "./exact.js",
+			"npm:": "./npm/",
+		},
+		scopes: {
+			"/app/": {
+				"a": "./app-a.js",
+			},
+			"/app/nested/": {
+				"a/": "./nested-a/",
+			},
+			"/app/main.js": {
+				"a/b/": "./main-b/",
+			},
+		},
+	},
+	baseUrl,
+	{ onDiagnostic() {} },
+);
+
+const referrers = [
+	"https://example.com/index.js",
+	"https://example.com/app/index.js",
+	"https://example.com/app/main.js",
+	"https://example.com/app/nested/index.js",
+	"https://example.com/other/index.js",
+];
+
+const specifiers = [
+	"a",
+	"a/",
+	"a/foo.js",
+	"a/b/foo.js",
+	"a/../../escape.js",
+	"blocked",
+	"blocked/foo.js",
+	"https://cdn.example.com/lib.js",
+	"https://cdn.example.com",
+	"exact/",
+	"./relative.js",
+	"../relative.js",
+	"/absolute.js",
+	"npm:foo",
+	"unmapped",
+];
+
+/**
+ * @param {() => URL} fn
+ */
+function getResult(fn) {
+	try {
+		return fn().href;
+	} catch (e) {
+		if (!(e instanceof Error)) throw e;
+		return `${e.name}: ${e.message}`;
+	}
+}
+
+Deno.test({
+	name: "createResolver() resolves the same as resolveModuleSpecifier()",
+	fn() {
+		const resolver = createResolver(importMap);
+		for (let i = 0; i < 2; i++) {
+			for (const referrer of referrers) {
+				const referrerUrl = new URL(referrer);
+				for (const specifier of specifiers) {
+					const expected = getResult(() => resolveModuleSpecifier(importMap, referrerUrl, specifier));
+					const actual = getResult(() => resolver.resolve(referrerUrl, specifier));
+					assertEquals(actual, expected, `Resolving "${specifier}" from "${referrer}"`);
+				}
+			}
+		}
+	},
+});
+
+Deno.test({
+	name: "createResolver() respects the order of unsorted import maps",
+	fn() {
+		/** @type {import("../mod.js").ParsedImportMap} */
+		const unsortedImportMap = {
+			imports: {
+				"$a/": new URL("file:///parent/a/"),
+				"$a/b/": new URL("file:///otherParent/a/b/"),
+			},
+			scopes: {},
+			integrity: {},
+		};
+		const resolver = createResolver(unsortedImportMap);
+		const referrer = new URL("file:///script.js");
+		assertEquals(resolver.resolve(referrer, "$a/b/test.js").href, "file:///parent/a/b/test.js");
+	},
+});
+
+Deno.test({
+	name: "createResolver() throws the cached error again",
+	fn() {
+		const resolver = createResolver(importMap);
+		for (let i = 0; i < 2; i++) {
+			assertThrows(
+				() => {
+					resolver.resolve(baseUrl, "blocked");
+				},
+				TypeError,
+				"Resolution of blocked was blocked by a null entry.",
+			);
+		}
+	},
+});
+
+Deno.test({
+	name: "createResolver() with fallback resolvers depending on the referrer",
+	fn() {
+		const resolver = createResolver(importMap, {
+			fallbackResolvers: [({ specifier, referrer }) => {
+				if (specifier != "fallback") return null;
+				return new URL("fallback.js", referrer);
+			}],
+		});
+		assertEquals(resolver.resolve(new URL("file:///a/main.js"), "fallback").href, "file:///a/fallback.js");
+		assertEquals(resolver.resolve(new URL("file:///b/main.js"), "fallback").href, "file:///b/fallback.js");
+		const error = assertThrows(() => resolver.resolve(baseUrl, "unknown"), UnresolvedSpecifierError);
+		assertEquals(/** @type {UnresolvedSpecifierError} */ (error).referrer, baseUrl);
+	},
+});
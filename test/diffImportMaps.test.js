@@ -0,0 +1,143 @@
+import { assertEquals } from "asserts";
+import { diffImportMaps } from "../diff.js";
+import { parseImportMap } from "../mod.js";
+
+const baseUrl = new URL("https://example.com/import_map.json");
+
+/**
+ * Converts urls to strings, so that the result can be compared with plain objects.
+ * @param {unknown} value
+ */
+function toHrefs(value) {
+	return JSON.parse(JSON.stringify(value));
+}
+
+Deno.test({
+	name: "Identical import maps",
+	fn() {
+		const data = {
+			imports: { a: "./a.js" },
+			scopes: { "/scope/": { b: "./b.js" } },
+			integrity: { "./a.js": "sha384-abc" },
+		};
+		const diff = diffImportMaps(parseImportMap(data, baseUrl), parseImportMap(data, baseUrl));
+		assertEquals(toHrefs(diff), {
+			imports: { added: [], removed: [], changed: [] },
+			scopes: {},
+			integrity: { added: [], removed: [], changed: [] },
+			equal: true,
+		});
+	},
+});
+
+Deno.test({
+	name: "Added, removed and changed top-level imports",
+	fn() {
+		const before = parseImportMap({
+			imports: { a: "./a.js", b: "./b.js", blocked: null, same: "./same.js" },
+		}, baseUrl);
+		const after = parseImportMap({
+			imports: { a: "./a2.js", c: "./c.js", blocked: "./unblocked.js", same: "/same.js" },
+		}, baseUrl);
+		const diff = diffImportMaps(before, after);
+		assertEquals(toHrefs(diff.imports), {
+			added: [{ specifierKey: "c", address: "https://example.com/c.js" }],
+			removed: [{ specifierKey: "b", address: "https://example.com/b.js" }],
+			changed: [
+				{ specifierKey: "blocked", before: null, after: "https://example.com/unblocked.js" },
+				{ specifierKey: "a", before: "https://example.com/a.js", after: "https://example.com/a2.js" },
+			],
+		});
+		assertEquals(diff.equal, false);
+	},
+});
+
+Deno.test({
+	name: "Specifier keys are compared after normalization",
+	fn() {
+		const before = parseImportMap({ imports: { "./a.js": "./x.js" } }, baseUrl);
+		const after = parseImportMap({ imports: { "/a.js": "./x.js" } }, baseUrl);
+		assertEquals(diffImportMaps(before, after).equal, true);
+	},
+});
+
+Deno.test({
+	name: "Changes per scope",
+	fn() {
+		const before = parseImportMap({
+			scopes: {
+				"/changed/": { a: "./a.js", b: "./b.js" },
+				"/removed/": { a: "./a.js" },
+				"/same/": { a: "./a.js" },
+			},
+		}, baseUrl);
+		const after = parseImportMap({
+			scopes: {
+				"/added/": { a: "./a.js" },
+				"/changed/": { a: "./a.js", b: null },
+				"/same/": { a: "./a.js" },
+			},
+		}, baseUrl);
+		const diff = diffImportMaps(before, after);
+		assertEquals(toHrefs(diff.scopes), {
+			"https://example.com/added/": {
+				status: "added",
+				added: [{ specifierKey: "a", address: "https://example.com/a.js" }],
+				removed: [],
+				changed: [],
+			},
+			"https://example.com/changed/": {
+				status: "changed",
+				added: [],
+				removed: [],
+				changed: [{ specifierKey: "b", before: "https://example.com/b.js", after: null }],
+			},
+			"https://example.com/removed/": {
+				status: "removed",
+				added: [],
+				removed: [{ specifierKey: "a", address: "https://example.com/a.js" }],
+				changed: [],
+			},
+		});
+		assertEquals(diff.equal, false);
+	},
+});
+
+Deno.test({
+	name: "Integrity changes",
+	fn() {
+		const before = parseImportMap({
+			integrity: { "./a.js": "sha384-a", "./b.js": "sha384-b" },
+		}, baseUrl);
+		const after = parseImportMap({
+			integrity: { "./a.js": "sha384-changed", "./c.js": "sha384-c" },
+		}, baseUrl);
+		const diff = diffImportMaps(before, after);
+		assertEquals(diff.integrity, {
+			added: ["https://example.com/c.js"],
+			removed: ["https://example.com/b.js"],
+			changed: ["https://example.com/a.js"],
+		});
+		assertEquals(diff.equal, false);
+	},
+});
+
+Deno.test({
+	name: "Import maps without integrity",
+	fn() {
+		const before = /** @type {any} */ ({ imports: {}, scopes: {} });
+		const after = parseImportMap({
+			integrity: { "./a.js": "sha384-a" },
+		}, baseUrl);
+		assertEquals(diffImportMaps(before, after).integrity, {
+			added: ["https://example.com/a.js"],
+			removed: [],
+			changed: [],
+		});
+		assertEquals(diffImportMaps(after, before).integrity, {
+			added: [],
+			removed: ["https://example.com/a.js"],
+			changed: [],
+		});
+	},
+});
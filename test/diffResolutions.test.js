@@ -0,0 +1,88 @@
+import { assertEquals } from "asserts";
+import { diffResolutions } from "../diff.js";
+import { parseImportMap } from "../mod.js";
+
+const baseUrl = new URL("https://example.com/import_map.json");
+const referrer = new URL("https://example.com/main.js");
+
+Deno.test({
+	name: "Reports only specifiers that resolve differently",
+	fn() {
+		const before = parseImportMap({
+			imports: { a: "./a.js", b: "./b.js", "lib/": "./lib/" },
+		}, baseUrl);
+		const after = parseImportMap({
+			imports: { a: "./a.js", b: "./b2.js", "lib/": "./lib/", "lib/x.js": "./other/x.js" },
+		}, baseUrl);
+		const changes = diffResolutions(before, after, [
+			{ specifier: "a", referrer },
+			{ specifier: "b", referrer },
+			{ specifier: "lib/y.js", referrer },
+			{ specifier: "lib/x.js", referrer },
+			{ specifier: "./relative.js", referrer },
+		]);
+		assertEquals(changes.map((change) => [change.specifier, change.kind, change.after.url?.href]), [
+			["b", "changed", "https://example.com/b2.js"],
+			["lib/x.js", "changed", "https://example.com/other/x.js"],
+		]);
+		assertEquals(changes[0].before.url?.href, "https://example.com/b.js");
+		assertEquals(changes[0].before.error, null);
+	},
+});
+
+Deno.test({
+	name: "Specifiers that newly throw or no longer throw",
+	fn() {
+		const before = parseImportMap({ imports: { a: "./a.js", blocked: null } }, baseUrl);
+		const after = parseImportMap({ imports: { blocked: "./blocked.js" } }, baseUrl);
+		const changes = diffResolutions(before, after, [
+			{ specifier: "a", referrer },
+			{ specifier: "blocked", referrer },
+		]);
+		assertEquals(changes.length, 2);
+
+		assertEquals(changes[0].kind, "newly-throws");
+		assertEquals(changes[0].before.url?.href, "https://example.com/a.js");
+		assertEquals(changes[0].after.url, null);
+		assertEquals(changes[0].after.error instanceof TypeError, true);
+
+		assertEquals(changes[1].kind, "no-longer-throws");
+		assertEquals(changes[1].before.url, null);
+		assertEquals(changes[1].after.url?.href, "https://example.com/blocked.js");
+	},
+});
+
+Deno.test({
+	name: "Specifiers that throw a different error",
+	fn() {
+		const before = parseImportMap({}, baseUrl);
+		const after = parseImportMap({ imports: { a: null } }, baseUrl);
+		const changes = diffResolutions(before, after, [
+			{ specifier: "a", referrer },
+			{ specifier: "unmapped", referrer },
+		]);
+		assertEquals(changes.length, 1);
+		assertEquals(changes[0].specifier, "a");
+		assertEquals(changes[0].kind, "changed");
+		assertEquals(changes[0].before.url, null);
+		assertEquals(changes[0].after.url, null);
+	},
+});
+
+Deno.test({
+	name: "Scopes are applied based on the referrer",
+	fn() {
+		const before = parseImportMap({ imports: { a: "./a.js" } }, baseUrl);
+		const after = parseImportMap({
+			imports: { a: "./a.js" },
+			scopes: { "/vendor/": { a: "./vendor/a.js" } },
+		}, baseUrl);
+		const changes = diffResolutions(before, after, [
+			{ specifier: "a", referrer },
+			{ specifier: "a", referrer: new URL("https://example.com/vendor/lib.js") },
+		]);
+		assertEquals(changes.length, 1);
+		assertEquals(changes[0].referrer.href, "https://example.com/vendor/lib.js");
+		assertEquals(changes[0].after.url?.href, "https://example.com/vendor/a.js");
+	},
+});
@@ -0,0 +1,78 @@
+import { assertEquals, assertThrows } from "asserts";
+import { expandDenoImports } from "../deno_config.js";
+import { parseImportMap, resolveModuleSpecifier } from "../mod.js";
+
+Deno.test({
+	name: "npm and jsr mappings get a prefix entry",
+	fn() {
+		const result = expandDenoImports({
+			imports: {
+				preact: "npm:preact@10",
+				"@std/path": "jsr:@std/path@1",
+				"@std/fs": "jsr:/@std/fs@1/",
+				local: "./local.js",
+				blocked: null,
+			},
+			scopes: {
+				"/legacy/": {
+					preact: "npm:preact@8",
+				},
+			},
+		});
+		assertEquals(result, {
+			imports: {
+				preact: "npm:preact@10",
+				"preact/": "npm:/preact@10/",
+				"@std/path": "jsr:@std/path@1",
+				"@std/path/": "jsr:/@std/path@1/",
+				"@std/fs": "jsr:/@std/fs@1/",
+				"@std/fs/": "jsr:/@std/fs@1/",
+				local: "./local.js",
+				blocked: null,
+			},
+			scopes: {
+				"/legacy/": {
+					preact: "npm:preact@8",
+					"preact/": "npm:/preact@8/",
+				},
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Existing prefix entries are not overwritten",
+	fn() {
+		const result = expandDenoImports({
+			imports: {
+				preact: "npm:preact@10",
+				"preact/": "https://esm.sh/preact@10/",
+			},
+		});
+		assertEquals(result, {
+			imports: {
+				preact: "npm:preact@10",
+				"preact/": "https://esm.sh/preact@10/",
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Subpaths resolve like they do in Deno",
+	fn() {
+		const baseUrl = new URL("file:///project/deno.json");
+		const importMapData = {
+			imports: {
+				preact: "npm:preact@10",
+			},
+		};
+
+		const specImportMap = parseImportMap(importMapData, baseUrl);
+		assertThrows(() => resolveModuleSpecifier(specImportMap, baseUrl, "preact/hooks"), TypeError);
+
+		const denoImportMap = parseImportMap(expandDenoImports(importMapData), baseUrl);
+		assertEquals(resolveModuleSpecifier(denoImportMap, baseUrl, "preact"), new URL("npm:preact@10"));
+		assertEquals(resolveModuleSpecifier(denoImportMap, baseUrl, "preact/hooks"), new URL("npm:/preact@10/hooks"));
+	},
+});
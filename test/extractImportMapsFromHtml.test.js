@@ -0,0 +1,110 @@
+import { assertEquals } from "asserts";
+import { extractImportMapsFromHtml } from "../html.js";
+
+const documentUrl = new URL("https://example.com/app/index.html");
+
+Deno.test({
+	name: "Inline import maps are parsed with the document url as base",
+	fn() {
+		const html = `<!DOCTYPE html>
+<html>
+<head>
+	<script type="importmap">
+		{ "imports": { "lib": "./lib.js" } }
+	</script>
+	<SCRIPT TYPE=" ImportMap " nonce="abc">{ "imports": { "other": "/other.js", "lib": "./ignored.js" } }</SCRIPT>
+</head>
+</html>`;
+		const { scripts, importMap, warnings, baseUrl } = extractImportMapsFromHtml(html, documentUrl);
+		assertEquals(baseUrl, documentUrl);
+		assertEquals(warnings, []);
+		assertEquals(scripts.length, 2);
+		assertEquals(scripts[0].importMap?.imports, { lib: new URL("https://example.com/app/lib.js") });
+		assertEquals(scripts[0].text, `\n\t\t{ "imports": { "lib": "./lib.js" } }\n\t`);
+		assertEquals(html.slice(scripts[0].start, scripts[0].start + 7), "<script");
+		assertEquals(html.slice(scripts[0].end - 9, scripts[0].end), "</script>");
+		assertEquals(importMap.imports, {
+			other: new URL("https://example.com/other.js"),
+			lib: new URL("https://example.com/app/lib.js"),
+		});
+		assertEquals(scripts[1].diagnostics.map((diagnostic) => diagnostic.code), ["ignored-conflicting-rule"]);
+	},
+});
+
+Deno.test({
+	name: "Import maps after the first module script are ignored",
+	fn() {
+		const html = `
+<script type="importmap">{ "imports": { "a": "./a.js" } }</script>
+<script type="module" src="main.js"></script>
+<script type="importmap">{ "imports": { "b": "./b.js" } }</script>`;
+		const { scripts, importMap, warnings } = extractImportMapsFromHtml(html, documentUrl);
+		assertEquals(scripts.map((script) => script.ignored), [false, true]);
+		assertEquals(scripts[1].importMap, null);
+		assertEquals(Object.keys(importMap.imports), ["a"]);
+		assertEquals(warnings, [
+			{
+				code: "import-map-after-module-script",
+				message: "This import map is ignored because it comes after the first module script.",
+				start: html.lastIndexOf("<script"),
+			},
+		]);
+	},
+});
+
+Deno.test({
+	name: "Module preloads also stop import maps from being acquired",
+	fn() {
+		const html = `<link rel="modulepreload" href="main.js"><script type="importmap">{}</script>`;
+		const { scripts } = extractImportMapsFromHtml(html, documentUrl);
+		assertEquals(scripts[0].ignored, true);
+	},
+});
+
+Deno.test({
+	name: "Classic scripts, comments and other raw text don't count",
+	fn() {
+		const html = `
+<!-- <script type="module"></script> -->
+<script>const html = '<script type="module"><\\/script>';</script>
+<textarea><script type="importmap">{}</script></textarea>
+<script type="importmap">{ "imports": { "a": "./a.js" } }</script>`;
+		const { scripts } = extractImportMapsFromHtml(html, documentUrl);
+		assertEquals(scripts.length, 1);
+		assertEquals(scripts[0].ignored, false);
+		assertEquals(Object.keys(scripts[0].importMap?.imports || {}), ["a"]);
+	},
+});
+
+Deno.test({
+	name: "External import maps and the base element",
+	fn() {
+		const html = `<head>
+<base href="/static/">
+<base href="/ignored/">
+<script type="importmap" src="import_map.json?a=1&amp;b=2"></script>
+<script type="importmap">{ "imports": { "a": "./a.js" } }</script>
+</head>`;
+		const { scripts, importMap, warnings, baseUrl } = extractImportMapsFromHtml(html, documentUrl);
+		assertEquals(baseUrl, new URL("https://example.com/static/"));
+		assertEquals(scripts[0].src, new URL("https://example.com/static/import_map.json?a=1&b=2"));
+		assertEquals(scripts[0].text, null);
+		assertEquals(scripts[0].importMap, null);
+		assertEquals(warnings.map((warning) => warning.code), ["external-import-map"]);
+		assertEquals(importMap.imports, { a: new URL("https://example.com/static/a.js") });
+	},
+});
+
+Deno.test({
+	name: "Invalid import maps",
+	fn() {
+		const html = `<script type="importmap">{ "imports": </script>
+<script type="importmap">[]</script>
+<script type="importmap">{ "imports": { "a": 1 } }</script>`;
+		const { scripts } = extractImportMapsFromHtml(html, documentUrl);
+		assertEquals(scripts[0].error?.name, "JsonSyntaxError");
+		assertEquals(scripts[1].error?.name, "TypeError");
+		assertEquals(scripts[2].error, null);
+		assertEquals(scripts[2].diagnostics.map((diagnostic) => diagnostic.code), ["non-string-address"]);
+	},
+});
@@ -0,0 +1,89 @@
+import { assertEquals } from "asserts";
+import { findImportSpecifiers } from "../module_lexer.js";
+
+/**
+ * @param {string} source
+ */
+function getSpecifiers(source) {
+	return findImportSpecifiers(source).map(({ specifier, kind }) => ({ specifier, kind }));
+}
+
+Deno.test({
+	name: "findImportSpecifiers() finds static imports and exports",
+	fn() {
+		const source = `
+			import "side-effect";
+			import foo from "default";
+			import { a, b as c } from 'named';
+			import * as ns from "namespace";
+			import def, { d } from "mixed";
+			import type { T } from "types";
+			import json from "./data.json" with { type: "json" };
+			export * from "star";
+			export * as starNs from "star-ns";
+			export { e } from "reexport";
+			export type { U } from "type-reexport";
+			export { local };
+			export const x = 1;
+		`;
+		assertEquals(getSpecifiers(source), [
+			{ specifier: "side-effect", kind: "static" },
+			{ specifier: "default", kind: "static" },
+			{ specifier: "named", kind: "static" },
+			{ specifier: "namespace", kind: "static" },
+			{ specifier: "mixed", kind: "static" },
+			{ specifier: "types", kind: "static" },
+			{ specifier: "./data.json", kind: "static" },
+			{ specifier: "star", kind: "static" },
+			{ specifier: "star-ns", kind: "static" },
+			{ specifier: "reexport", kind: "static" },
+			{ specifier: "type-reexport", kind: "static" },
+		]);
+	},
+});
+
+Deno.test({
+	name: "findImportSpecifiers() finds dynamic imports and import.meta.resolve()",
+	fn() {
+		const source = `
+			const a = await import("dynamic");
+			const b = await import("with-options", { with: { type: "json" } });
+			const c = await import(variable);
+			const d = await import("prefix" + variable);
+			const e = import.meta.resolve("resolved");
+			const f = import.meta.url;
+		`;
+		assertEquals(getSpecifiers(source), [
+			{ specifier: "dynamic", kind: "dynamic" },
+			{ specifier: "with-options", kind: "dynamic" },
+			{ specifier: "resolved", kind: "import-meta-resolve" },
+		]);
+	},
+});
+
+Deno.test({
+	name: "findImportSpecifiers() ignores comments, strings, template literals and regular expressions",
+	fn() {
+		const source = `
+			// import "line-comment";
+			/* import "block-comment"; */
+			const s = 'import "string"';
+			const t = \`import "template" \${await import("in-template")} import("after")\`;
+			const r = /import "regex"/;
+			const division = a / b; import "after-division";
+			obj.import("property");
+		`;
+		assertEquals(getSpecifiers(source), [
+			{ specifier: "in-template", kind: "dynamic" },
+			{ specifier: "after-division", kind: "static" },
+		]);
+	},
+});
+
+Deno.test({
+	name: "findImportSpecifiers() returns the location of the string literal",
+	fn() {
+		const source = `import foo from "foo";`;
+		assertEquals(findImportSpecifiers(source), [{ specifier: "foo", kind: "static", start: 16, end: 21 }]);
+	},
+});
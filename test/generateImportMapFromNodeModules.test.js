@@ -0,0 +1,152 @@
+import { assertEquals, assertRejects } from "asserts";
+import { generateImportMapFromNodeModules } from "../node_modules.js";
+import { parseImportMap, resolveModuleSpecifier } from "../mod.js";
+import { withTempDir } from "./temp_dir.js";
+
+Deno.test({
+	name: "Packages without exports use module or main",
+	async fn() {
+		await withTempDir({
+			"package.json": { dependencies: { a: "1", b: "1", c: "1" } },
+			"node_modules/a/package.json": { name: "a", main: "lib/index.js" },
+			"node_modules/b/package.json": { name: "b", main: "index.cjs", module: "index.mjs" },
+			"node_modules/c/package.json": { name: "c" },
+		}, async (dirUrl) => {
+			const result = await generateImportMapFromNodeModules(dirUrl);
+			assertEquals(result, {
+				imports: {
+					a: "./node_modules/a/lib/index.js",
+					"a/": "./node_modules/a/",
+					b: "./node_modules/b/index.mjs",
+					"b/": "./node_modules/b/",
+					c: "./node_modules/c/index.js",
+					"c/": "./node_modules/c/",
+				},
+			});
+		});
+	},
+});
+
+Deno.test({
+	name: "Exports field with conditions and subpaths",
+	async fn() {
+		await withTempDir({
+			"package.json": { dependencies: { "@scope/pkg": "1", simple: "1" } },
+			"node_modules/@scope/pkg/package.json": {
+				name: "@scope/pkg",
+				main: "ignored.js",
+				exports: {
+					".": { require: "./dist/index.cjs", import: "./dist/index.mjs" },
+					"./utils": [{ browser: "./dist/utils.browser.js" }, "./dist/utils.js"],
+					"./features/*": "./src/features/*",
+					"./styles/*.css": "./css/*.css",
+					"./node-only": { node: "./node.js" },
+					"./package.json": "./package.json",
+				},
+			},
+			"node_modules/simple/package.json": { name: "simple", exports: { default: "./main.js" } },
+		}, async (dirUrl) => {
+			const result = await generateImportMapFromNodeModules(dirUrl);
+			assertEquals(result, {
+				imports: {
+					"@scope/pkg": "./node_modules/@scope/pkg/dist/index.mjs",
+					"@scope/pkg/utils": "./node_modules/@scope/pkg/dist/utils.browser.js",
+					"@scope/pkg/features/": "./node_modules/@scope/pkg/src/features/",
+					"@scope/pkg/package.json": "./node_modules/@scope/pkg/package.json",
+					simple: "./node_modules/simple/main.js",
+				},
+			});
+		});
+	},
+});
+
+Deno.test({
+	name: "Nested versions and transitive dependencies are added as scopes",
+	async fn() {
+		await withTempDir({
+			"package.json": { dependencies: { app: "1", lodash: "4" } },
+			"node_modules/app/package.json": { name: "app", dependencies: { lodash: "3", helper: "1" } },
+			"node_modules/app/node_modules/lodash/package.json": { name: "lodash", main: "lodash.js" },
+			"node_modules/helper/package.json": { name: "helper", dependencies: { lodash: "4" } },
+			"node_modules/lodash/package.json": { name: "lodash", main: "lodash.js" },
+		}, async (dirUrl) => {
+			const result = await generateImportMapFromNodeModules(dirUrl);
+			assertEquals(result, {
+				imports: {
+					app: "./node_modules/app/index.js",
+					"app/": "./node_modules/app/",
+					lodash: "./node_modules/lodash/lodash.js",
+					"lodash/": "./node_modules/lodash/",
+				},
+				scopes: {
+					"./node_modules/app/": {
+						lodash: "./node_modules/app/node_modules/lodash/lodash.js",
+						"lodash/": "./node_modules/app/node_modules/lodash/",
+						helper: "./node_modules/helper/index.js",
+						"helper/": "./node_modules/helper/",
+					},
+				},
+			});
+
+			const importMapUrl = new URL("import_map.json", dirUrl);
+			const parsed = parseImportMap(result, importMapUrl);
+			const helperUrl = new URL("node_modules/helper/index.js", dirUrl);
+			assertEquals(
+				resolveModuleSpecifier(parsed, helperUrl, "lodash"),
+				new URL("node_modules/lodash/lodash.js", dirUrl),
+			);
+			const nestedUrl = new URL("node_modules/app/node_modules/lodash/lodash.js", dirUrl);
+			assertEquals(
+				resolveModuleSpecifier(parsed, new URL("node_modules/app/index.js", dirUrl), "lodash"),
+				nestedUrl,
+			);
+		});
+	},
+});
+
+Deno.test({
+	name: "Custom dependencies, base url and dev dependencies",
+	async fn() {
+		await withTempDir({
+			"package.json": { dependencies: { a: "1" }, devDependencies: { b: "1" } },
+			"node_modules/a/package.json": { name: "a" },
+			"node_modules/b/package.json": { name: "b" },
+		}, async (dirUrl) => {
+			const withDev = await generateImportMapFromNodeModules(dirUrl, {
+				includeDevDependencies: true,
+				baseUrl: new URL("public/import_map.json", dirUrl),
+			});
+			assertEquals(withDev, {
+				imports: {
+					a: "../node_modules/a/index.js",
+					"a/": "../node_modules/a/",
+					b: "../node_modules/b/index.js",
+					"b/": "../node_modules/b/",
+				},
+			});
+
+			const onlyB = await generateImportMapFromNodeModules(dirUrl, { dependencies: ["b"] });
+			assertEquals(onlyB, {
+				imports: {
+					b: "./node_modules/b/index.js",
+					"b/": "./node_modules/b/",
+				},
+			});
+		});
+	},
+});
+
+Deno.test({
+	name: "Missing direct dependencies throw",
+	async fn() {
+		await withTempDir({
+			"package.json": { dependencies: { missing: "1" } },
+		}, async (dirUrl) => {
+			await assertRejects(
+				() => generateImportMapFromNodeModules(dirUrl),
+				Error,
+				`The dependency "missing" is not installed`,
+			);
+		});
+	},
+});
@@ -0,0 +1,87 @@
+import { assertEquals } from "asserts";
+import { importMapToPackageImports } from "../converters.js";
+
+const importMapUrl = new URL("file:///project/import_map.json");
+const packageJsonUrl = new URL("file:///project/package.json");
+
+Deno.test({
+	name: "Converts keys starting with #",
+	fn() {
+		const { imports, unsupported } = importMapToPackageImports(
+			{
+				imports: {
+					"#config": "./src/config.js",
+					"#utils/": "./src/utils/",
+					"#internal/": null,
+				},
+			},
+			importMapUrl,
+			packageJsonUrl,
+		);
+		assertEquals(imports, {
+			"#utils/*": "./src/utils/*",
+			"#internal/*": null,
+			"#config": "./src/config.js",
+		});
+		assertEquals(unsupported, []);
+	},
+});
+
+Deno.test({
+	name: "Reports mappings that can't be represented",
+	fn() {
+		const { imports, unsupported } = importMapToPackageImports(
+			{
+				imports: {
+					"#outside": "../other/index.js",
+					"#remote": "https://example.com/remote.js",
+					"#supported": "./supported.js",
+					lodash: "./vendor/lodash.js",
+				},
+				scopes: {
+					"./vendor/": { "#a": "./a.js" },
+				},
+			},
+			importMapUrl,
+			packageJsonUrl,
+		);
+		assertEquals(imports, { "#supported": "./supported.js" });
+		assertEquals(unsupported.map(({ code, specifierKey, scopePrefix }) => [code, specifierKey, scopePrefix]), [
+			["scope", null, "file:///project/vendor/"],
+			["not-a-subpath-import", "lodash", null],
+			["remote-address", "#remote", null],
+			["outside-package", "#outside", null],
+		]);
+	},
+});
+
+Deno.test({
+	name: "Reports invalid entries instead of blocking them",
+	fn() {
+		/** @type {import("../mod.js").ImportMapDiagnostic[]} */
+		const diagnostics = [];
+		const { imports, unsupported } = importMapToPackageImports(
+			{
+				imports: {
+					// @ts-expect-error Testing an invalid address.
+					"#cfg": 5,
+					"#x": "https://exa mple.com:99999/a",
+					"#blocked": null,
+				},
+			},
+			importMapUrl,
+			packageJsonUrl,
+			{ onDiagnostic: (diagnostic) => diagnostics.push(diagnostic) },
+		);
+		assertEquals(imports, { "#blocked": null });
+		assertEquals(unsupported.map(({ code, specifierKey, scopePrefix }) => [code, specifierKey, scopePrefix]), [
+			["invalid-target", "#cfg", null],
+			["invalid-target", "#x", null],
+		]);
+		assertEquals(diagnostics.map(({ code }) => code), [
+			"non-string-address",
+			"invalid-address",
+			"non-string-address",
+		]);
+	},
+});
@@ -0,0 +1,112 @@
+import { assertEquals } from "asserts";
+import { importMapToTsconfigPaths } from "../converters.js";
+
+const importMapUrl = new URL("file:///project/import_map.json");
+const tsconfigUrl = new URL("file:///project/tsconfig.json");
+
+Deno.test({
+	name: "Converts exact and prefix keys",
+	fn() {
+		const { compilerOptions, unsupported } = importMapToTsconfigPaths(
+			{
+				imports: {
+					lodash: "./vendor/lodash.js",
+					"std/": "./vendor/std/",
+					"~/": "./src/",
+				},
+			},
+			importMapUrl,
+			tsconfigUrl,
+		);
+		assertEquals(compilerOptions, {
+			paths: {
+				"~/*": ["./src/*"],
+				"std/*": ["./vendor/std/*"],
+				lodash: ["./vendor/lodash.js"],
+			},
+		});
+		assertEquals(unsupported, []);
+	},
+});
+
+Deno.test({
+	name: "Paths are relative to the baseUrl",
+	fn() {
+		const { compilerOptions } = importMapToTsconfigPaths(
+			{
+				imports: {
+					lib: "./src/lib/index.js",
+					other: "./other.js",
+				},
+			},
+			new URL("file:///project/web/import_map.json"),
+			tsconfigUrl,
+			{ baseUrl: "./web/src" },
+		);
+		assertEquals(compilerOptions, {
+			baseUrl: "./web/src",
+			paths: {
+				other: ["../other.js"],
+				lib: ["./lib/index.js"],
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Reports mappings that can't be represented",
+	fn() {
+		const { compilerOptions, unsupported } = importMapToTsconfigPaths(
+			{
+				imports: {
+					"./local.js": "./other.js",
+					blocked: null,
+					remote: "https://example.com/remote.js",
+					"star*": "./star.js",
+					supported: "./supported.js",
+				},
+				scopes: {
+					"./vendor/": { a: "./a.js" },
+				},
+				integrity: {
+					"./a.js": "sha384-abc",
+				},
+			},
+			importMapUrl,
+			tsconfigUrl,
+		);
+		assertEquals(compilerOptions, { paths: { supported: ["./supported.js"] } });
+		assertEquals(unsupported.map(({ code, specifierKey, scopePrefix }) => [code, specifierKey, scopePrefix]), [
+			["scope", null, "file:///project/vendor/"],
+			["integrity", null, null],
+			["wildcard", "star*", null],
+			["remote-address", "remote", null],
+			["url-key", "file:///project/local.js", null],
+			["null-entry", "blocked", null],
+		]);
+	},
+});
+
+Deno.test({
+	name: "Reports invalid entries without logging them",
+	fn() {
+		const { compilerOptions, unsupported } = importMapToTsconfigPaths(
+			{
+				imports: {
+					"utils/": "./src/utils",
+					invalid: "https://exa mple.com/a.js",
+				},
+				// @ts-expect-error Testing an invalid top-level key.
+				scope: {},
+			},
+			importMapUrl,
+			tsconfigUrl,
+		);
+		assertEquals(compilerOptions, { paths: {} });
+		assertEquals(unsupported.map(({ code, specifierKey, scopePrefix }) => [code, specifierKey, scopePrefix]), [
+			["invalid-target", "utils/", null],
+			["invalid-target", "invalid", null],
+			["invalid-target", null, null],
+		]);
+	},
+});
@@ -0,0 +1,124 @@
+import { assertEquals } from "asserts";
+import { extractImportMapsFromHtml, injectImportMapIntoHtml } from "../html.js";
+
+const importMapData = {
+	imports: {
+		lib: "./lib.js",
+	},
+};
+
+Deno.test({
+	name: "Inserted before the first script in the head",
+	fn() {
+		const html = `<html>
+	<head>
+		<meta charset="utf-8">
+		<link rel="stylesheet" href="style.css">
+		<script type="module" src="main.js"></script>
+	</head>
+</html>`;
+		assertEquals(
+			injectImportMapIntoHtml(html, importMapData),
+			`<html>
+	<head>
+		<meta charset="utf-8">
+		<script type="importmap">
+			{
+				"imports": {
+					"lib": "./lib.js"
+				}
+			}
+		</script>
+		<link rel="stylesheet" href="style.css">
+		<script type="module" src="main.js"></script>
+	</head>
+</html>`,
+		);
+	},
+});
+
+Deno.test({
+	name: "Inserted at the end of the head",
+	fn() {
+		const html = `<head>
+  <title>Test</title>
+</head>
+<body><script type="module" src="main.js"></script></body>`;
+		assertEquals(
+			injectImportMapIntoHtml(html, importMapData, { indentation: "  " }),
+			`<head>
+  <title>Test</title>
+  <script type="importmap">
+    {
+      "imports": {
+        "lib": "./lib.js"
+      }
+    }
+  </script>
+</head>
+<body><script type="module" src="main.js"></script></body>`,
+		);
+	},
+});
+
+Deno.test({
+	name: "Documents without a head",
+	fn() {
+		assertEquals(
+			injectImportMapIntoHtml(`<body></body>`, {}),
+			`<script type="importmap">\n\t{}\n</script><body></body>`,
+		);
+		assertEquals(injectImportMapIntoHtml(``, {}), `<script type="importmap">\n\t{}\n</script>`);
+		assertEquals(
+			injectImportMapIntoHtml(`<html><head></head></html>`, {}),
+			`<html><head><script type="importmap">\n\t{}\n</script></head></html>`,
+		);
+	},
+});
+
+Deno.test({
+	name: "Existing import maps are replaced",
+	fn() {
+		const html = `<head>
+	<script type="importmap" nonce="abc">
+		{ "imports": { "old": "./old.js" } }
+	</script>
+	<script type="importmap">{}</script>
+</head>`;
+		assertEquals(
+			injectImportMapIntoHtml(html, importMapData),
+			`<head>
+	<script type="importmap" nonce="abc">
+		{
+			"imports": {
+				"lib": "./lib.js"
+			}
+		}
+	</script>
+	<script type="importmap">{}</script>
+</head>`,
+		);
+	},
+});
+
+Deno.test({
+	name: "External import maps are replaced with an inline one",
+	fn() {
+		const html = `<script type="importmap" src="import_map.json" nonce="abc"></script>`;
+		assertEquals(
+			injectImportMapIntoHtml(html, {}),
+			`<script type="importmap" nonce="abc">\n\t{}\n</script>`,
+		);
+	},
+});
+
+Deno.test({
+	name: "Script closing tags in the import map are escaped",
+	fn() {
+		const data = { imports: { "</script><script>alert(1)</script>": "./a.js" } };
+		const html = injectImportMapIntoHtml(`<head></head>`, data);
+		const { scripts } = extractImportMapsFromHtml(html, new URL("https://example.com/"));
+		assertEquals(scripts.length, 1);
+		assertEquals(Object.keys(scripts[0].importMap?.imports || {}), ["</script><script>alert(1)</script>"]);
+	},
+});
@@ -0,0 +1,157 @@
+import { assertEquals } from "asserts";
+import { lintImportMap, lintParsedImportMap } from "../lint.js";
+
+const baseUrl = new URL("https://example.com/base/");
+
+/**
+ * @param {import("../lint.js").ImportMapLintFinding[] | import("../lint.js").ParsedImportMapLintFinding[]} findings
+ */
+function summarize(findings) {
+	return findings.map(({ category, code, path }) => ({ category, code, path }));
+}
+
+Deno.test({
+	name: "lintImportMap() without any problems",
+	fn() {
+		const { findings } = lintImportMap({
+			imports: {
+				"lodash": "https://cdn.example.com/lodash.js",
+				"lodash/": "https://cdn.example.com/lodash/",
+			},
+			scopes: {
+				"/app/": {
+					"lodash": "https://cdn.example.com/lodash-legacy.js",
+				},
+			},
+		}, baseUrl);
+		assertEquals(findings, []);
+	},
+});
+
+Deno.test({
+	name: "lintImportMap() reports parse problems and duplicate keys",
+	fn() {
+		const { findings } = lintImportMap({
+			imports: {
+				"./foo": "./foo.js",
+				"https://example.com/base/foo": "./other-foo.js",
+				"bar/": "./bar.js",
+			},
+		}, baseUrl);
+		assertEquals(summarize(findings), [
+			{ category: "invalid", code: "trailing-slash-mismatch", path: `imports["bar/"]` },
+			{ category: "duplicate", code: "duplicate-specifier-key", path: `imports["./foo"]` },
+		]);
+		assertEquals(
+			findings[0].suggestion,
+			"Add a trailing slash to the address, or remove the trailing slash from the key.",
+		);
+	},
+});
+
+Deno.test({
+	name: "lintImportMap() reports scopes without a trailing slash",
+	fn() {
+		const { findings } = lintImportMap({
+			scopes: {
+				"/app": {
+					"lodash": "./lodash.js",
+				},
+				"/app/main.js": {
+					"lodash": "./lodash.js",
+				},
+				"./src/": {},
+				"/base/src/": {},
+			},
+		}, baseUrl);
+		assertEquals(summarize(findings), [
+			{ category: "unreachable", code: "scope-prefix-without-trailing-slash", path: `scopes["/app"]` },
+			{ category: "duplicate", code: "duplicate-scope-prefix", path: `scopes["./src/"]` },
+		]);
+	},
+});
+
+Deno.test({
+	name: "lintImportMap() reports redundant and self referencing entries",
+	fn() {
+		const { findings } = lintImportMap({
+			imports: {
+				"lodash": "https://cdn.example.com/lodash.js",
+				"lib/": "/lib/",
+				"lib/utils/": "/lib/utils/",
+				"https://cdn.example.com/same.js": "https://cdn.example.com/same.js",
+				"https://cdn.example.com/pkg/": "https://cdn.example.com/pkg/v2/",
+				"npm:lodash/": "/lodash/",
+			},
+			scopes: {
+				"/app/": {
+					"lodash": "https://cdn.example.com/lodash.js",
+				},
+			},
+		}, baseUrl);
+		assertEquals(summarize(findings), [
+			{ category: "shadowed", code: "shadowed-specifier-key", path: `imports["lib/utils/"]` },
+			{ category: "unreachable", code: "unreachable-prefix-key", path: `imports["npm:lodash/"]` },
+			{ category: "redundant", code: "redundant-prefix-key", path: `imports["lib/utils/"]` },
+			{
+				category: "self-reference",
+				code: "self-referencing-mapping",
+				path: `imports["https://cdn.example.com/same.js"]`,
+			},
+			{
+				category: "self-reference",
+				code: "self-referencing-mapping",
+				path: `imports["https://cdn.example.com/pkg/"]`,
+			},
+			{ category: "redundant", code: "redundant-scope-entry", path: `scopes["/app/"].lodash` },
+		]);
+	},
+});
+
+Deno.test({
+	name: "lintImportMap() reports keys that come after a shorter prefix key",
+	fn() {
+		const { findings } = lintImportMap({
+			imports: {
+				"$a/": "/parent/a/",
+				"$a/b/": "/otherParent/a/b/",
+				"./lib/": "/lib/",
+				"/base/lib/utils/": "/utils/",
+			},
+			scopes: {
+				"/app/": {
+					"$b/": "/b/",
+					"$b/c.js": "/c.js",
+				},
+			},
+		}, baseUrl);
+		assertEquals(summarize(findings), [
+			{ category: "shadowed", code: "shadowed-specifier-key", path: `imports["$a/b/"]` },
+			{ category: "shadowed", code: "shadowed-specifier-key", path: `imports["/base/lib/utils/"]` },
+			{ category: "shadowed", code: "shadowed-specifier-key", path: `scopes["/app/"]["$b/c.js"]` },
+		]);
+		assertEquals(findings[1].suggestion, `Move "/base/lib/utils/" before "./lib/".`);
+		assertEquals(
+			lintImportMap({ imports: { "$a/b/": "/otherParent/a/b/", "$a/": "/parent/a/" } }, baseUrl).findings,
+			[],
+		);
+	},
+});
+
+Deno.test({
+	name: "lintParsedImportMap() reports shadowed keys",
+	fn() {
+		/** @type {import("../mod.js").ParsedImportMap} */
+		const importMap = {
+			imports: {
+				"$a/": new URL("file:///parent/a/"),
+				"$a/b/": new URL("file:///otherParent/a/b/"),
+			},
+			scopes: {},
+			integrity: {},
+		};
+		assertEquals(summarize(lintParsedImportMap(importMap)), [
+			{ category: "shadowed", code: "shadowed-specifier-key", path: `imports["$a/b/"]` },
+		]);
+	},
+});
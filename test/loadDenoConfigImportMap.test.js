@@ -0,0 +1,145 @@
+import { assertEquals, assertRejects } from "asserts";
+import { loadDenoConfigImportMap } from "../deno_config.js";
+import { resolveModuleSpecifier } from "../mod.js";
+import { withTempDir } from "./temp_dir.js";
+
+Deno.test({
+	name: "Inline imports and scopes",
+	async fn() {
+		await withTempDir({
+			"deno.json": JSON.stringify({
+				imports: { "utils/": "./src/utils/" },
+				scopes: { "./vendor/": { "utils/": "./vendor/utils/" } },
+			}),
+		}, async (dirUrl) => {
+			const configUrl = new URL("deno.json", dirUrl);
+			const { importMap, importMapUrl } = await loadDenoConfigImportMap(configUrl);
+			assertEquals(importMapUrl, configUrl);
+			assertEquals(importMap, {
+				imports: { "utils/": new URL("src/utils/", dirUrl) },
+				scopes: {
+					[new URL("vendor/", dirUrl).href]: { "utils/": new URL("vendor/utils/", dirUrl) },
+				},
+				integrity: {},
+			});
+		});
+	},
+});
+
+Deno.test({
+	name: "importMap field is resolved relative to the config",
+	async fn() {
+		await withTempDir({
+			"config/deno.jsonc": `{
+				// The import map lives next to the sources.
+				"importMap": "../src/import_map.json", /* trailing comma: */
+			}`,
+			"src/import_map.json": JSON.stringify({ imports: { foo: "./foo.js" } }),
+		}, async (dirUrl) => {
+			const { importMap, importMapUrl } = await loadDenoConfigImportMap(new URL("config/deno.jsonc", dirUrl));
+			assertEquals(importMapUrl, new URL("src/import_map.json", dirUrl));
+			assertEquals(importMap.imports, { foo: new URL("src/foo.js", dirUrl) });
+		});
+	},
+});
+
+Deno.test({
+	name: "importMap field is ignored when imports are inlined",
+	async fn() {
+		await withTempDir({
+			"deno.json": JSON.stringify({ importMap: "./import_map.json", imports: { foo: "./foo.js", bar: 42 } }),
+		}, async (dirUrl) => {
+			const configUrl = new URL("deno.json", dirUrl);
+			/** @type {import("../deno_config.js").DenoConfigDiagnostic[]} */
+			const diagnostics = [];
+			const { importMap, importMapUrl } = await loadDenoConfigImportMap(configUrl, {
+				onDiagnostic: (diagnostic) => diagnostics.push(diagnostic),
+			});
+			assertEquals(importMapUrl, configUrl);
+			assertEquals(importMap.imports, { foo: new URL("foo.js", dirUrl), bar: null });
+			assertEquals(diagnostics.map(({ code, path }) => ({ code, path })), [
+				{ code: "ignored-import-map-field", path: "importMap" },
+				{ code: "non-string-address", path: "imports.bar" },
+			]);
+		});
+	},
+});
+
+Deno.test({
+	name: "Comments and trailing commas in deno.jsonc",
+	async fn() {
+		await withTempDir({
+			"deno.jsonc": `{
+				"imports": {
+					// A comment with "quotes" and a comma,
+					"a": "./a.js", // trailing
+					"b": "https://example.com/b//c.js",
+					"c": "./c\\"//.js",
+				},
+				/* block */
+				"tasks": { "dev": "deno run main.js", },
+			}`,
+		}, async (dirUrl) => {
+			const { importMap } = await loadDenoConfigImportMap(new URL("deno.jsonc", dirUrl));
+			assertEquals(importMap.imports, {
+				a: new URL("a.js", dirUrl),
+				b: new URL("https://example.com/b//c.js"),
+				c: new URL('c"//.js', dirUrl),
+			});
+		});
+	},
+});
+
+Deno.test({
+	name: "Config without mappings results in an empty import map",
+	async fn() {
+		await withTempDir({
+			"deno.json": JSON.stringify({ tasks: {} }),
+		}, async (dirUrl) => {
+			const { importMap } = await loadDenoConfigImportMap(new URL("deno.json", dirUrl));
+			assertEquals(importMap, { imports: {}, scopes: {}, integrity: {} });
+		});
+	},
+});
+
+Deno.test({
+	name: "denoCompatibility expands npm and jsr mappings",
+	async fn() {
+		await withTempDir({
+			"deno.json": JSON.stringify({
+				imports: { "@std/path": "jsr:@std/path@1", chalk: "npm:chalk@5" },
+			}),
+		}, async (dirUrl) => {
+			const configUrl = new URL("deno.json", dirUrl);
+			const { importMap } = await loadDenoConfigImportMap(configUrl, { denoCompatibility: true });
+			const mainUrl = new URL("main.js", dirUrl);
+			assertEquals(resolveModuleSpecifier(importMap, mainUrl, "@std/path"), new URL("jsr:@std/path@1"));
+			assertEquals(
+				resolveModuleSpecifier(importMap, mainUrl, "@std/path/posix"),
+				new URL("jsr:/@std/path@1/posix"),
+			);
+			assertEquals(resolveModuleSpecifier(importMap, mainUrl, "chalk/ansi"), new URL("npm:/chalk@5/ansi"));
+		});
+	},
+});
+
+Deno.test({
+	name: "Invalid configuration files",
+	async fn() {
+		await withTempDir({
+			"array.json": "[]",
+			"number.json": JSON.stringify({ importMap: 5 }),
+		}, async (dirUrl) => {
+			await assertRejects(
+				() => loadDenoConfigImportMap(new URL("array.json", dirUrl)),
+				TypeError,
+				"does not contain an object",
+			);
+			await assertRejects(
+				() => loadDenoConfigImportMap(new URL("number.json", dirUrl)),
+				TypeError,
+				`The "importMap" field`,
+			);
+		});
+	},
+});
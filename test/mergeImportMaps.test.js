@@ -0,0 +1,156 @@
+import { assertEquals } from "asserts";
+import { mergeImportMaps, parseImportMap, resolveModuleSpecifier } from "../mod.js";
+
+Deno.test({
+	name: "mergeImportMaps() adds new imports, scopes and integrity",
+	fn() {
+		const baseUrl = new URL("https://example.com/");
+		const existing = parseImportMap({
+			imports: {
+				"a": "./a.js",
+			},
+		}, baseUrl);
+		const newImportMap = parseImportMap({
+			imports: {
+				"b": "./b.js",
+			},
+			scopes: {
+				"/scope/": {
+					"c": "./c.js",
+				},
+			},
+			integrity: {
+				"./b.js": "sha384-b",
+			},
+		}, baseUrl);
+
+		const result = mergeImportMaps(existing, newImportMap);
+		assertEquals(result, {
+			imports: {
+				"b": new URL("https://example.com/b.js"),
+				"a": new URL("https://example.com/a.js"),
+			},
+			scopes: {
+				"https://example.com/scope/": {
+					"c": new URL("https://example.com/c.js"),
+				},
+			},
+			integrity: {
+				"https://example.com/b.js": "sha384-b",
+			},
+		});
+		assertEquals(Object.keys(existing.imports), ["a"]);
+	},
+});
+
+Deno.test({
+	name: "mergeImportMaps() keeps existing rules when they conflict",
+	fn() {
+		const baseUrl = new URL("https://example.com/");
+		const existing = parseImportMap({
+			imports: {
+				"a": "./a1.js",
+			},
+			scopes: {
+				"/scope/": {
+					"a": "./scoped1.js",
+				},
+			},
+			integrity: {
+				"./a1.js": "sha384-1",
+			},
+		}, baseUrl);
+		const newImportMap = parseImportMap({
+			imports: {
+				"a": "./a2.js",
+			},
+			scopes: {
+				"/scope/": {
+					"a": "./scoped2.js",
+					"b": "./b.js",
+				},
+			},
+			integrity: {
+				"./a1.js": "sha384-2",
+			},
+		}, baseUrl);
+
+		/** @type {import("../mod.js").ImportMapDiagnostic[]} */
+		const diagnostics = [];
+		const result = mergeImportMaps(existing, newImportMap, [], {
+			onDiagnostic(diagnostic) {
+				diagnostics.push(diagnostic);
+			},
+		});
+		assertEquals(result, {
+			imports: {
+				"a": new URL("https://example.com/a1.js"),
+			},
+			scopes: {
+				"https://example.com/scope/": {
+					"b": new URL("https://example.com/b.js"),
+					"a": new URL("https://example.com/scoped1.js"),
+				},
+			},
+			integrity: {
+				"https://example.com/a1.js": "sha384-1",
+			},
+		});
+		assertEquals(diagnostics.map(({ code, path }) => ({ code, path })), [
+			{ code: "ignored-conflicting-rule", path: `scopes["https://example.com/scope/"].a` },
+			{ code: "ignored-conflicting-integrity", path: `integrity["https://example.com/a1.js"]` },
+			{ code: "ignored-conflicting-rule", path: "imports.a" },
+		]);
+	},
+});
+
+Deno.test({
+	name: "mergeImportMaps() ignores rules that affect already resolved specifiers",
+	fn() {
+		const baseUrl = new URL("https://example.com/app/main.js");
+		/** @type {import("../mod.js").SpecifierResolutionRecord[]} */
+		const resolvedModuleSet = [];
+		const existing = parseImportMap({}, baseUrl);
+		resolveModuleSpecifier(existing, baseUrl, "https://cdn.example.com/lib/mod.js", { resolvedModuleSet });
+		assertEquals(resolvedModuleSet, [
+			{
+				serializedBaseUrl: "https://example.com/app/main.js",
+				specifier: "https://cdn.example.com/lib/mod.js",
+				specifierAsUrl: new URL("https://cdn.example.com/lib/mod.js"),
+			},
+		]);
+
+		const newImportMap = parseImportMap({
+			imports: {
+				"https://cdn.example.com/lib/": "/vendor/lib/",
+				"https://cdn.example.com/other/": "/vendor/other/",
+			},
+			scopes: {
+				"/app/": {
+					"https://cdn.example.com/lib/mod.js": "/vendor/mod.js",
+				},
+				"/other/": {
+					"https://cdn.example.com/lib/mod.js": "/vendor/mod.js",
+				},
+			},
+		}, baseUrl);
+
+		/** @type {string[]} */
+		const codes = [];
+		const result = mergeImportMaps(existing, newImportMap, resolvedModuleSet, {
+			onDiagnostic(diagnostic) {
+				codes.push(diagnostic.code);
+			},
+		});
+		assertEquals(codes, ["ignored-resolved-rule", "ignored-resolved-rule"]);
+		assertEquals(result.imports, {
+			"https://cdn.example.com/other/": new URL("https://example.com/vendor/other/"),
+		});
+		assertEquals(result.scopes, {
+			"https://example.com/other/": {
+				"https://cdn.example.com/lib/mod.js": new URL("https://example.com/vendor/mod.js"),
+			},
+			"https://example.com/app/": {},
+		});
+	},
+});
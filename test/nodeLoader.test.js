@@ -0,0 +1,105 @@
+import { assertEquals, assertRejects } from "asserts";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { initialize, resolve } from "../node_loader.js";
+import { withTempDir } from "./temp_dir.js";
+
+/**
+ * A stand-in for the default resolution of Node.js, which returns the url it was called with.
+ * @param {string} specifier
+ */
+function nextResolve(specifier) {
+	return { url: specifier, format: "module" };
+}
+
+const context = {
+	conditions: ["node", "import"],
+	importAttributes: {},
+	parentURL: "file:///project/src/main.js",
+};
+
+Deno.test({
+	name: "Mapped specifiers are resolved using the import map",
+	async fn() {
+		await initialize({
+			importMap: {
+				imports: {
+					lib: "./lib/index.js",
+					"utils/": "https://example.com/utils/",
+				},
+			},
+			baseUrl: "file:///project/",
+		});
+		assertEquals(await resolve("lib", context, nextResolve), {
+			url: "file:///project/lib/index.js",
+			format: "module",
+		});
+		assertEquals(await resolve("utils/a.js", context, nextResolve), {
+			url: "https://example.com/utils/a.js",
+			format: "module",
+		});
+	},
+});
+
+Deno.test({
+	name: "Specifiers that aren't mapped use the default resolution",
+	async fn() {
+		await initialize({ importMap: { imports: { lib: "./lib.js" } }, baseUrl: "file:///project/" });
+		assertEquals((await resolve("node:fs", context, nextResolve)).url, "node:fs");
+		assertEquals((await resolve("./other.js", context, nextResolve)).url, "file:///project/src/other.js");
+		assertEquals((await resolve("lodash", context, nextResolve)).url, "lodash");
+	},
+});
+
+Deno.test({
+	name: "Blocked specifiers throw",
+	async fn() {
+		await initialize({ importMap: { imports: { blocked: null } }, baseUrl: "file:///project/" });
+		await assertRejects(
+			() => resolve("blocked", context, nextResolve),
+			TypeError,
+			"Resolution of blocked was blocked by a null entry.",
+		);
+	},
+});
+
+Deno.test({
+	name: "Scopes use the parent url as base",
+	async fn() {
+		await initialize({
+			importMap: {
+				imports: { dep: "./dep-v2.js" },
+				scopes: { "./legacy/": { dep: "./dep-v1.js" } },
+			},
+			baseUrl: "file:///project/",
+		});
+		const legacyContext = { ...context, parentURL: "file:///project/legacy/main.js" };
+		assertEquals((await resolve("dep", context, nextResolve)).url, "file:///project/dep-v2.js");
+		assertEquals((await resolve("dep", legacyContext, nextResolve)).url, "file:///project/dep-v1.js");
+	},
+});
+
+Deno.test({
+	name: "Import maps are loaded from a path",
+	async fn() {
+		await withTempDir({ "import_map.json": { imports: { lib: "./lib.js" } } }, async (dirUrl) => {
+			await initialize({ path: fileURLToPath(new URL("import_map.json", dirUrl)) });
+			assertEquals((await resolve("lib", context, nextResolve)).url, new URL("lib.js", dirUrl).href);
+		});
+	},
+});
+
+Deno.test({
+	name: "Import map paths can contain characters that have a meaning in urls",
+	async fn() {
+		// The directory is named "a #b?c".
+		await withTempDir({ "a%20%23b%3Fc/import_map.json": { imports: { lib: "./lib.js" } } }, async (dirUrl) => {
+			const importMapDir = fileURLToPath(new URL("a%20%23b%3Fc/", dirUrl));
+			assertEquals(importMapDir.endsWith("/a #b?c/"), true);
+			await initialize({ path: importMapDir + "import_map.json" });
+			assertEquals(
+				(await resolve("lib", context, nextResolve)).url,
+				pathToFileURL(importMapDir + "lib.js").href,
+			);
+		});
+	},
+});
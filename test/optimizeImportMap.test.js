@@ -0,0 +1,226 @@
+import { assertEquals, assertThrows } from "asserts";
+import { ImportMapEquivalenceError, optimizeImportMap } from "../optimize.js";
+import { parseImportMap, resolveModuleSpecifier, serializeImportMap } from "../mod.js";
+
+const baseUrl = new URL("https://example.com/import_map.json");
+const referrer = new URL("https://example.com/main.js");
+
+Deno.test({
+	name: "Folds sibling exact entries into a prefix key",
+	fn() {
+		const importMap = parseImportMap({
+			imports: {
+				"pkg/a.js": "https://cdn.example/pkg@1/a.js",
+				"pkg/b.js": "https://cdn.example/pkg@1/b.js",
+				"pkg/c.js": "https://cdn.example/pkg@1/c.js",
+				"pkg/other.js": "https://cdn.example/other.js",
+				"single/a.js": "https://cdn.example/single/a.js",
+			},
+		}, baseUrl);
+		const { importMap: optimized, optimizations } = optimizeImportMap(importMap);
+		assertEquals(serializeImportMap(optimized), {
+			imports: {
+				"single/a.js": "https://cdn.example/single/a.js",
+				"pkg/other.js": "https://cdn.example/other.js",
+				"pkg/": "https://cdn.example/pkg@1/",
+			},
+		});
+		assertEquals(optimizations.map((optimization) => [optimization.kind, optimization.specifierKey]), [
+			["folded", "pkg/c.js"],
+			["folded", "pkg/b.js"],
+			["folded", "pkg/a.js"],
+		]);
+		assertEquals(optimizations[0].prefixKey, "pkg/");
+		assertEquals(resolveModuleSpecifier(optimized, referrer, "pkg/b.js").href, "https://cdn.example/pkg@1/b.js");
+		assertEquals(resolveModuleSpecifier(optimized, referrer, "pkg/other.js").href, "https://cdn.example/other.js");
+	},
+});
+
+Deno.test({
+	name: "The minimum fold size is configurable",
+	fn() {
+		const importMap = parseImportMap({
+			imports: {
+				"pkg/a.js": "https://cdn.example/pkg/a.js",
+				"pkg/b.js": "https://cdn.example/pkg/b.js",
+			},
+		}, baseUrl);
+		const { importMap: optimized } = optimizeImportMap(importMap, { minimumFoldSize: 3 });
+		assertEquals(Object.keys(optimized.imports), ["pkg/b.js", "pkg/a.js"]);
+	},
+});
+
+Deno.test({
+	name: "Entries covered by an existing prefix key are removed",
+	fn() {
+		const importMap = parseImportMap({
+			imports: {
+				"pkg/": "https://cdn.example/pkg/",
+				"pkg/a.js": "https://cdn.example/pkg/a.js",
+				"pkg/sub/": "https://cdn.example/pkg/sub/",
+			},
+		}, baseUrl);
+		const { importMap: optimized, optimizations } = optimizeImportMap(importMap);
+		assertEquals(serializeImportMap(optimized), { imports: { "pkg/": "https://cdn.example/pkg/" } });
+		assertEquals(optimizations.map((optimization) => optimization.kind), ["folded", "redundant"]);
+	},
+});
+
+Deno.test({
+	name: "Doesn't fold when a shorter prefix key maps other specifiers elsewhere",
+	fn() {
+		const importMap = parseImportMap({
+			imports: {
+				"pkg/": "https://cdn.example/pkg/",
+				"pkg/lib/a.js": "https://other.example/lib/a.js",
+				"pkg/lib/b.js": "https://other.example/lib/b.js",
+			},
+		}, baseUrl);
+		const { importMap: optimized } = optimizeImportMap(importMap);
+		assertEquals(Object.keys(optimized.imports), ["pkg/lib/b.js", "pkg/lib/a.js", "pkg/"]);
+	},
+});
+
+Deno.test({
+	name: "Doesn't fold urls that currently resolve to themselves",
+	fn() {
+		const importMap = parseImportMap({
+			imports: {
+				"https://example.com/lib/a.js": "https://cdn.example/lib/a.js",
+				"https://example.com/lib/b.js": "https://cdn.example/lib/b.js",
+			},
+		}, baseUrl);
+		const { importMap: optimized } = optimizeImportMap(importMap);
+		assertEquals(Object.keys(optimized.imports).length, 2);
+	},
+});
+
+Deno.test({
+	name: "Removes scope entries that are identical to the top-level imports",
+	fn() {
+		const importMap = parseImportMap({
+			imports: {
+				a: "./a.js",
+				"lib/": "./lib/",
+			},
+			scopes: {
+				"/vendor/": {
+					a: "./a.js",
+					b: "./b.js",
+					"lib/x.js": "./lib/x.js",
+				},
+				"/same/": {
+					a: "./a.js",
+				},
+			},
+		}, baseUrl);
+		const { importMap: optimized, optimizations } = optimizeImportMap(importMap);
+		assertEquals(serializeImportMap(optimized, { baseUrl }), {
+			imports: {
+				a: "./a.js",
+				"lib/": "./lib/",
+			},
+			scopes: {
+				"./vendor/": {
+					b: "./b.js",
+				},
+			},
+		});
+		assertEquals(optimizations.filter((optimization) => optimization.kind == "redundant").length, 3);
+	},
+});
+
+Deno.test({
+	name: "Keeps scope entries that override the top-level imports",
+	fn() {
+		const importMap = parseImportMap({
+			imports: { a: "./a.js", "lib/": "./lib/" },
+			scopes: {
+				"/vendor/": { a: "./vendor/a.js", "lib/x.js": "./vendor/x.js" },
+			},
+		}, baseUrl);
+		const { importMap: optimized, optimizations } = optimizeImportMap(importMap);
+		assertEquals(optimized, importMap);
+		assertEquals(optimizations, []);
+	},
+});
+
+Deno.test({
+	name: "Keeps exact entries that would otherwise match a prefix key in the same scope",
+	fn() {
+		const importMap = parseImportMap({
+			imports: { "lib/x.js": "./lib/x.js" },
+			scopes: {
+				"/vendor/": { "lib/": "./vendor/lib/", "lib/x.js": "./lib/x.js" },
+			},
+		}, baseUrl);
+		const { importMap: optimized } = optimizeImportMap(importMap);
+		assertEquals(optimized, importMap);
+	},
+});
+
+Deno.test({
+	name: "Drops keys that can never match",
+	fn() {
+		/** @type {import("../mod.js").ParsedImportMap} */
+		const importMap = {
+			imports: {
+				"a/": new URL("https://example.com/a/"),
+				"a/b/": new URL("https://example.com/other/"),
+			},
+			scopes: {},
+			integrity: {},
+		};
+		const { importMap: optimized, optimizations } = optimizeImportMap(importMap);
+		assertEquals(Object.keys(optimized.imports), ["a/"]);
+		assertEquals(optimizations, [{
+			kind: "unreachable",
+			scopePrefix: null,
+			specifierKey: "a/b/",
+			prefixKey: null,
+		}]);
+	},
+});
+
+Deno.test({
+	name: "Doesn't modify the provided import map",
+	fn() {
+		const importMap = parseImportMap({
+			imports: { "pkg/a.js": "./pkg/a.js", "pkg/b.js": "./pkg/b.js" },
+			scopes: { "/vendor/": { "pkg/a.js": "./pkg/a.js" } },
+		}, baseUrl);
+		const json = serializeImportMap(importMap);
+		optimizeImportMap(importMap);
+		assertEquals(serializeImportMap(importMap), json);
+	},
+});
+
+Deno.test({
+	name: "Verifies that the provided specifiers resolve the same",
+	fn() {
+		const importMap = parseImportMap({
+			imports: {
+				"pkg/a.js": "./pkg/a.js",
+				"pkg/b.js": "./pkg/b.js",
+			},
+		}, baseUrl);
+		optimizeImportMap(importMap, {
+			specifiers: [
+				{ specifier: "pkg/a.js", referrer },
+				{ specifier: "pkg/b.js", referrer },
+			],
+		});
+
+		// Folding makes "pkg/c.js" resolvable, which it wasn't before.
+		const error = /** @type {ImportMapEquivalenceError} */ (assertThrows(() => {
+			optimizeImportMap(importMap, {
+				specifiers: [{ specifier: "pkg/c.js", referrer }],
+			});
+		}, ImportMapEquivalenceError));
+		assertEquals(
+			error.message,
+			`The optimized import map resolves 1 specifier(s) differently, including "pkg/c.js" imported from https://example.com/main.js.`,
+		);
+		assertEquals(error.changes[0].kind, "no-longer-throws");
+	},
+});
@@ -0,0 +1,76 @@
+import { assertEquals } from "asserts";
+import { packageImportsToImportMap } from "../converters.js";
+
+const importMapUrl = new URL("file:///project/web/import_map.json");
+const packageJsonUrl = new URL("file:///project/package.json");
+
+Deno.test({
+	name: "Converts subpath imports",
+	fn() {
+		const { importMap, unsupported } = packageImportsToImportMap(
+			{
+				"#config": "./src/config.js",
+				"#utils/*": "./src/utils/*",
+				"#internal/*": null,
+				"#env": {
+					node: "./src/env-node.js",
+					browser: "./src/env-browser.js",
+					default: "./src/env.js",
+				},
+			},
+			packageJsonUrl,
+			importMapUrl,
+		);
+		assertEquals(importMap, {
+			imports: {
+				"#config": "../src/config.js",
+				"#utils/": "../src/utils/",
+				"#internal/": null,
+				"#env": "../src/env-browser.js",
+			},
+		});
+		assertEquals(unsupported, []);
+	},
+});
+
+Deno.test({
+	name: "Uses the provided conditions",
+	fn() {
+		const { importMap, unsupported } = packageImportsToImportMap(
+			{
+				"#env": { node: "./env-node.js", default: "./env.js" },
+				"#node-only": { node: "./node-only.js" },
+			},
+			packageJsonUrl,
+			importMapUrl,
+			{ conditions: ["node"] },
+		);
+		assertEquals(importMap, { imports: { "#env": "../env-node.js", "#node-only": "../node-only.js" } });
+		assertEquals(unsupported, []);
+	},
+});
+
+Deno.test({
+	name: "Reports imports that can't be represented",
+	fn() {
+		const { importMap, unsupported } = packageImportsToImportMap(
+			{
+				"#dep": "lodash",
+				"#node-only": { node: "./node-only.js" },
+				"#styles/*.css": "./styles/*.css",
+				"#lib/*": "./lib/*.js",
+				"no-hash": "./no-hash.js",
+			},
+			packageJsonUrl,
+			importMapUrl,
+		);
+		assertEquals(importMap, { imports: {} });
+		assertEquals(unsupported.map(({ code, specifierKey }) => [code, specifierKey]), [
+			["bare-target", "#dep"],
+			["no-matching-condition", "#node-only"],
+			["wildcard", "#styles/*.css"],
+			["wildcard", "#lib/*"],
+			["not-a-subpath-import", "no-hash"],
+		]);
+	},
+});
@@ -1,5 +1,5 @@
 import { assertEquals, assertThrows } from "asserts";
-import { parseImportMap } from "../mod.js";
+import { ImportMapValidationError, parseImportMap } from "../mod.js";
 
 Deno.test({
 	name: "parseImportMap() with an array throws",
@@ -47,6 +47,7 @@ Deno.test({
 				bar: new URL("https://example.com/bar"),
 			},
 			scopes: {},
+			integrity: {},
 		});
 	},
 });
@@ -71,6 +72,7 @@ Deno.test({
 				),
 			},
 			scopes: {},
+			integrity: {},
 		});
 	},
 });
@@ -102,3 +104,221 @@ Deno.test({
 		]);
 	},
 });
+
+Deno.test({
+	name: "parseImportMap() with integrity",
+	fn() {
+		const baseUrl = new URL("https://example.com/base/");
+		const result = parseImportMap({
+			integrity: {
+				"./foo.js": "sha384-foo",
+				"https://example.com/bar.js": "sha384-bar",
+			},
+		}, baseUrl);
+		assertEquals(result.integrity, {
+			"https://example.com/base/foo.js": "sha384-foo",
+			"https://example.com/bar.js": "sha384-bar",
+		});
+	},
+});
+
+Deno.test({
+	name: "parseImportMap() drops invalid integrity entries",
+	fn() {
+		const baseUrl = new URL("https://example.com/base/");
+		/** @type {string[]} */
+		const codes = [];
+		const result = parseImportMap(
+			{
+				integrity: {
+					"bare": "sha384-bare",
+					"./foo.js": /** @type {any} */ (42),
+					"./bar.js": "sha384-bar",
+				},
+			},
+			baseUrl,
+			{
+				onDiagnostic(diagnostic) {
+					codes.push(diagnostic.code);
+				},
+			},
+		);
+		assertEquals(result.integrity, {
+			"https://example.com/base/bar.js": "sha384-bar",
+		});
+		assertEquals(codes, ["unresolvable-integrity-key", "non-string-integrity"]);
+	},
+});
+
+Deno.test({
+	name: "parseImportMap() with an array as integrity key throws",
+	fn() {
+		const baseUrl = new URL("https://example.com/");
+		assertThrows(
+			() => {
+				parseImportMap({
+					integrity: /** @type {any} */ ([]),
+				}, baseUrl);
+			},
+			TypeError,
+			`The value for the "integrity" top-level key needs to be a JSON object.`,
+		);
+	},
+});
+
+Deno.test({
+	name: "parseImportMap() reports diagnostics with a code and path",
+	fn() {
+		const baseUrl = new URL("https://example.com/");
+		/** @type {import("../mod.js").ImportMapDiagnostic[]} */
+		const diagnostics = [];
+		parseImportMap(
+			/** @type {any} */ ({
+				imports: {
+					"": "./empty.js",
+					"foo": 42,
+					"bar/": "./bar.js",
+				},
+				scopes: {
+					"/app/": {
+						"lodash": "https://[invalid/",
+					},
+				},
+				integrity: {
+					"bare": "sha384-bare",
+				},
+				extra: {},
+			}),
+			baseUrl,
+			{
+				onDiagnostic(diagnostic) {
+					diagnostics.push(diagnostic);
+				},
+			},
+		);
+
+		assertEquals(diagnostics.map(({ code, severity, path }) => ({ code, severity, path })), [
+			{ code: "empty-specifier-key", severity: "warning", path: `imports[""]` },
+			{ code: "non-string-address", severity: "warning", path: "imports.foo" },
+			{ code: "trailing-slash-mismatch", severity: "warning", path: `imports["bar/"]` },
+			{ code: "invalid-address", severity: "warning", path: `scopes["/app/"].lodash` },
+			{ code: "unresolvable-integrity-key", severity: "warning", path: "integrity.bare" },
+			{ code: "invalid-top-level-key", severity: "warning", path: "extra" },
+		]);
+	},
+});
+
+Deno.test({
+	name: "parseImportMap() in strict mode throws all problems at once",
+	fn() {
+		const baseUrl = new URL("https://example.com/");
+		const error = assertThrows(
+			() => {
+				parseImportMap(
+					/** @type {any} */ ({
+						imports: {
+							"foo": 42,
+							"bar/": "./bar.js",
+						},
+						scopes: {
+							"/app/": "not an object",
+							"/other/": {
+								"baz": "https://[invalid/",
+							},
+						},
+						extra: {},
+					}),
+					baseUrl,
+					{ strict: true },
+				);
+			},
+			ImportMapValidationError,
+			"The import map contains 5 problem(s):",
+		);
+		const { diagnostics } = /** @type {ImportMapValidationError} */ (error);
+		assertEquals(diagnostics.map(({ code, severity, path }) => ({ code, severity, path })), [
+			{ code: "non-string-address", severity: "error", path: "imports.foo" },
+			{ code: "trailing-slash-mismatch", severity: "error", path: `imports["bar/"]` },
+			{ code: "non-object-scope", severity: "error", path: `scopes["/app/"]` },
+			{ code: "invalid-address", severity: "error", path: `scopes["/other/"].baz` },
+			{ code: "invalid-top-level-key", severity: "error", path: "extra" },
+		]);
+	},
+});
+
+Deno.test({
+	name: "parseImportMap() in strict mode collects non-object top-level values with the other problems",
+	fn() {
+		const baseUrl = new URL("https://example.com/");
+		const error = assertThrows(
+			() => {
+				parseImportMap(
+					/** @type {any} */ ({
+						imports: {
+							"foo": "https://[invalid/",
+						},
+						integrity: ["sha384-abc"],
+					}),
+					baseUrl,
+					{ strict: true },
+				);
+			},
+			ImportMapValidationError,
+			"The import map contains 2 problem(s):",
+		);
+		const { diagnostics } = /** @type {ImportMapValidationError} */ (error);
+		assertEquals(diagnostics.map(({ code, severity, path }) => ({ code, severity, path })), [
+			{ code: "invalid-address", severity: "error", path: "imports.foo" },
+			{ code: "non-object-integrity", severity: "error", path: "integrity" },
+		]);
+
+		const importsError = assertThrows(
+			() => parseImportMap(/** @type {any} */ ({ imports: "./foo.js", extra: {} }), baseUrl, { strict: true }),
+			ImportMapValidationError,
+		);
+		assertEquals(/** @type {ImportMapValidationError} */ (importsError).diagnostics.map(({ code }) => code), [
+			"non-object-imports",
+			"invalid-top-level-key",
+		]);
+	},
+});
+
+Deno.test({
+	name: "parseImportMap() in strict mode doesn't throw for valid import maps",
+	fn() {
+		const baseUrl = new URL("https://example.com/");
+		const result = parseImportMap(
+			{
+				imports: {
+					"foo": "./foo.js",
+				},
+			},
+			baseUrl,
+			{ strict: true },
+		);
+		assertEquals(result.imports, {
+			"foo": new URL("https://example.com/foo.js"),
+		});
+	},
+});
+
+Deno.test({
+	name: "parseImportMap() with a non-object scope throws when not in strict mode",
+	fn() {
+		const baseUrl = new URL("https://example.com/");
+		assertThrows(
+			() => {
+				parseImportMap(
+					/** @type {any} */ ({
+						scopes: {
+							"/app/": "not an object",
+						},
+					}),
+					baseUrl,
+				);
+			},
+			TypeError,
+			"Value of the scope with prefix /app/ is not a JSON object.",
+		);
+	},
+});
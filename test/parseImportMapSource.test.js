@@ -0,0 +1,81 @@
+import { assertEquals, assertThrows } from "asserts";
+import { JsonSyntaxError, parseImportMapSource } from "../mod.js";
+
+const source = `{
+	"imports": {
+		"foo": "./foo.js",
+		"bar": 42
+	},
+	"scopes": {
+		"/app/": {
+			"foo": "./app-foo.js"
+		}
+	}
+}
+`;
+
+Deno.test({
+	name: "parseImportMapSource() returns the parsed import map",
+	fn() {
+		const baseUrl = new URL("https://example.com/");
+		const { importMap } = parseImportMapSource(source, baseUrl, { onDiagnostic() {} });
+		assertEquals(importMap, {
+			imports: {
+				"foo": new URL("https://example.com/foo.js"),
+				"bar": null,
+			},
+			scopes: {
+				"https://example.com/app/": {
+					"foo": new URL("https://example.com/app-foo.js"),
+				},
+			},
+			integrity: {},
+		});
+	},
+});
+
+Deno.test({
+	name: "parseImportMapSource() returns the source ranges of entries",
+	fn() {
+		const baseUrl = new URL("https://example.com/");
+		const { ranges } = parseImportMapSource(source, baseUrl, { onDiagnostic() {} });
+		assertEquals(ranges.imports.foo, {
+			start: { offset: 18, line: 3, column: 3 },
+			end: { offset: 35, line: 3, column: 20 },
+		});
+		assertEquals(ranges.scopes["https://example.com/app/"].range.start, { offset: 68, line: 7, column: 3 });
+		assertEquals(ranges.scopes["https://example.com/app/"].imports.foo.start, { offset: 82, line: 8, column: 4 });
+	},
+});
+
+Deno.test({
+	name: "parseImportMapSource() adds ranges to diagnostics",
+	fn() {
+		const baseUrl = new URL("https://example.com/");
+		/** @type {import("../mod.js").ImportMapDiagnostic[]} */
+		const diagnostics = [];
+		parseImportMapSource(source, baseUrl, {
+			onDiagnostic(diagnostic) {
+				diagnostics.push(diagnostic);
+			},
+		});
+		assertEquals(diagnostics.length, 1);
+		assertEquals(diagnostics[0].path, "imports.bar");
+		assertEquals(diagnostics[0].range?.start, { offset: 39, line: 4, column: 3 });
+	},
+});
+
+Deno.test({
+	name: "parseImportMapSource() throws syntax errors with a line and column",
+	fn() {
+		const baseUrl = new URL("https://example.com/");
+		const error = assertThrows(
+			() => {
+				parseImportMapSource(`{\n\t"imports": {\n\t\t"foo": "./foo.js",\n\t}\n}`, baseUrl);
+			},
+			JsonSyntaxError,
+			"at line 4, column 2.",
+		);
+		assertEquals(/** @type {JsonSyntaxError} */ (error).line, 4);
+	},
+});
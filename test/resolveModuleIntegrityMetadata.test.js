@@ -0,0 +1,48 @@
+import { assertEquals } from "asserts";
+import { parseImportMap, resolveModuleIntegrityMetadata, resolveModuleSpecifier } from "../mod.js";
+
+Deno.test({
+	name: "resolveModuleIntegrityMetadata() returns metadata for a resolved url",
+	fn() {
+		const baseUrl = new URL("https://example.com/");
+		const parsedImportMap = parseImportMap({
+			imports: {
+				"foo": "./foo.js",
+			},
+			integrity: {
+				"./foo.js": "sha384-foo",
+			},
+		}, baseUrl);
+
+		const resolved = resolveModuleSpecifier(parsedImportMap, baseUrl, "foo");
+		assertEquals(resolveModuleIntegrityMetadata(parsedImportMap, resolved), "sha384-foo");
+	},
+});
+
+Deno.test({
+	name: "resolveModuleIntegrityMetadata() returns an empty string for unknown urls",
+	fn() {
+		const baseUrl = new URL("https://example.com/");
+		const parsedImportMap = parseImportMap({
+			integrity: {
+				"./foo.js": "sha384-foo",
+			},
+		}, baseUrl);
+
+		assertEquals(resolveModuleIntegrityMetadata(parsedImportMap, new URL("https://example.com/bar.js")), "");
+	},
+});
+
+Deno.test({
+	name: "resolveModuleIntegrityMetadata() treats a missing integrity map as empty",
+	fn() {
+		const importMap = /** @type {any} */ ({
+			imports: {
+				"foo": new URL("https://example.com/foo.js"),
+			},
+			scopes: {},
+		});
+
+		assertEquals(resolveModuleIntegrityMetadata(importMap, new URL("https://example.com/foo.js")), "");
+	},
+});
@@ -1,5 +1,5 @@
-import { assertEquals } from "asserts";
-import { resolveModuleSpecifier } from "../mod.js";
+import { assertEquals, assertThrows } from "asserts";
+import { resolveModuleSpecifier, UnresolvedSpecifierError } from "../mod.js";
 
 Deno.test({
 	name: "resolveModuleSpecifier() with a https specifier",
@@ -10,6 +10,7 @@ Deno.test({
 				"https://example.com/": new URL("file:///foo/bar/"),
 			},
 			scopes: {},
+			integrity: {},
 		};
 
 		const baseUrl = new URL("file:///foo/script.js");
@@ -29,6 +30,7 @@ Deno.test({
 				"$a/": new URL("file:///parent/a/"),
 			},
 			scopes: {},
+			integrity: {},
 		};
 
 		const baseUrl = new URL("file:///script.js");
@@ -39,3 +41,106 @@ Deno.test({
 		assertEquals(result2.href, "file:///otherParent/a/b/test.js");
 	},
 });
+
+Deno.test({
+	name: "Unmapped bare specifiers throw an UnresolvedSpecifierError",
+	fn() {
+		/** @type {import("../mod.js").ParsedImportMap} */
+		const parsedImportMap = {
+			imports: {},
+			scopes: {},
+			integrity: {},
+		};
+
+		const baseUrl = new URL("file:///script.js");
+
+		const error = assertThrows(
+			() => resolveModuleSpecifier(parsedImportMap, baseUrl, "lodash"),
+			UnresolvedSpecifierError,
+			`The bare specifier "lodash" imported from file:///script.js was not remapped by the import map.`,
+		);
+		const { specifier, referrer } = /** @type {UnresolvedSpecifierError} */ (error);
+		assertEquals(specifier, "lodash");
+		assertEquals(referrer, baseUrl);
+	},
+});
+
+Deno.test({
+	name: "Fallback resolvers are tried in order",
+	fn() {
+		/** @type {import("../mod.js").ParsedImportMap} */
+		const parsedImportMap = {
+			imports: {
+				mapped: new URL("file:///mapped.js"),
+			},
+			scopes: {},
+			integrity: {},
+		};
+
+		const baseUrl = new URL("file:///script.js");
+
+		/** @type {import("../mod.js").FallbackResolverContext[]} */
+		const calls = [];
+		/** @type {import("../mod.js").FallbackResolver[]} */
+		const fallbackResolvers = [
+			(context) => {
+				calls.push(context);
+				return null;
+			},
+			({ specifier }) => specifier == "b" ? new URL("https://example.com/b.js") : null,
+			({ specifier }) => specifier.startsWith("b") ? new URL("https://example.com/other.js") : null,
+		];
+
+		assertEquals(
+			resolveModuleSpecifier(parsedImportMap, baseUrl, "b", { fallbackResolvers }),
+			new URL("https://example.com/b.js"),
+		);
+		assertEquals(
+			resolveModuleSpecifier(parsedImportMap, baseUrl, "b/c", { fallbackResolvers }),
+			new URL("https://example.com/other.js"),
+		);
+		assertEquals(calls, [
+			{ specifier: "b", referrer: baseUrl, importMap: parsedImportMap },
+			{ specifier: "b/c", referrer: baseUrl, importMap: parsedImportMap },
+		]);
+
+		// Fallback resolvers are not used for mapped or url-like specifiers.
+		assertEquals(
+			resolveModuleSpecifier(parsedImportMap, baseUrl, "mapped", { fallbackResolvers }),
+			new URL("file:///mapped.js"),
+		);
+		assertEquals(
+			resolveModuleSpecifier(parsedImportMap, baseUrl, "./local.js", { fallbackResolvers }),
+			new URL("file:///local.js"),
+		);
+		assertEquals(calls.length, 2);
+
+		assertThrows(
+			() => resolveModuleSpecifier(parsedImportMap, baseUrl, "unknown", { fallbackResolvers }),
+			UnresolvedSpecifierError,
+		);
+	},
+});
+
+Deno.test({
+	name: "Specifiers resolved by a fallback are added to the resolved module set",
+	fn() {
+		/** @type {import("../mod.js").ParsedImportMap} */
+		const parsedImportMap = {
+			imports: {},
+			scopes: {},
+			integrity: {},
+		};
+
+		const baseUrl = new URL("file:///script.js");
+		/** @type {import("../mod.js").SpecifierResolutionRecord[]} */
+		const resolvedModuleSet = [];
+		resolveModuleSpecifier(parsedImportMap, baseUrl, "a", {
+			resolvedModuleSet,
+			fallbackResolvers: [() => new URL("https://example.com/a.js")],
+		});
+		assertEquals(resolvedModuleSet, [
+			{ serializedBaseUrl: "file:///script.js", specifier: "a", specifierAsUrl: null },
+		]);
+	},
+});
@@ -0,0 +1,104 @@
+import { assertEquals } from "asserts";
+import { parseImportMap, reverseResolveModuleSpecifier } from "../mod.js";
+
+const baseUrl = new URL("https://example.com/");
+const importMap = parseImportMap(
+	{
+		imports: {
+			"lodash": "https://cdn.example.com/lodash/lodash.js",
+			"lodash/": "https://cdn.example.com/lodash/",
+			"lodash/fp/": "https://cdn.example.com/lodash/fp/",
+			"blocked/": null,
+			"./remapped.js": "./other.js",
+		},
+		scopes: {
+			"/legacy/": {
+				"lodash/": "https://cdn.example.com/lodash-legacy/",
+			},
+			"/shadowed/": {
+				"lodash/": "https://cdn.example.com/somewhere-else/",
+			},
+		},
+	},
+	baseUrl,
+	{ onDiagnostic() {} },
+);
+
+Deno.test({
+	name: "reverseResolveModuleSpecifier() prefers exact keys",
+	fn() {
+		const result = reverseResolveModuleSpecifier(
+			importMap,
+			baseUrl,
+			new URL("https://cdn.example.com/lodash/lodash.js"),
+		);
+		assertEquals(result, "lodash");
+	},
+});
+
+Deno.test({
+	name: "reverseResolveModuleSpecifier() uses the longest prefix key",
+	fn() {
+		const result = reverseResolveModuleSpecifier(
+			importMap,
+			baseUrl,
+			new URL("https://cdn.example.com/lodash/fp/map.js"),
+		);
+		assertEquals(result, "lodash/fp/map.js");
+	},
+});
+
+Deno.test({
+	name: "reverseResolveModuleSpecifier() uses keys from scopes",
+	fn() {
+		const referrer = new URL("https://example.com/legacy/main.js");
+		const result = reverseResolveModuleSpecifier(
+			importMap,
+			referrer,
+			new URL("https://cdn.example.com/lodash-legacy/map.js"),
+		);
+		assertEquals(result, "lodash/map.js");
+	},
+});
+
+Deno.test({
+	name: "reverseResolveModuleSpecifier() skips keys that are shadowed by a scope",
+	fn() {
+		const referrer = new URL("https://example.com/shadowed/main.js");
+		const result = reverseResolveModuleSpecifier(
+			importMap,
+			referrer,
+			new URL("https://cdn.example.com/lodash/map.js"),
+		);
+		assertEquals(result, "https://cdn.example.com/lodash/map.js");
+	},
+});
+
+Deno.test({
+	name: "reverseResolveModuleSpecifier() falls back to a relative path",
+	fn() {
+		const referrer = new URL("https://example.com/src/main.js");
+		const result = reverseResolveModuleSpecifier(
+			importMap,
+			referrer,
+			new URL("https://example.com/src/utils/foo.js"),
+		);
+		assertEquals(result, "./utils/foo.js");
+	},
+});
+
+Deno.test({
+	name: "reverseResolveModuleSpecifier() turns url keys into relative specifiers",
+	fn() {
+		const result = reverseResolveModuleSpecifier(importMap, baseUrl, new URL("https://example.com/other.js"));
+		assertEquals(result, "./remapped.js");
+	},
+});
+
+Deno.test({
+	name: "reverseResolveModuleSpecifier() returns null when nothing resolves to the url",
+	fn() {
+		const result = reverseResolveModuleSpecifier(importMap, baseUrl, new URL("https://example.com/remapped.js"));
+		assertEquals(result, null);
+	},
+});
@@ -0,0 +1,62 @@
+import { assertEquals } from "asserts";
+import { parseImportMap } from "../mod.js";
+import { rewriteImportSpecifiers } from "../rewrite_imports.js";
+
+const baseUrl = new URL("https://example.com/");
+const importMap = parseImportMap(
+	{
+		imports: {
+			"lodash": "https://cdn.example.com/lodash.js",
+			"utils/": "./src/utils/",
+			"blocked": null,
+		},
+	},
+	baseUrl,
+	{ onDiagnostic() {} },
+);
+const moduleUrl = new URL("https://example.com/src/main.js");
+
+Deno.test({
+	name: "rewriteImportSpecifiers() replaces specifiers with absolute urls",
+	fn() {
+		const source = `import _ from "lodash";
+import { a } from './utils/a.js';
+// import "lodash";
+const b = await import("utils/b.js");
+const c = import.meta.resolve("utils/c.js");
+`;
+		const result = rewriteImportSpecifiers(source, importMap, moduleUrl);
+		assertEquals(
+			result.source,
+			`import _ from "https://cdn.example.com/lodash.js";
+import { a } from 'https://example.com/src/utils/a.js';
+// import "lodash";
+const b = await import("https://example.com/src/utils/b.js");
+const c = import.meta.resolve("https://example.com/src/utils/c.js");
+`,
+		);
+		assertEquals(result.unresolved, []);
+	},
+});
+
+Deno.test({
+	name: "rewriteImportSpecifiers() replaces specifiers with relative urls",
+	fn() {
+		const source = `import "utils/a.js"; import "lodash";`;
+		const result = rewriteImportSpecifiers(source, importMap, moduleUrl, { relative: true });
+		assertEquals(result.source, `import "./utils/a.js"; import "https://cdn.example.com/lodash.js";`);
+	},
+});
+
+Deno.test({
+	name: "rewriteImportSpecifiers() reports specifiers that could not be resolved",
+	fn() {
+		const source = `import "unknown";\nimport "blocked";`;
+		const result = rewriteImportSpecifiers(source, importMap, moduleUrl);
+		assertEquals(result.source, source);
+		assertEquals(result.unresolved.map(({ specifier, line, column }) => ({ specifier, line, column })), [
+			{ specifier: "unknown", line: 1, column: 8 },
+			{ specifier: "blocked", line: 2, column: 8 },
+		]);
+	},
+});
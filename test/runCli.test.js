@@ -0,0 +1,235 @@
+import { assertEquals, assertStringIncludes } from "asserts";
+import { fileURLToPath } from "node:url";
+import { isMainModule, runCli } from "../cli.js";
+import { withTempDir } from "./temp_dir.js";
+
+/**
+ * Runs the cli in a temporary directory containing the provided files.
+ * @param {Object.<string, string>} files
+ * @param {(run: (args: string[]) => Promise<{code: number, stdout: string, stderr: string}>, dirUrl: URL) => Promise<void>} fn
+ */
+async function withProject(files, fn) {
+	await withTempDir(files, async (dirUrl) => {
+		await fn(async (args) => {
+			/** @type {string[]} */
+			const stdout = [];
+			/** @type {string[]} */
+			const stderr = [];
+			const code = await runCli(args, {
+				cwd: fileURLToPath(dirUrl),
+				stdout: (text) => stdout.push(text),
+				stderr: (text) => stderr.push(text),
+			});
+			return { code, stdout: stdout.join("\n"), stderr: stderr.join("\n") };
+		}, dirUrl);
+	});
+}
+
+const importMapJson = JSON.stringify({
+	imports: {
+		lib: "./lib/index.js",
+		"utils/": "https://example.com/utils/",
+		blocked: null,
+	},
+	scopes: {
+		"./legacy/": { lib: "./lib/legacy.js" },
+	},
+});
+
+Deno.test({
+	name: "resolve",
+	async fn() {
+		await withProject({ "import_map.json": importMapJson }, async (run, dirUrl) => {
+			const result = await run(["resolve", "lib", "--map", "import_map.json"]);
+			assertEquals(result.code, 0);
+			assertEquals(result.stdout, new URL("lib/index.js", dirUrl).href);
+			assertEquals(
+				(await run(["resolve", "lib", "--map", "import_map.json", "--referrer", "legacy/main.js"])).stdout,
+				new URL("lib/legacy.js", dirUrl).href,
+			);
+			assertEquals(
+				(await run(["resolve", "utils/a.js", "--map=import_map.json", "--referrer=https://example.com/"]))
+					.stdout,
+				"https://example.com/utils/a.js",
+			);
+
+			const blocked = await run(["resolve", "blocked", "--map", "import_map.json"]);
+			assertEquals(blocked.code, 1);
+			assertStringIncludes(blocked.stderr, "Resolution of blocked was blocked by a null entry.");
+		});
+	},
+});
+
+Deno.test({
+	name: "resolve with json output",
+	async fn() {
+		await withProject({ "import_map.json": importMapJson }, async (run, dirUrl) => {
+			const result = await run(["resolve", "lib", "--map", "import_map.json", "--json"]);
+			assertEquals(result.code, 0);
+			assertEquals(JSON.parse(result.stdout), {
+				specifier: "lib",
+				referrer: dirUrl.href,
+				url: new URL("lib/index.js", dirUrl).href,
+				error: null,
+			});
+
+			const unresolved = await run(["resolve", "unknown", "--map", "import_map.json", "--json"]);
+			assertEquals(unresolved.code, 1);
+			const json = JSON.parse(unresolved.stdout);
+			assertEquals(json.url, null);
+			assertStringIncludes(json.error, `The bare specifier "unknown"`);
+		});
+	},
+});
+
+Deno.test({
+	name: "validate",
+	async fn() {
+		await withProject({
+			"valid.json": JSON.stringify({ imports: { lib: "./lib/index.js" } }),
+			"invalid.json": `{\n\t"imports": {\n\t\t"foo": 42\n\t}\n}`,
+			"syntax.json": `{\n\t"imports": {\n\t\t"foo": "./foo.js",\n\t}\n}`,
+		}, async (run) => {
+			assertEquals(await run(["validate", "valid.json"]), {
+				code: 0,
+				stdout: "valid.json: no problems found",
+				stderr: "",
+			});
+			assertEquals(await run(["validate", "invalid.json"]), {
+				code: 1,
+				stdout: "",
+				stderr: "invalid.json:3:3: warning: Addresses need to be strings but foo is not of type string. " +
+					"(non-string-address)",
+			});
+
+			const syntax = await run(["validate", "syntax.json", "--json"]);
+			assertEquals(syntax.code, 1);
+			const json = JSON.parse(syntax.stdout);
+			assertEquals(json.valid, false);
+			assertEquals([json.error.line, json.error.column], [4, 2]);
+			assertEquals(json.diagnostics, []);
+
+			const invalid = JSON.parse((await run(["validate", "invalid.json", "--json"])).stdout);
+			assertEquals(invalid.diagnostics.map((/** @type {any} */ diagnostic) => diagnostic.code), [
+				"non-string-address",
+			]);
+		});
+	},
+});
+
+Deno.test({
+	name: "format",
+	async fn() {
+		const unformatted = JSON.stringify({
+			imports: { b: "./b.js", "./a.js": "https://example.com/a.js" },
+		});
+		await withProject({ "import_map.json": unformatted }, async (run, dirUrl) => {
+			const expected = `{\n\t"imports": {\n\t\t"./a.js": "https://example.com/a.js",\n\t\t"b": "./b.js"\n\t}\n}`;
+			assertEquals(await run(["format", "import_map.json"]), { code: 0, stdout: expected, stderr: "" });
+
+			assertEquals(await run(["format", "import_map.json", "--write"]), { code: 0, stdout: "", stderr: "" });
+			assertEquals(await Deno.readTextFile(new URL("import_map.json", dirUrl)), expected + "\n");
+		});
+	},
+});
+
+Deno.test({
+	name: "merge",
+	async fn() {
+		await withProject({
+			"first.json": JSON.stringify({ imports: { a: "./a1.js" } }),
+			"second.json": JSON.stringify({ imports: { a: "./a2.js", b: "./b.js" } }),
+		}, async (run, dirUrl) => {
+			const result = await run(["merge", "first.json", "second.json"]);
+			assertEquals(result.code, 0);
+			assertEquals(JSON.parse(result.stdout), { imports: { a: "./a1.js", b: "./b.js" } });
+
+			Deno.mkdirSync(new URL("out", dirUrl));
+			assertEquals((await run(["merge", "first.json", "second.json", "--output", "out/merged.json"])).code, 0);
+			assertEquals(JSON.parse(await Deno.readTextFile(new URL("out/merged.json", dirUrl))), {
+				imports: { a: "../a1.js", b: "../b.js" },
+			});
+		});
+	},
+});
+
+Deno.test({
+	name: "print",
+	async fn() {
+		await withProject({ "import_map.json": importMapJson }, async (run, dirUrl) => {
+			const result = await run(["print", "import_map.json"]);
+			assertEquals(result.code, 0);
+			assertEquals(JSON.parse(result.stdout), {
+				imports: {
+					blocked: null,
+					lib: new URL("lib/index.js", dirUrl).href,
+					"utils/": "https://example.com/utils/",
+				},
+				scopes: {
+					[new URL("legacy/", dirUrl).href]: { lib: new URL("lib/legacy.js", dirUrl).href },
+				},
+			});
+		});
+	},
+});
+
+Deno.test({
+	name: "Usage errors",
+	async fn() {
+		await withProject({}, async (run) => {
+			assertEquals((await run([])).code, 2);
+			assertEquals((await run(["--help"])).code, 0);
+			assertEquals((await run(["unknown"])).code, 2);
+			assertEquals((await run(["resolve", "a", "--map"])).code, 2);
+
+			const missingFile = await run(["print", "missing.json"]);
+			assertEquals(missingFile.code, 1);
+
+			const wrongCount = await run(["validate"]);
+			assertEquals(wrongCount.code, 1);
+			assertEquals(wrongCount.stderr, "The validate command expects 1 argument(s), but got 0.");
+		});
+	},
+});
+
+Deno.test({
+	name: "isMainModule() uses import.meta.main when it is available",
+	fn() {
+		const url = "https://deno.land/x/import_maps/cli.js";
+		assertEquals(isMainModule({ url, main: true }, ["deno", "/tmp/$deno$node.mjs"]), true);
+		assertEquals(isMainModule({ url, main: false }, ["deno", "/tmp/$deno$node.mjs"]), false);
+		assertEquals(isMainModule({ url: "file:///project/cli.js" }, ["node", "/project/cli.js"]), true);
+		assertEquals(isMainModule({ url: "file:///project/cli.js" }, ["node", "/project/other.js"]), false);
+		assertEquals(isMainModule({ url: "file:///project/cli.js" }, ["node"]), false);
+	},
+});
+
+Deno.test({
+	name: "Runs when it is the main module at a remote url",
+	// Serving the cli and running it in a subprocess needs more permissions than the other tests.
+	ignore: Deno.permissions.querySync({ name: "net", host: "127.0.0.1" }).state != "granted" ||
+		Deno.permissions.querySync({ name: "run" }).state != "granted",
+	async fn() {
+		const root = new URL("../", import.meta.url);
+		const server = Deno.serve({ hostname: "127.0.0.1", port: 0, onListen() {} }, async (request) => {
+			try {
+				const source = await Deno.readTextFile(new URL("." + new URL(request.url).pathname, root));
+				return new Response(source, { headers: { "content-type": "application/javascript" } });
+			} catch {
+				return new Response("Not found", { status: 404 });
+			}
+		});
+		try {
+			const { port } = server.addr;
+			const output = await new Deno.Command(Deno.execPath(), {
+				args: ["run", "--quiet", "--no-config", "--reload", `http://127.0.0.1:${port}/cli.js`, "--help"],
+				stdout: "piped",
+				stderr: "piped",
+			}).output();
+			assertEquals(output.code, 0, new TextDecoder().decode(output.stderr));
+			assertStringIncludes(new TextDecoder().decode(output.stdout), "Usage: import-maps");
+		} finally {
+			await server.shutdown();
+		}
+	},
+});
@@ -0,0 +1,80 @@
+import { assertEquals } from "asserts";
+import { parseImportMap, serializeImportMap } from "../mod.js";
+
+Deno.test({
+	name: "serializeImportMap() without a base url",
+	fn() {
+		const baseUrl = new URL("https://example.com/base/");
+		const parsed = parseImportMap({
+			imports: {
+				"./foo": "./newfoo.js",
+				"bar": "https://cdn.example.com/bar.js",
+			},
+		}, baseUrl);
+		const result = serializeImportMap(parsed);
+		assertEquals(result, {
+			imports: {
+				"bar": "https://cdn.example.com/bar.js",
+				"https://example.com/base/foo": "https://example.com/base/newfoo.js",
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "serializeImportMap() relativizes urls against the base url",
+	fn() {
+		const baseUrl = new URL("https://example.com/app/import_map.json");
+		const data = {
+			imports: {
+				"./src/foo.js": "./src/newfoo.js",
+				"lib/": "/vendor/lib/",
+				"blocked": null,
+				"remote": "https://cdn.example.com/remote.js",
+			},
+			scopes: {
+				"./src/": {
+					"lib/": "../vendor/lib2/",
+				},
+			},
+			integrity: {
+				"./src/newfoo.js": "sha384-foo",
+			},
+		};
+		const parsed = parseImportMap(data, baseUrl, { onDiagnostic() {} });
+		const result = serializeImportMap(parsed, { baseUrl });
+		assertEquals(result, {
+			imports: {
+				"./src/foo.js": "./src/newfoo.js",
+				"blocked": null,
+				"lib/": "/vendor/lib/",
+				"remote": "https://cdn.example.com/remote.js",
+			},
+			scopes: {
+				"./src/": {
+					"lib/": "/vendor/lib2/",
+				},
+			},
+			integrity: {
+				"./src/newfoo.js": "sha384-foo",
+			},
+		});
+		assertEquals(parseImportMap(result, baseUrl, { onDiagnostic() {} }), parsed);
+	},
+});
+
+Deno.test({
+	name: "serializeImportMap() sorts keys alphabetically",
+	fn() {
+		const baseUrl = new URL("https://example.com/");
+		const parsed = parseImportMap({
+			imports: {
+				"b": "./b.js",
+				"c": "./c.js",
+				"a": "./a.js",
+			},
+		}, baseUrl);
+		const result = serializeImportMap(parsed, { baseUrl });
+		assertEquals(Object.keys(result.imports || {}), ["a", "b", "c"]);
+	},
+});
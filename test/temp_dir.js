@@ -0,0 +1,21 @@
+/**
+ * Creates a temporary directory containing the provided files and passes its url to `fn`.
+ * The directory is removed once `fn` is done, also when writing the files or `fn` throws.
+ * @param {Object.<string, unknown>} files The contents of each file by its path relative to the directory.
+ * Contents that aren't strings are written as json.
+ * @param {(dirUrl: URL) => Promise<void>} fn
+ */
+export async function withTempDir(files, fn) {
+	const dir = await Deno.makeTempDir();
+	const dirUrl = new URL(`file://${dir}/`);
+	try {
+		for (const [path, content] of Object.entries(files)) {
+			const fileUrl = new URL(path, dirUrl);
+			await Deno.mkdir(new URL("./", fileUrl), { recursive: true });
+			await Deno.writeTextFile(fileUrl, typeof content == "string" ? content : JSON.stringify(content));
+		}
+		await fn(dirUrl);
+	} finally {
+		await Deno.remove(dirUrl, { recursive: true });
+	}
+}
@@ -0,0 +1,124 @@
+import { assertEquals } from "asserts";
+import { parseImportMap, resolveModuleSpecifier, traceModuleSpecifierResolution } from "../mod.js";
+
+const baseUrl = new URL("https://example.com/");
+const importMap = parseImportMap(
+	{
+		imports: {
+			"lodash": "./lodash.js",
+			"lodash/": "./lodash/",
+			"blocked/": null,
+			"data:text/": "./data/",
+		},
+		scopes: {
+			"/app/": {
+				"lodash/fp/": "./app-fp/",
+			},
+			"/other/": {
+				"lodash": "./other-lodash.js",
+			},
+		},
+	},
+	baseUrl,
+	{ onDiagnostic() {} },
+);
+
+Deno.test({
+	name: "traceModuleSpecifierResolution() with a match in a scope",
+	fn() {
+		const trace = traceModuleSpecifierResolution(
+			importMap,
+			new URL("https://example.com/app/main.js"),
+			"lodash/fp/map.js",
+		);
+		assertEquals(trace.url?.href, "https://example.com/app-fp/map.js");
+		assertEquals(trace.error, null);
+		assertEquals(trace.match, {
+			scopePrefix: "https://example.com/app/",
+			specifierKey: "lodash/fp/",
+			matchType: "prefix",
+			blockedReason: null,
+		});
+		assertEquals(trace.scopes, [
+			{
+				scopePrefix: "https://example.com/other/",
+				applies: false,
+				keys: [],
+			},
+			{
+				scopePrefix: "https://example.com/app/",
+				applies: true,
+				keys: [{ specifierKey: "lodash/fp/", matchType: "prefix", rejectedReason: null }],
+			},
+		]);
+		assertEquals(trace.imports, null);
+	},
+});
+
+Deno.test({
+	name: "traceModuleSpecifierResolution() with a match in the top-level imports",
+	fn() {
+		const trace = traceModuleSpecifierResolution(importMap, baseUrl, "lodash/map.js");
+		assertEquals(trace.url?.href, "https://example.com/lodash/map.js");
+		assertEquals(trace.match, {
+			scopePrefix: null,
+			specifierKey: "lodash/",
+			matchType: "prefix",
+			blockedReason: null,
+		});
+		assertEquals(trace.imports, [
+			{ specifierKey: "lodash/", matchType: "prefix", rejectedReason: null },
+		]);
+	},
+});
+
+Deno.test({
+	name: "traceModuleSpecifierResolution() with a rejected key",
+	fn() {
+		const trace = traceModuleSpecifierResolution(importMap, baseUrl, "data:text/javascript,");
+		assertEquals(trace.url?.href, "data:text/javascript,");
+		assertEquals(trace.match, null);
+		assertEquals(trace.imports, [
+			{ specifierKey: "data:text/", matchType: null, rejectedReason: "non-special-url" },
+		]);
+	},
+});
+
+Deno.test({
+	name: "traceModuleSpecifierResolution() with blocked resolutions",
+	fn() {
+		const nullTrace = traceModuleSpecifierResolution(importMap, baseUrl, "blocked/foo.js");
+		assertEquals(nullTrace.url, null);
+		assertEquals(nullTrace.error?.message, "Resolution of blocked/ was blocked by a null entry.");
+		assertEquals(nullTrace.match?.blockedReason, "null-entry");
+
+		const backtrackingTrace = traceModuleSpecifierResolution(importMap, baseUrl, "lodash/../../foo.js");
+		assertEquals(backtrackingTrace.url, null);
+		assertEquals(backtrackingTrace.match?.blockedReason, "backtracking");
+	},
+});
+
+Deno.test({
+	name: "traceModuleSpecifierResolution() has the same result as resolveModuleSpecifier()",
+	fn() {
+		const referrers = [
+			"https://example.com/",
+			"https://example.com/app/main.js",
+			"https://example.com/other/main.js",
+		];
+		const specifiers = ["lodash", "lodash/fp/map.js", "lodash/map.js", "blocked/foo.js", "./foo.js", "unmapped"];
+		for (const referrer of referrers) {
+			for (const specifier of specifiers) {
+				const referrerUrl = new URL(referrer);
+				let expected;
+				try {
+					expected = resolveModuleSpecifier(importMap, referrerUrl, specifier).href;
+				} catch (e) {
+					expected = /** @type {Error} */ (e).message;
+				}
+				const trace = traceModuleSpecifierResolution(importMap, referrerUrl, specifier);
+				assertEquals(trace.url?.href ?? trace.error?.message, expected);
+			}
+		}
+	},
+});
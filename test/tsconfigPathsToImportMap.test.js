@@ -0,0 +1,76 @@
+import { assertEquals } from "asserts";
+import { tsconfigPathsToImportMap } from "../converters.js";
+
+const importMapUrl = new URL("file:///project/import_map.json");
+const tsconfigUrl = new URL("file:///project/tsconfig.json");
+
+Deno.test({
+	name: "Converts exact paths and patterns ending with /*",
+	fn() {
+		const { importMap, unsupported } = tsconfigPathsToImportMap(
+			{
+				paths: {
+					lodash: ["./vendor/lodash.js"],
+					"std/*": ["./vendor/std/*"],
+				},
+			},
+			tsconfigUrl,
+			importMapUrl,
+		);
+		assertEquals(importMap, {
+			imports: {
+				lodash: "./vendor/lodash.js",
+				"std/": "./vendor/std/",
+			},
+		});
+		assertEquals(unsupported, []);
+	},
+});
+
+Deno.test({
+	name: "Paths are resolved relative to the baseUrl",
+	fn() {
+		const { importMap } = tsconfigPathsToImportMap(
+			{
+				baseUrl: "src",
+				paths: {
+					"~/*": ["*"],
+					lib: ["lib/index.js"],
+				},
+			},
+			tsconfigUrl,
+			new URL("file:///project/web/import_map.json"),
+		);
+		assertEquals(importMap, {
+			imports: {
+				"~/": "../src/",
+				lib: "../src/lib/index.js",
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Reports patterns that can't be represented",
+	fn() {
+		const { importMap, unsupported } = tsconfigPathsToImportMap(
+			{
+				paths: {
+					"*": ["./types/*"],
+					"*.css": ["./styles/*.css"],
+					"lib/*": ["./lib/*.js"],
+					fallback: ["./a.js", "./b.js"],
+				},
+			},
+			tsconfigUrl,
+			importMapUrl,
+		);
+		assertEquals(importMap, { imports: { fallback: "./a.js" } });
+		assertEquals(unsupported.map(({ code, specifierKey }) => [code, specifierKey]), [
+			["wildcard", "*"],
+			["wildcard", "*.css"],
+			["wildcard", "lib/*"],
+			["fallbacks", "fallback"],
+		]);
+	},
+});
@@ -0,0 +1,208 @@
+import { assertEquals } from "asserts";
+import { parseImportMap, resolveModuleSpecifier } from "../mod.js";
+import { vendorImportMap } from "../vendor.js";
+import { withTempDir } from "./temp_dir.js";
+
+/** @type {Object.<string, string>} */
+const remoteModules = {
+	"https://cdn.example/lib@1/mod.js": [
+		`import "./util.js";`,
+		`import "dep";`,
+		`import "/std/path.js";`,
+		`import "https://other.example/x.js?v=1";`,
+	].join("\n"),
+	"https://cdn.example/lib@1/util.js": `export const util = 1;`,
+	"https://cdn.example/dep@2/mod.js": `export const dep = 1;`,
+	"https://cdn.example/std/path.js": `export const path = 1;`,
+	"https://cdn.example/std/unused.js": `export const unused = 1;`,
+	"https://other.example/x.js?v=1": `export const x = 1;`,
+};
+
+/**
+ * @param {URL} url
+ */
+function fetchFixture(url) {
+	return Promise.resolve(remoteModules[url.href] ?? null);
+}
+
+Deno.test({
+	name: "Stores remote modules in a directory that mirrors their urls",
+	async fn() {
+		await withTempDir({
+			"main.js": `import "lib"; import "std/path.js"; import "local";`,
+			"local.js": ``,
+		}, async (dirUrl) => {
+			const importMap = parseImportMap({
+				imports: {
+					lib: "https://cdn.example/lib@1/mod.js",
+					"std/": "https://cdn.example/std/",
+					local: "./local.js",
+				},
+				scopes: {
+					"https://cdn.example/lib@1/": { dep: "https://cdn.example/dep@2/mod.js" },
+				},
+			}, new URL("import_map.json", dirUrl));
+			const outputDir = new URL("vendor/", dirUrl);
+
+			const result = await vendorImportMap(importMap, [new URL("main.js", dirUrl)], {
+				outputDir,
+				fetch: fetchFixture,
+			});
+			assertEquals(result.problems, []);
+			assertEquals(result.files.map((url) => url.href.slice(outputDir.href.length)).sort(), [
+				"cdn.example/dep@2/mod.js",
+				"cdn.example/lib@1/mod.js",
+				"cdn.example/lib@1/util.js",
+				"cdn.example/std/path.js",
+				"other.example/x.js_v_1",
+			]);
+			assertEquals(
+				await Deno.readTextFile(new URL("cdn.example/dep@2/mod.js", outputDir)),
+				remoteModules["https://cdn.example/dep@2/mod.js"],
+			);
+
+			assertEquals(result.importMap.imports?.lib, "./cdn.example/lib@1/mod.js");
+			assertEquals(result.importMap.imports?.["std/"], "https://cdn.example/std/");
+			assertEquals(result.importMap.imports?.local, "../local.js");
+			assertEquals(result.importMap.imports?.["https://cdn.example/std/path.js"], "./cdn.example/std/path.js");
+			assertEquals(result.importMap.imports?.["https://cdn.example/"], undefined);
+			assertEquals(result.importMap.scopes?.["https://cdn.example/lib@1/"], {
+				dep: "./cdn.example/dep@2/mod.js",
+			});
+			assertEquals(result.importMap.scopes?.["./cdn.example/lib@1/"], {
+				"./cdn.example/lib@1/util.js": "./cdn.example/lib@1/util.js",
+				"/std/path.js": "./cdn.example/std/path.js",
+				dep: "./cdn.example/dep@2/mod.js",
+			});
+
+			// Every import resolves to the vendored copy of the module it resolved to before.
+			const vendoredImportMap = parseImportMap(result.importMap, new URL("import_map.json", outputDir));
+			const libUrl = new URL("cdn.example/lib@1/mod.js", outputDir);
+			/** @type {[URL, string, string][]} */
+			const expectations = [
+				[new URL("main.js", dirUrl), "lib", "cdn.example/lib@1/mod.js"],
+				[new URL("main.js", dirUrl), "std/path.js", "cdn.example/std/path.js"],
+				[libUrl, "./util.js", "cdn.example/lib@1/util.js"],
+				[libUrl, "dep", "cdn.example/dep@2/mod.js"],
+				[libUrl, "/std/path.js", "cdn.example/std/path.js"],
+				[libUrl, "https://other.example/x.js?v=1", "other.example/x.js_v_1"],
+			];
+			for (const [referrer, specifier, expected] of expectations) {
+				assertEquals(
+					resolveModuleSpecifier(vendoredImportMap, referrer, specifier).href,
+					new URL(expected, outputDir).href,
+				);
+			}
+			assertEquals(
+				resolveModuleSpecifier(vendoredImportMap, new URL("main.js", dirUrl), "local").href,
+				new URL("local.js", dirUrl).href,
+			);
+
+			// Modules that weren't vendored, such as the targets of dynamic imports, still resolve to the remote host.
+			/** @type {[URL, string, string][]} */
+			const remoteExpectations = [
+				[new URL("main.js", dirUrl), "std/unused.js", "https://cdn.example/std/unused.js"],
+				[new URL("main.js", dirUrl), "https://cdn.example/std/unused.js", "https://cdn.example/std/unused.js"],
+				[libUrl, "./other.js", "https://cdn.example/lib@1/other.js"],
+				[libUrl, "/std/unused.js", "https://cdn.example/std/unused.js"],
+			];
+			for (const [referrer, specifier, expected] of remoteExpectations) {
+				assertEquals(resolveModuleSpecifier(vendoredImportMap, referrer, specifier).href, expected);
+			}
+		});
+	},
+});
+
+Deno.test({
+	name: "Reports modules that can't be fetched",
+	async fn() {
+		await withTempDir({}, async (dirUrl) => {
+			const importMap = parseImportMap({
+				imports: {
+					lib: "https://cdn.example/lib@1/mod.js",
+					missing: "https://cdn.example/missing.js",
+				},
+			}, new URL("import_map.json", dirUrl));
+			const outputDir = new URL("vendor/", dirUrl);
+			const result = await vendorImportMap(importMap, [new URL("https://app.example/main.js")], {
+				outputDir,
+				importMapUrl: new URL("import_map.json", dirUrl),
+				fetch(url) {
+					if (url.href == "https://app.example/main.js") {
+						return Promise.resolve(`import "missing"; import "unmapped";`);
+					}
+					return fetchFixture(url);
+				},
+			});
+			assertEquals(result.problems.map((problem) => [problem.kind, problem.specifier]), [
+				["unresolved", "unmapped"],
+				["missing", "missing"],
+			]);
+			assertEquals(result.files.map((url) => url.href.slice(outputDir.href.length)), ["app.example/main.js"]);
+			assertEquals(result.importMap, {
+				imports: {
+					"https://app.example/main.js": "./vendor/app.example/main.js",
+					lib: "https://cdn.example/lib@1/mod.js",
+					missing: "https://cdn.example/missing.js",
+				},
+				scopes: {
+					"./vendor/app.example/": {
+						"./vendor/app.example/": "https://app.example/",
+						"/": "https://app.example/",
+					},
+				},
+			});
+		});
+	},
+});
+
+Deno.test({
+	name: "Modules can be stored next to the modules inside their path",
+	async fn() {
+		await withTempDir({ "main.js": `import "react"; import "react/jsx-runtime";` }, async (dirUrl) => {
+			/** @type {Object.<string, string>} */
+			const sources = {
+				"https://esm.sh/react@18": `export * from "/react@18/es2022/react.mjs";`,
+				"https://esm.sh/react@18/jsx-runtime": `import "/react@18";`,
+				"https://esm.sh/react@18/es2022/react.mjs": `export const react = 1;`,
+			};
+			const importMap = parseImportMap({
+				imports: {
+					react: "https://esm.sh/react@18",
+					"react/jsx-runtime": "https://esm.sh/react@18/jsx-runtime",
+				},
+			}, new URL("import_map.json", dirUrl));
+			const outputDir = new URL("vendor/", dirUrl);
+			const result = await vendorImportMap(importMap, [new URL("main.js", dirUrl)], {
+				outputDir,
+				fetch: (url) => Promise.resolve(sources[url.href] ?? null),
+			});
+			assertEquals(result.problems, []);
+			assertEquals(result.files.map((url) => url.href.slice(outputDir.href.length)).sort(), [
+				"esm.sh/react@18/es2022/react.mjs",
+				"esm.sh/react@18/jsx-runtime",
+				"esm.sh/react@18_",
+			]);
+			assertEquals(
+				await Deno.readTextFile(new URL("esm.sh/react@18_", outputDir)),
+				sources["https://esm.sh/react@18"],
+			);
+
+			const vendoredImportMap = parseImportMap(result.importMap, new URL("import_map.json", outputDir));
+			const reactUrl = new URL("esm.sh/react@18_", outputDir);
+			/** @type {[URL, string, string][]} */
+			const expectations = [
+				[new URL("main.js", dirUrl), "react", "esm.sh/react@18_"],
+				[new URL("main.js", dirUrl), "react/jsx-runtime", "esm.sh/react@18/jsx-runtime"],
+				[reactUrl, "/react@18/es2022/react.mjs", "esm.sh/react@18/es2022/react.mjs"],
+				[new URL("esm.sh/react@18/jsx-runtime", outputDir), "/react@18", "esm.sh/react@18_"],
+			];
+			for (const [referrer, specifier, expected] of expectations) {
+				assertEquals(
+					resolveModuleSpecifier(vendoredImportMap, referrer, specifier).href,
+					new URL(expected, outputDir).href,
+				);
+			}
+		});
+	},
+});
@@ -0,0 +1,169 @@
+import { assertEquals } from "asserts";
+import { walkModuleGraph } from "../module_graph.js";
+import { parseImportMap } from "../mod.js";
+import { withTempDir } from "./temp_dir.js";
+
+const baseUrl = new URL("https://example.com/import_map.json");
+
+/**
+ * @param {Object.<string, string>} files Sources keyed by their url relative to https://example.com/.
+ * @returns {import("../module_graph.js").ModuleLoader}
+ */
+function createLoader(files) {
+	return (url) => {
+		if (url.origin != "https://example.com") return undefined;
+		return files[url.pathname.slice(1)] ?? null;
+	};
+}
+
+/**
+ * @param {URL[]} urls
+ */
+function toHrefs(urls) {
+	return urls.map((url) => url.href);
+}
+
+Deno.test({
+	name: "Follows static and dynamic imports",
+	async fn() {
+		const importMap = parseImportMap({
+			imports: {
+				lib: "./lib/index.js",
+				"remote/": "https://cdn.example/remote/",
+			},
+		}, baseUrl);
+		const graph = await walkModuleGraph(importMap, [new URL("https://example.com/main.js")], {
+			load: createLoader({
+				"main.js": `
+					import lib from "lib";
+					import "remote/x.js";
+					const lazy = () => import("./lazy.js");
+					const dynamic = (name) => import(name);
+					import.meta.resolve("./not-loaded.js");
+				`,
+				"lib/index.js": `export * from "./util.js"; export { default } from "../main.js";`,
+				"lib/util.js": `export const a = 1;`,
+				"lazy.js": `import data from "./data.json" with { type: "json" };`,
+				"data.json": `{ "import": "./not-a-module.js" }`,
+			}),
+		});
+		assertEquals(graph.problems, []);
+		assertEquals(Object.fromEntries(Object.entries(graph.modules).map(([href, node]) => [href, node.status])), {
+			"https://example.com/main.js": "loaded",
+			"https://example.com/lib/index.js": "loaded",
+			"https://cdn.example/remote/x.js": "skipped",
+			"https://example.com/lazy.js": "loaded",
+			"https://example.com/lib/util.js": "loaded",
+			"https://example.com/data.json": "loaded",
+		});
+		const mainDependencies = graph.modules["https://example.com/main.js"].dependencies;
+		assertEquals(mainDependencies.map(({ specifier, kind, url }) => [specifier, kind, url?.href]), [
+			["lib", "static", "https://example.com/lib/index.js"],
+			["remote/x.js", "static", "https://cdn.example/remote/x.js"],
+			["./lazy.js", "dynamic", "https://example.com/lazy.js"],
+		]);
+	},
+});
+
+Deno.test({
+	name: "Uses the url of each module as base url",
+	async fn() {
+		const importMap = parseImportMap({
+			scopes: {
+				"/vendor/": { dep: "./vendor/dep.js" },
+			},
+		}, baseUrl);
+		const graph = await walkModuleGraph(importMap, [new URL("https://example.com/vendor/lib.js")], {
+			load: createLoader({
+				"vendor/lib.js": `import "dep"; import "./sibling.js";`,
+				"vendor/dep.js": ``,
+				"vendor/sibling.js": ``,
+			}),
+		});
+		assertEquals(graph.problems, []);
+		assertEquals(Object.keys(graph.modules).length, 3);
+	},
+});
+
+Deno.test({
+	name: "Reports unresolved, blocked and missing modules with their importers",
+	async fn() {
+		const importMap = parseImportMap(
+			{
+				imports: {
+					lib: "./lib.js",
+					blocked: null,
+				},
+			},
+			baseUrl,
+			{ onDiagnostic() {} },
+		);
+		const graph = await walkModuleGraph(importMap, [
+			new URL("https://example.com/main.js"),
+			new URL("https://example.com/missing-entry.js"),
+		], {
+			load: createLoader({
+				"main.js": `import "lib"; import "./missing.js";`,
+				"lib.js": `import "unmapped"; import "blocked"; import "./missing.js";`,
+			}),
+		});
+		assertEquals(
+			graph.problems.map(({ kind, specifier, url, importers }) => {
+				return [kind, specifier, url?.href, toHrefs(importers)];
+			}),
+			[
+				["missing", null, "https://example.com/missing-entry.js", []],
+				["unresolved", "unmapped", undefined, ["https://example.com/main.js", "https://example.com/lib.js"]],
+				["blocked", "blocked", undefined, ["https://example.com/main.js", "https://example.com/lib.js"]],
+				["missing", "./missing.js", "https://example.com/missing.js", ["https://example.com/main.js"]],
+				[
+					"missing",
+					"./missing.js",
+					"https://example.com/missing.js",
+					["https://example.com/main.js", "https://example.com/lib.js"],
+				],
+			],
+		);
+		assertEquals(
+			graph.problems[3].message,
+			`"./missing.js" imported from https://example.com/main.js resolved to https://example.com/missing.js, which doesn't exist.`,
+		);
+		assertEquals(graph.modules["https://example.com/missing.js"].status, "missing");
+		const libDependencies = graph.modules["https://example.com/lib.js"].dependencies;
+		assertEquals(libDependencies[0].url, null);
+		assertEquals(libDependencies[0].error?.message, graph.problems[1].message);
+	},
+});
+
+Deno.test({
+	name: "Handles circular imports",
+	async fn() {
+		const graph = await walkModuleGraph(parseImportMap({}, baseUrl), [new URL("https://example.com/a.js")], {
+			load: createLoader({
+				"a.js": `import "./b.js"; import "./a.js";`,
+				"b.js": `import "./a.js";`,
+			}),
+		});
+		assertEquals(graph.problems, []);
+		assertEquals(Object.keys(graph.modules), ["https://example.com/a.js", "https://example.com/b.js"]);
+	},
+});
+
+Deno.test({
+	name: "Loads modules from disk by default",
+	async fn() {
+		await withTempDir({
+			"main.js": `import "lib"; import "./missing.js"; import "https://example.com/x.js";`,
+			"lib.js": ``,
+		}, async (dirUrl) => {
+			const importMap = parseImportMap({ imports: { lib: "./lib.js" } }, new URL("import_map.json", dirUrl));
+			const graph = await walkModuleGraph(importMap, [new URL("main.js", dirUrl)]);
+			assertEquals(graph.modules[new URL("lib.js", dirUrl).href].status, "loaded");
+			assertEquals(graph.modules["https://example.com/x.js"].status, "skipped");
+			assertEquals(graph.problems.map((problem) => [problem.kind, problem.specifier]), [[
+				"missing",
+				"./missing.js",
+			]]);
+		});
+	},
+});
@@ -0,0 +1,160 @@
+import { assertEquals, assertRejects, assertStrictEquals } from "asserts";
+import { ImportMapValidationError, JsonSyntaxError, resolveModuleSpecifier } from "../mod.js";
+import { watchImportMap } from "../watcher.js";
+import { withTempDir } from "./temp_dir.js";
+
+/**
+ * @param {(importMapUrl: URL) => Promise<void>} fn
+ */
+async function withImportMapFile(fn) {
+	await withTempDir({ "import_map.json": { imports: { a: "./a.js", b: "./b.js" } } }, async (dirUrl) => {
+		await fn(new URL("import_map.json", dirUrl));
+	});
+}
+
+Deno.test({
+	name: "Reports the changed entries when the file changes",
+	async fn() {
+		await withImportMapFile(async (importMapUrl) => {
+			/** @type {import("../watcher.js").ImportMapChangeEvent[]} */
+			const events = [];
+			const watcher = await watchImportMap(importMapUrl, { onChange: (event) => events.push(event) });
+			try {
+				assertEquals(
+					resolveModuleSpecifier(watcher.importMap, importMapUrl, "a").href,
+					new URL("a.js", importMapUrl).href,
+				);
+				assertEquals(await watcher.reload(), null);
+
+				await Deno.writeTextFile(
+					importMapUrl,
+					JSON.stringify({ imports: { a: "./a2.js", b: "./b.js", c: "./c.js" } }),
+				);
+				const event = await watcher.reload();
+				assertEquals(events.length, 1);
+				assertStrictEquals(event, events[0]);
+				assertEquals(event?.error, null);
+				assertEquals(event?.diagnostics, []);
+				assertEquals(event?.diff.imports.added.map((entry) => entry.specifierKey), ["c"]);
+				assertEquals(event?.diff.imports.changed.map((entry) => entry.specifierKey), ["a"]);
+				assertStrictEquals(watcher.importMap, event?.importMap);
+				assertEquals(
+					resolveModuleSpecifier(watcher.importMap, importMapUrl, "a").href,
+					new URL("a2.js", importMapUrl).href,
+				);
+			} finally {
+				watcher.close();
+			}
+		});
+	},
+});
+
+Deno.test({
+	name: "Keeps the last valid import map when the file is broken",
+	async fn() {
+		await withImportMapFile(async (importMapUrl) => {
+			const watcher = await watchImportMap(importMapUrl);
+			try {
+				const validImportMap = watcher.importMap;
+
+				await Deno.writeTextFile(importMapUrl, `{ "imports": { "a": `);
+				const event = await watcher.reload();
+				assertEquals(event?.error instanceof JsonSyntaxError, true);
+				assertStrictEquals(event?.importMap, validImportMap);
+				assertStrictEquals(watcher.importMap, validImportMap);
+				assertEquals(event?.diff.equal, true);
+				assertStrictEquals(watcher.error, event?.error);
+
+				await Deno.remove(importMapUrl);
+				const removedEvent = await watcher.reload();
+				assertEquals(removedEvent?.error instanceof Error, true);
+				assertStrictEquals(watcher.importMap, validImportMap);
+				assertEquals(await watcher.reload(), null);
+
+				await Deno.writeTextFile(importMapUrl, JSON.stringify({ imports: { a: "./a.js" } }));
+				const fixedEvent = await watcher.reload();
+				assertEquals(fixedEvent?.error, null);
+				assertEquals(watcher.error, null);
+				assertEquals(fixedEvent?.diff.imports.removed.map((entry) => entry.specifierKey), ["b"]);
+			} finally {
+				watcher.close();
+			}
+		});
+	},
+});
+
+Deno.test({
+	name: "Change events contain the diagnostics of the new file",
+	async fn() {
+		await withImportMapFile(async (importMapUrl) => {
+			const watcher = await watchImportMap(importMapUrl);
+			try {
+				await Deno.writeTextFile(importMapUrl, JSON.stringify({ imports: { a: "./a.js", b: 1 } }));
+				const event = await watcher.reload();
+				assertEquals(event?.error, null);
+				assertEquals(event?.diagnostics.map((diagnostic) => diagnostic.code), ["non-string-address"]);
+				// Invalid addresses become null entries.
+				assertEquals(event?.diff.imports.changed.map((entry) => [entry.specifierKey, entry.after]), [[
+					"b",
+					null,
+				]]);
+			} finally {
+				watcher.close();
+			}
+		});
+	},
+});
+
+Deno.test({
+	name: "Diagnostics make the file broken in strict mode",
+	async fn() {
+		await withImportMapFile(async (importMapUrl) => {
+			const watcher = await watchImportMap(importMapUrl, { strict: true });
+			try {
+				await Deno.writeTextFile(importMapUrl, JSON.stringify({ imports: { a: "./a.js", b: 1 } }));
+				const event = await watcher.reload();
+				assertEquals(event?.error instanceof ImportMapValidationError, true);
+				assertEquals(event?.diff.equal, true);
+			} finally {
+				watcher.close();
+			}
+		});
+	},
+});
+
+Deno.test({
+	name: "Throws when the file is broken initially",
+	async fn() {
+		await withImportMapFile(async (importMapUrl) => {
+			await Deno.writeTextFile(importMapUrl, `{`);
+			await assertRejects(() => watchImportMap(importMapUrl), JsonSyntaxError);
+		});
+	},
+});
+
+Deno.test({
+	name: "Reloads when the file is changed on disk",
+	async fn() {
+		await withImportMapFile(async (importMapUrl) => {
+			/** @type {(event: import("../watcher.js").ImportMapChangeEvent) => void} */
+			let resolveChange = () => {};
+			/** @type {Promise<import("../watcher.js").ImportMapChangeEvent>} */
+			const changed = new Promise((resolve) => resolveChange = resolve);
+			const watcher = await watchImportMap(importMapUrl, { onChange: resolveChange, debounceMs: 10 });
+			try {
+				await Deno.writeTextFile(importMapUrl, JSON.stringify({ imports: { a: "./changed.js" } }));
+				/** @type {ReturnType<typeof setTimeout> | undefined} */
+				let timeout;
+				/** @type {Promise<never>} */
+				const timedOut = new Promise((_, reject) => {
+					timeout = setTimeout(() => reject(new Error("The change wasn't detected.")), 5000);
+				});
+				const event = await Promise.race([changed, timedOut]);
+				clearTimeout(timeout);
+				assertEquals(event.diff.imports.changed.map((entry) => entry.specifierKey), ["a"]);
+			} finally {
+				watcher.close();
+			}
+		});
+	},
+});
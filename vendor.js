@@ -0,0 +1,273 @@
+/**
+ * @module
+ * Functions for copying the remote modules that an application imports to a local directory,
+ * so that it can be built and run without network access.
+ */
+
+import { mkdir, writeFile } from "node:fs/promises";
+import { createEmptyImportMap, parseImportMap, resolveModuleSpecifier, serializeImportMap } from "./mod.js";
+import { loadModuleFromDisk, walkModuleGraph } from "./module_graph.js";
+
+/**
+ * @callback ModuleFetcher
+ * @param {URL} url
+ * @returns {Promise<string?>} The source of the module, or null when it doesn't exist.
+ */
+
+/**
+ * @typedef VendorImportMapOptions
+ * @property {URL} outputDir The directory that modules are stored in. Every module is stored at a path that mirrors
+ * its url, such as `<outputDir>/deno.land/std/path/mod.ts` for `https://deno.land/std/path/mod.ts`.
+ * When other modules are stored inside that path, underscores are added to the file name, such as `esm.sh/react@18_`.
+ * @property {URL} [importMapUrl] Where the rewritten import map will be stored, its urls are made relative to this.
+ * Defaults to `import_map.json` inside `outputDir`.
+ * @property {ModuleFetcher} [fetch] Fetches remote modules. Defaults to using the global `fetch()`.
+ * @property {import("./module_graph.js").ModuleLoader} [load] Loads modules that aren't remote,
+ * such as the entry points. Defaults to reading `file:` urls from disk.
+ */
+
+/**
+ * @typedef VendorImportMapResult
+ * @property {import("./mod.js").ImportMapData} importMap The rewritten import map, which maps to the vendored
+ * modules rather than the remote ones.
+ * @property {URL[]} files The files that modules were written to.
+ * @property {import("./module_graph.js").ModuleGraphProblem[]} problems Imports that couldn't be resolved or loaded.
+ * These modules are not vendored.
+ */
+
+/**
+ * Downloads every remote module that the entry points import, directly or through other modules, and stores them
+ * in `outputDir`. Returns an import map that resolves specifiers the same way as the provided one,
+ * except that remote modules resolve to their vendored copy.
+ *
+ * Addresses pointing at a vendored module are rewritten to its file, and every vendored url gets an entry of its own,
+ * so that modules importing each other by url keep working. Urls that weren't vendored, such as the targets of
+ * `import()` calls without a string literal, keep resolving to the remote module. Scopes of a vendored host apply to
+ * the matching directory as well. Imports that would still resolve differently after this, such as ones starting
+ * with `/` inside a remote module, get an entry in the scope that the importing module uses.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const { importMap, problems } = await vendorImportMap(parsedImportMap, [new URL("./main.js", import.meta.url)], {
+ *     outputDir: new URL("./vendor/", import.meta.url),
+ * });
+ * await Deno.writeTextFile("./vendor/import_map.json", JSON.stringify(importMap, null, "\t"));
+ * ```
+ * @param {import("./mod.js").ParsedImportMap} importMap
+ * @param {Iterable<URL>} entryPoints
+ * @param {VendorImportMapOptions} options
+ * @returns {Promise<VendorImportMapResult>}
+ */
+export async function vendorImportMap(importMap, entryPoints, options) {
+	const { outputDir } = options;
+	const importMapUrl = options.importMapUrl || new URL("import_map.json", outputDir);
+	const fetchModule = options.fetch || fetchModuleWithFetch;
+	const load = options.load || loadModuleFromDisk;
+
+	/** @type {Map<string, string>} */
+	const remoteSources = new Map();
+	const graph = await walkModuleGraph(importMap, entryPoints, {
+		async load(url) {
+			if (!isRemoteUrl(url)) return await load(url);
+			const source = await fetchModule(url);
+			if (source != null) remoteSources.set(url.href, source);
+			return source;
+		},
+	});
+
+	const storedUrls = getStoredUrls(remoteSources.keys(), outputDir);
+
+	/** @type {URL[]} */
+	const files = [];
+	/** @type {Set<string>} */
+	const vendoredOrigins = new Set();
+	for (const [href, source] of remoteSources) {
+		const file = /** @type {URL} */ (storedUrls.get(href));
+		await mkdir(new URL("./", file), { recursive: true });
+		await writeFile(file, source);
+		files.push(file);
+		vendoredOrigins.add(new URL(href).origin);
+	}
+
+	/**
+	 * @param {URL} url
+	 */
+	const toVendoredUrl = (url) => storedUrls.get(url.href) || url;
+
+	/**
+	 * @param {import("./mod.js").SpecifierMap} specifierMap
+	 */
+	const rewriteSpecifierMap = (specifierMap) => {
+		/** @type {import("./mod.js").ImportMapPotentialSpecifierMapData} */
+		const data = {};
+		for (const [specifierKey, address] of Object.entries(specifierMap)) {
+			data[specifierKey] = address ? toVendoredUrl(address).href : null;
+		}
+		return data;
+	};
+
+	/** @type {Required<import("./mod.js").ImportMapData>} */
+	const data = { imports: rewriteSpecifierMap(importMap.imports), scopes: {}, integrity: {} };
+	// Only the modules that were vendored are mapped, other urls on the same host keep resolving to the remote module.
+	for (const [href, file] of storedUrls) {
+		if (!Object.hasOwn(data.imports, href)) data.imports[href] = file.href;
+	}
+	for (const [scopePrefix, scopeImports] of Object.entries(importMap.scopes)) {
+		const rewritten = rewriteSpecifierMap(scopeImports);
+		data.scopes[scopePrefix] = rewritten;
+		// Vendored modules are loaded from the output directory, so remote scopes need to apply there as well.
+		const scopeUrl = new URL(scopePrefix);
+		if (isRemoteUrl(scopeUrl) && vendoredOrigins.has(scopeUrl.origin)) {
+			const vendoredPrefix = storedUrls.get(scopePrefix) || getMirroredUrl(scopeUrl, outputDir);
+			data.scopes[vendoredPrefix.href] = { ...rewritten };
+		}
+	}
+	for (const origin of vendoredOrigins) {
+		const originUrl = new URL(origin + "/");
+		const originDir = getMirroredUrl(originUrl, outputDir).href;
+		// Imports that weren't followed, such as `import()` calls without a string literal, still go to the remote
+		// host. This applies to relative imports, and to imports starting with "/", which resolve to the root of the disk.
+		data.scopes[originDir] = {
+			...data.scopes[originDir],
+			[originDir]: originUrl.href,
+			[new URL("/", outputDir).href]: originUrl.href,
+		};
+	}
+	for (const [url, integrity] of Object.entries(importMap.integrity || {})) {
+		data.integrity[toVendoredUrl(new URL(url)).href] = integrity;
+	}
+
+	// Check that every import in the graph resolves to the vendored copy of what it resolved to before,
+	// and add an entry for the imports that don't.
+	let vendoredImportMap = parseImportMap(data, importMapUrl);
+	let patched = false;
+	for (const node of Object.values(graph.modules)) {
+		if (node.status != "loaded") continue;
+		const moduleUrl = toVendoredUrl(node.url);
+		for (const { specifier, url } of node.dependencies) {
+			if (!url) continue;
+			const expected = toVendoredUrl(url);
+			let actual = null;
+			try {
+				actual = resolveModuleSpecifier(vendoredImportMap, moduleUrl, specifier);
+			} catch {
+				// Resolution failing is handled the same as resolving to the wrong url.
+			}
+			if (actual?.href == expected.href) continue;
+
+			let specifierKey = specifier;
+			try {
+				// Url-like specifiers are relative to the module, while keys in the import map are relative to the map.
+				specifierKey = resolveModuleSpecifier(createEmptyImportMap(), moduleUrl, specifier).href;
+			} catch {
+				// Bare specifiers are used as is.
+			}
+			// The entry is added where the module looks it up first, which is shared with the modules that resolved
+			// the specifier the same way before. When that spot is taken, a scope for just this module is used.
+			let specifierMap = getClosestSpecifierMap(data, moduleUrl);
+			if (Object.hasOwn(specifierMap, specifierKey) && specifierMap[specifierKey] != expected.href) {
+				specifierMap = data.scopes[moduleUrl.href] ||= {};
+			}
+			specifierMap[specifierKey] = expected.href;
+			patched = true;
+		}
+	}
+	if (patched) vendoredImportMap = parseImportMap(data, importMapUrl);
+
+	return {
+		importMap: serializeImportMap(vendoredImportMap, { baseUrl: importMapUrl }),
+		files,
+		problems: graph.problems,
+	};
+}
+
+/**
+ * Returns the location in the output directory that mirrors the url.
+ * The query string, if any, is added to the file name, so that urls which only differ in their query get their own file.
+ * @param {URL} url
+ * @param {URL} outputDir
+ */
+function getMirroredUrl(url, outputDir) {
+	let path = url.host.replace(":", "_") + url.pathname;
+	if (url.search) path += "_" + url.search.slice(1).replace(/[^\w.-]/g, "_");
+	return new URL("./" + path, outputDir);
+}
+
+/**
+ * Picks the file that every module is stored in. This is the location that mirrors its url, unless that location
+ * is also a directory of another module, such as `esm.sh/react@18` when `esm.sh/react@18/jsx-runtime` is vendored too.
+ * In that case, underscores are added to the file name until it is unique.
+ * @param {Iterable<string>} hrefs
+ * @param {URL} outputDir
+ * @returns {Map<string, URL>}
+ */
+function getStoredUrls(hrefs, outputDir) {
+	const mirrored = new Map([...hrefs].map((href) => [href, getMirroredUrl(new URL(href), outputDir).href]));
+	const taken = new Set(mirrored.values());
+	/** @type {Set<string>} */
+	const directories = new Set();
+	for (const fileHref of taken) {
+		for (let i = fileHref.indexOf("/"); i != -1; i = fileHref.indexOf("/", i + 1)) {
+			directories.add(fileHref.slice(0, i + 1));
+		}
+	}
+	/**
+	 * @param {string} fileHref
+	 */
+	const isDirectory = (fileHref) => directories.has(fileHref + "/");
+
+	/** @type {Map<string, URL>} */
+	const storedUrls = new Map();
+	for (const [href, mirroredHref] of mirrored) {
+		let fileHref = mirroredHref.endsWith("/") ? mirroredHref + "index" : mirroredHref;
+		if (fileHref != mirroredHref || isDirectory(fileHref)) {
+			while (taken.has(fileHref) || isDirectory(fileHref)) fileHref += "_";
+			taken.add(fileHref);
+		}
+		storedUrls.set(href, new URL(fileHref));
+	}
+	return storedUrls;
+}
+
+/**
+ * Returns the specifier map that is consulted first when resolving from the module,
+ * which is the scope with the longest matching prefix, or the top-level imports.
+ * @param {Required<import("./mod.js").ImportMapData>} data Import map data with absolute scope prefixes.
+ * @param {URL} moduleUrl
+ * @returns {import("./mod.js").ImportMapPotentialSpecifierMapData}
+ */
+function getClosestSpecifierMap(data, moduleUrl) {
+	let closestPrefix = null;
+	for (const scopePrefix of Object.keys(data.scopes)) {
+		const matches = scopePrefix == moduleUrl.href ||
+			(scopePrefix.endsWith("/") && moduleUrl.href.startsWith(scopePrefix));
+		if (matches && (closestPrefix == null || scopePrefix.length > closestPrefix.length)) {
+			closestPrefix = scopePrefix;
+		}
+	}
+	return closestPrefix == null ? data.imports : data.scopes[closestPrefix];
+}
+
+/**
+ * @param {URL} url
+ */
+function isRemoteUrl(url) {
+	return url.protocol == "http:" || url.protocol == "https:";
+}
+
+/**
+ * @param {URL} url
+ */
+async function fetchModuleWithFetch(url) {
+	const response = await fetch(url);
+	if (response.status == 404 || response.status == 410) {
+		await response.body?.cancel();
+		return null;
+	}
+	if (!response.ok) {
+		await response.body?.cancel();
+		throw new Error(`Failed to fetch ${url.href}: ${response.status} ${response.statusText}`);
+	}
+	return await response.text();
+}
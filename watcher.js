@@ -0,0 +1,168 @@
+/**
+ * @module
+ * Functions for keeping an import map in sync with the file it is stored in.
+ */
+
+import { watch } from "node:fs";
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import { diffImportMaps } from "./diff.js";
+import { parseImportMapSource } from "./mod.js";
+
+/**
+ * @typedef ImportMapChangeEvent
+ * @property {import("./mod.js").ParsedImportMap} importMap The import map that is in use now.
+ * When the file is broken, this is the last valid import map.
+ * @property {import("./mod.js").ParsedImportMap} previousImportMap The import map that was in use before the change.
+ * @property {Error?} error Why the file couldn't be loaded, or null when it was loaded successfully.
+ * This is a `JsonSyntaxError` when the file doesn't contain valid JSON.
+ * @property {import("./mod.js").ImportMapDiagnostic[]} diagnostics Recoverable problems in the new file.
+ * @property {import("./diff.js").ImportMapDiff} diff The entries that changed between `previousImportMap` and `importMap`.
+ */
+
+/**
+ * @typedef WatchImportMapOptions
+ * @property {(event: ImportMapChangeEvent) => void} [onChange] Called every time the contents of the file change,
+ * including when the new contents are broken.
+ * @property {boolean} [strict] When true, an import map with any diagnostics is treated as broken.
+ * The `error` of the change event is an `ImportMapValidationError` in that case.
+ * @property {number} [debounceMs] How long to wait for more changes before the file is reloaded. Defaults to 50.
+ */
+
+/**
+ * @typedef ImportMapWatcher
+ * @property {import("./mod.js").ParsedImportMap} importMap The last valid import map.
+ * @property {import("./mod.js").ImportMapDiagnostic[]} diagnostics The diagnostics of the file as it was last read.
+ * @property {Error?} error Why the file as it was last read is broken, or null when it isn't.
+ * @property {() => Promise<ImportMapChangeEvent?>} reload Reads the file right away,
+ * returns null when its contents didn't change.
+ * @property {() => void} close Stops watching the file.
+ */
+
+/**
+ * Loads an import map from disk and reloads it whenever the file changes. When the new contents of the file
+ * are broken, the last valid import map stays in use. The `onChange` callback receives the diagnostics of the
+ * new contents, along with the entries that changed, so that only the modules affected by the change need to be reloaded.
+ *
+ * The initial load throws when the file is broken, since there is no valid import map to fall back to yet.
+ *
+ * ## Example usage
+ *
+ * ```js
+ * const watcher = await watchImportMap(new URL("./import_map.json", import.meta.url), {
+ *     onChange({ error, diff }) {
+ *         if (error) console.error(error.message);
+ *         if (!diff.equal) notifyClients(diff);
+ *     },
+ * });
+ * resolveModuleSpecifier(watcher.importMap, baseUrl, "lodash");
+ * ```
+ * @param {URL} importMapUrl A `file:` url.
+ * @param {WatchImportMapOptions} [options]
+ * @returns {Promise<ImportMapWatcher>}
+ */
+export async function watchImportMap(importMapUrl, options = {}) {
+	const debounceMs = options.debounceMs ?? 50;
+
+	/** @type {string?} */
+	let text = await readFile(importMapUrl, { encoding: "utf8" });
+	const initial = parseText(text, importMapUrl, options);
+	if (!initial.importMap) throw initial.error;
+
+	/** @type {import("./mod.js").ParsedImportMap} */
+	let importMap = initial.importMap;
+
+	/** @type {Promise<ImportMapChangeEvent?>} */
+	let lastReload = Promise.resolve(null);
+	/** @type {ReturnType<typeof setTimeout>?} */
+	let debounceTimeout = null;
+
+	const load = async () => {
+		/** @type {string?} */
+		let newText = null;
+		/** @type {Error?} */
+		let readError = null;
+		try {
+			newText = await readFile(importMapUrl, { encoding: "utf8" });
+		} catch (e) {
+			if (!(e instanceof Error)) throw e;
+			readError = e;
+		}
+		// This also skips repeated events while the file doesn't exist.
+		if (newText == text) return null;
+		text = newText;
+		const result = newText == null
+			? { importMap: null, diagnostics: [], error: readError }
+			: parseText(newText, importMapUrl, options);
+
+		const previousImportMap = importMap;
+		if (result.importMap) importMap = result.importMap;
+		watcher.diagnostics = result.diagnostics;
+		watcher.error = result.error;
+
+		/** @type {ImportMapChangeEvent} */
+		const event = {
+			importMap,
+			previousImportMap,
+			error: result.error,
+			diagnostics: result.diagnostics,
+			diff: diffImportMaps(previousImportMap, importMap),
+		};
+		if (options.onChange) options.onChange(event);
+		return event;
+	};
+
+	const path = fileURLToPath(importMapUrl);
+	const directoryPath = fileURLToPath(new URL("./", importMapUrl));
+	const fileName = path.slice(directoryPath.length);
+	// The directory is watched rather than the file itself, because many editors save files by
+	// replacing them, after which a watcher on the file would no longer receive events.
+	const fsWatcher = watch(directoryPath, (_eventType, changedFileName) => {
+		if (changedFileName != null && changedFileName != fileName) return;
+		if (debounceTimeout != null) clearTimeout(debounceTimeout);
+		debounceTimeout = setTimeout(() => {
+			debounceTimeout = null;
+			watcher.reload().catch((e) => console.error(e));
+		}, debounceMs);
+	});
+
+	/** @type {ImportMapWatcher} */
+	const watcher = {
+		get importMap() {
+			return importMap;
+		},
+		diagnostics: initial.diagnostics,
+		error: null,
+		reload() {
+			lastReload = lastReload.then(load, load);
+			return lastReload;
+		},
+		close() {
+			if (debounceTimeout != null) clearTimeout(debounceTimeout);
+			debounceTimeout = null;
+			fsWatcher.close();
+		},
+	};
+	return watcher;
+}
+
+/**
+ * @param {string} text
+ * @param {URL} importMapUrl
+ * @param {WatchImportMapOptions} options
+ * @returns {{importMap: import("./mod.js").ParsedImportMap?, diagnostics: import("./mod.js").ImportMapDiagnostic[], error: Error?}}
+ */
+function parseText(text, importMapUrl, options) {
+	/** @type {import("./mod.js").ImportMapDiagnostic[]} */
+	const diagnostics = [];
+	try {
+		const { importMap } = parseImportMapSource(text, importMapUrl, {
+			strict: options.strict,
+			onDiagnostic: (diagnostic) => diagnostics.push(diagnostic),
+		});
+		return { importMap, diagnostics, error: null };
+	} catch (e) {
+		if (!(e instanceof Error)) throw e;
+		return { importMap: null, diagnostics, error: e };
+	}
+}